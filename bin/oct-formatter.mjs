@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface over the utils pipeline, for scheduled jobs that run
+ * without a browser. Writes the upload CSV, a JSON validation report and a CSV
+ * of the rejected rows.
+ *
+ * Exit codes: 0 = exported (warnings allowed), 1 = validation errors (no CSV
+ * written), 2 = usage or input error.
+ */
+import { register } from 'node:module';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+
+register('./resolve-hooks.mjs', import.meta.url);
+
+const {
+  MODES,
+  DATE_ORDERS,
+  GOOGLE_ADS_COLUMNS,
+  PHONE_REGIONS,
+  ZERO_VALUE_ACTIONS,
+  DEDUPE_STRATEGIES,
+  DEDUPE_TIME_GRANULARITIES
+} = await import('../src/utils/constants.js');
+const { parseFileContent, mergeSheets, toCSV, getExportFilename } = await import('../src/utils/csvParser.js');
+const { autoDetectColumns } = await import('../src/utils/columnMapper.js');
+const { processBatch, hasConversionName } = await import('../src/utils/pipeline.js');
+const { isValidTimeZone } = await import('../src/utils/timezone.js');
+const { getDedupeKeys } = await import('../src/utils/dedupe.js');
+const { collectRejects, getRejectColumns, toRejectsCSV } = await import('../src/utils/rejects.js');
+
+const USAGE = `Usage: npm run cli -- [options] <input files...>
+
+Options:
+  --mode <mode>               standard | ec4l | facebook | adjustment (default: standard)
+  --conversion-name <name>    Conversion name (event name in facebook mode)
+  --conversion-names <file>   JSON lookup table for a mapped conversion name column:
+                              { "Source value": "Conversion name" }
+  --timezone <zone>           Default timezone: IANA name or offset like +02:00 (default: UTC)
+  --account-timezone <zone>   Convert every time into this timezone
+  --date-order <order>        auto | mdy | dmy (default: auto)
+  --currency <code>           Default currency for rows without one
+  --region <code>             Default phone region (ISO country code) for numbers without a calling code
+  --ldu                       Facebook: mark rows for Limited Data Use
+  --fix-email-typos           Correct typo'd email domains (gmial.com -> gmail.com) before hashing
+  --zero-value <action>       Rows without a value: drop | keep | default (default: drop)
+  --default-value <amount>    Value for rows without one, with --zero-value default
+  --dedupe <strategy>         Merge duplicates: off | earliest | latest | highest | sum (default: off)
+  --dedupe-key <key>          clickId (standard) or emailPhone | email | phone, or orderId (default: first of these)
+  --dedupe-time <unit>        Time part of the key: exact | minute | hour | day | any (default: exact)
+  --mapping <file>            JSON mapping file: { "field": "Column name" } (default: auto-detect)
+  --sheets <names>            Excel: comma-separated sheets to merge (default: first sheet)
+  --no-header                 CSV: the first row is data; columns are named "Column 1", "Column 2", ...
+  --out <file>                Upload CSV path (default: derived from the first input file)
+  --report <file>             JSON report path (default: <out>.report.json)
+  --rejects <file>            Rejected rows CSV path (default: <out>.rejects.csv)
+  -h, --help                  Show this help`;
+
+/**
+ * Print a message and exit with a usage/input error
+ * @param {string} message - Error message
+ */
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  process.exit(2);
+};
+
+/**
+ * Remove the extension from a file path
+ * @param {string} path - File path
+ * @returns {string}
+ */
+const stripExtension = (path) => path.slice(0, path.length - extname(path).length);
+
+/**
+ * Read and parse one input file, merging the requested Excel sheets
+ * @param {string} path - Input file path
+ * @param {Array<string>} sheetNames - Sheets to merge (empty = first sheet)
+ * @param {boolean} hasHeaderRow - CSV: whether the first row holds column names
+ * @returns {{filename: string, data: Array, headers: Array}}
+ */
+const readInput = (path, sheetNames, hasHeaderRow) => {
+  const filename = basename(path);
+  const parsed = parseFileContent(new Uint8Array(readFileSync(path)), filename, { hasHeaderRow });
+
+  if (!parsed.sheets || sheetNames.length === 0) {
+    return { filename, data: parsed.data, headers: parsed.headers };
+  }
+
+  const missing = sheetNames.filter(name => !parsed.sheets.some(sheet => sheet.name === name));
+  if (missing.length > 0) {
+    fail(`${filename}: no sheet named ${missing.join(', ')}`);
+  }
+  return { filename, ...mergeSheets(parsed.sheets, sheetNames) };
+};
+
+/**
+ * Get the column mappings for a file: the mapping file if given, otherwise auto-detected
+ * @param {Object} file - Parsed input file
+ * @param {string} mode - Export mode
+ * @param {Object|null} mappingFile - Mappings loaded from --mapping
+ * @returns {Object} - Field -> column
+ */
+const getMappings = (file, mode, mappingFile) => {
+  if (!mappingFile) {
+    return autoDetectColumns(file.headers, mode, file.data);
+  }
+  const missing = Object.values(mappingFile).filter(column => !file.headers.includes(column));
+  if (missing.length > 0) {
+    fail(`${file.filename}: mapped column${missing.length > 1 ? 's' : ''} not found: ${missing.join(', ')}`);
+  }
+  return mappingFile;
+};
+
+/**
+ * Read a conversion name lookup table (source value -> conversion name)
+ * @param {string} path - JSON file path
+ * @returns {Object}
+ */
+const readConversionNames = (path) => {
+  let table;
+  try {
+    table = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    return fail(`could not read conversion names file: ${error.message}`);
+  }
+  const isTable = table && typeof table === 'object' && !Array.isArray(table) &&
+    Object.values(table).every(name => typeof name === 'string');
+  if (!isTable) fail('conversion names file must be a JSON object of { "Source value": "Conversion name" }');
+  return table;
+};
+
+const main = async () => {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        mode: { type: 'string', default: MODES.STANDARD },
+        'conversion-name': { type: 'string', default: '' },
+        'conversion-names': { type: 'string' },
+        timezone: { type: 'string', default: 'UTC' },
+        'account-timezone': { type: 'string', default: '' },
+        'date-order': { type: 'string', default: DATE_ORDERS.AUTO },
+        currency: { type: 'string', default: '' },
+        region: { type: 'string', default: '' },
+        ldu: { type: 'boolean', default: false },
+        'fix-email-typos': { type: 'boolean', default: false },
+        'zero-value': { type: 'string', default: ZERO_VALUE_ACTIONS.DROP },
+        'default-value': { type: 'string', default: '' },
+        dedupe: { type: 'string', default: DEDUPE_STRATEGIES.OFF },
+        'dedupe-key': { type: 'string', default: '' },
+        'dedupe-time': { type: 'string', default: DEDUPE_TIME_GRANULARITIES.EXACT },
+        mapping: { type: 'string' },
+        sheets: { type: 'string', default: '' },
+        'no-header': { type: 'boolean', default: false },
+        out: { type: 'string' },
+        report: { type: 'string' },
+        rejects: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+
+  const { values: options, positionals: inputs } = args;
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const mode = options.mode;
+  if (!Object.values(MODES).includes(mode)) fail(`unknown mode "${mode}"`);
+  if (inputs.length === 0) fail(`no input files\n\n${USAGE}`);
+  if (!isValidTimeZone(options.timezone)) fail(`unknown timezone "${options.timezone}"`);
+  if (options['account-timezone'] && !isValidTimeZone(options['account-timezone'])) {
+    fail(`unknown timezone "${options['account-timezone']}"`);
+  }
+  if (options.region && !PHONE_REGIONS[options.region.toUpperCase()]) {
+    fail(`unknown phone region "${options.region}"`);
+  }
+  if (!Object.values(DATE_ORDERS).includes(options['date-order'])) {
+    fail(`unknown date order "${options['date-order']}"`);
+  }
+  if (!Object.values(ZERO_VALUE_ACTIONS).includes(options['zero-value'])) {
+    fail(`unknown zero-value action "${options['zero-value']}"`);
+  }
+  if (options['zero-value'] === ZERO_VALUE_ACTIONS.DEFAULT && !(parseFloat(options['default-value']) > 0)) {
+    fail('--zero-value default needs a positive --default-value');
+  }
+  if (!Object.values(DEDUPE_STRATEGIES).includes(options.dedupe)) {
+    fail(`unknown dedupe strategy "${options.dedupe}"`);
+  }
+  if (options['dedupe-key'] && !getDedupeKeys(mode).includes(options['dedupe-key'])) {
+    fail(`dedupe key "${options['dedupe-key']}" is not available in ${mode} mode`);
+  }
+  if (!Object.values(DEDUPE_TIME_GRANULARITIES).includes(options['dedupe-time'])) {
+    fail(`unknown dedupe time "${options['dedupe-time']}"`);
+  }
+
+  const settings = {
+    conversionName: mode === MODES.FACEBOOK ? '' : options['conversion-name'],
+    eventName: mode === MODES.FACEBOOK ? options['conversion-name'] : '',
+    dataProcessingOptions: options.ldu ? 'ldu' : 'non-ldu',
+    timezone: options.timezone,
+    targetTimezone: options['account-timezone'],
+    dateOrder: options['date-order'],
+    defaultCurrency: options.currency.toUpperCase(),
+    defaultRegion: options.region.toUpperCase(),
+    autocorrectEmails: options['fix-email-typos'],
+    zeroValueRows: options['zero-value'],
+    defaultConversionValue: options['default-value'],
+    dedupeStrategy: options.dedupe,
+    dedupeKey: options['dedupe-key'],
+    dedupeTime: options['dedupe-time'],
+    conversionNameMap: options['conversion-names'] ? readConversionNames(options['conversion-names']) : {}
+  };
+
+  let mappingFile = null;
+  if (options.mapping) {
+    try {
+      mappingFile = JSON.parse(readFileSync(options.mapping, 'utf8'));
+    } catch (error) {
+      fail(`could not read mapping file: ${error.message}`);
+    }
+  }
+
+  const sheetNames = options.sheets.split(',').map(name => name.trim()).filter(Boolean);
+  const files = inputs.map(path => {
+    try {
+      return readInput(path, sheetNames, !options['no-header']);
+    } catch (error) {
+      return fail(`could not read ${path}: ${error.message}`);
+    }
+  });
+  const batch = files.map(file => ({ ...file, mappings: getMappings(file, mode, mappingFile) }));
+
+  const result = await processBatch(batch, mode, settings);
+  if (!hasConversionName(mode, settings, result.mapped)) {
+    fail('--conversion-name is required unless every row has its own conversion name');
+  }
+
+  const outPath = options.out || join(
+    dirname(inputs[0]),
+    getExportFilename(mode, inputs.length === 1 ? files[0].filename : '')
+  );
+  const reportPath = options.report || `${stripExtension(outPath)}.report.json`;
+  const rejectsPath = options.rejects || `${stripExtension(outPath)}.rejects.csv`;
+
+  const inputPaths = inputs.map(path => resolve(path));
+  [outPath, reportPath, rejectsPath].forEach(path => {
+    if (inputPaths.includes(resolve(path))) fail(`${path} is an input file; choose another output path`);
+  });
+
+  const exported = result.exportData.length > 0;
+  if (exported) {
+    writeFileSync(outPath, toCSV(result.exportData, GOOGLE_ADS_COLUMNS[mode]));
+  }
+  const rejects = collectRejects(result.validation.issues, [...result.dropped, ...result.merged],
+    (fileIndex, rowIndex) => batch[fileIndex].data[rowIndex - 1]);
+  const rejected = rejects.length > 0;
+  if (rejected) {
+    writeFileSync(rejectsPath, toRejectsCSV(rejects, getRejectColumns(batch)));
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    mode,
+    files: batch.map(file => ({ filename: file.filename, rows: file.data.length, mappings: file.mappings })),
+    removedZeroValueRows: result.removedCount,
+    mergedDuplicateRows: result.merged.length,
+    summary: result.validation.summary,
+    canExport: result.validation.canExport,
+    output: exported ? outPath : null,
+    rejects: rejected ? rejectsPath : null,
+    changeSummary: result.optimization.changeSummary,
+    issues: result.validation.issues
+  };
+  writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  const { summary } = result.validation;
+  console.log(`${summary.total} rows: ${summary.errors} errors, ${summary.warnings} warnings`);
+  console.log(exported ? `Wrote ${result.exportData.length} rows to ${outPath}` : 'No CSV written');
+  if (rejected) console.log(`Wrote ${rejects.length} rejected rows to ${rejectsPath}`);
+  console.log(`Report: ${reportPath}`);
+
+  if (!result.validation.canExport) {
+    process.exitCode = 1;
+  }
+};
+
+await main();
@@ -0,0 +1,31 @@
+/**
+ * Node module resolution hook for the shared utils.
+ * src/ is written for the app's bundler, which resolves relative imports
+ * without a file extension ('./constants') and doesn't need "type": "module";
+ * Node needs the '.js' and the module format.
+ */
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+/**
+ * Retry extensionless relative imports with '.js' appended, and mark files
+ * under src/ as ES modules
+ * @param {string} specifier - Import specifier
+ * @param {Object} context - Resolution context
+ * @param {Function} nextResolve - Next resolver in the chain
+ * @returns {Promise<Object>}
+ */
+export const resolve = async (specifier, context, nextResolve) => {
+  let resolved;
+  try {
+    resolved = await nextResolve(specifier, context);
+  } catch (error) {
+    const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !isRelative || specifier.endsWith('.js')) {
+      throw error;
+    }
+    resolved = await nextResolve(`${specifier}.js`, context);
+  }
+
+  return resolved.url.startsWith(SRC_URL) ? { ...resolved, format: 'module' } : resolved;
+};
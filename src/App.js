@@ -1,18 +1,61 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import './App.css';
 
-import { MODES } from './utils/constants';
-import { applyMappings } from './utils/columnMapper';
-import { validateAll } from './utils/validator';
-import { optimizeAll, transformToGoogleAdsFormat } from './utils/optimizer';
+import {
+  MODES,
+  DATE_ORDERS,
+  ZERO_VALUE_ACTIONS,
+  DEDUPE_STRATEGIES,
+  DEDUPE_TIME_GRANULARITIES,
+  LEDGER_ACTIONS
+} from './utils/constants';
+import { hasConversionName } from './utils/pipeline';
+import { processBatchInBackground } from './utils/backgroundPipeline';
+import { downloadFile } from './utils/csvParser';
+import { collectRejects, getRejectColumns, toRejectsCSV, getRejectsFilename } from './utils/rejects';
+import {
+  isLedgerAvailable,
+  findUploadedRows,
+  applyUploadHistory,
+  recordUpload,
+  listUploadBatches,
+  pruneLedger,
+  exportLedger
+} from './utils/uploadLedger';
+import {
+  loadProfiles,
+  saveProfiles,
+  createProfile,
+  upsertProfile,
+  findProfileForHeaders,
+  filterMappingsToHeaders,
+  serializeProfiles,
+  parseProfiles
+} from './utils/profiles';
 
 import ModeSelector from './components/ModeSelector';
+import ProfileManager from './components/ProfileManager';
 import SettingsPanel from './components/SettingsPanel';
 import FileUpload from './components/FileUpload';
 import ColumnMapper from './components/ColumnMapper';
 import ValidationResults from './components/ValidationResults';
 import DataPreview from './components/DataPreview';
 import DownloadButton from './components/DownloadButton';
+import UploadHistory from './components/UploadHistory';
+
+// Label and bar width for the pipeline's progress (see processBatchInBackground)
+const describeProgress = (progress) => {
+  if (!progress || progress.stage === 'validate') {
+    return { label: `Validating ${(progress?.total ?? 0).toLocaleString()} rows...`, percent: 0 };
+  }
+  if (progress.stage === 'stream') {
+    return { label: `Processing in chunks: ${progress.done.toLocaleString()} rows read`, percent: progress.percent };
+  }
+  return {
+    label: `Optimizing and hashing: ${progress.done.toLocaleString()} of ${progress.total.toLocaleString()} rows`,
+    percent: progress.total > 0 ? Math.round(progress.done / progress.total * 100) : 0
+  };
+};
 
 function App() {
   // Mode selection
@@ -23,15 +66,34 @@ function App() {
     conversionName: '',
     eventName: '',
     dataProcessingOptions: 'non-ldu',
-    timezone: '+00:00',
-    defaultCurrency: ''
+    timezone: 'UTC',
+    targetTimezone: '',
+    dateOrder: DATE_ORDERS.AUTO,
+    defaultCurrency: '',
+    defaultRegion: '',
+    autocorrectEmails: false,
+    zeroValueRows: ZERO_VALUE_ACTIONS.DROP,
+    defaultConversionValue: '',
+    dedupeStrategy: DEDUPE_STRATEGIES.OFF,
+    dedupeKey: '',
+    dedupeTime: DEDUPE_TIME_GRANULARITIES.EXACT,
+    uploadHistory: LEDGER_ACTIONS.WARN,
+    reportingCurrency: '',
+    exchangeRates: {},
+    conversionNameMap: {}
   });
   
-  // File data
-  const [fileData, setFileData] = useState(null);
-  const [filename, setFilename] = useState('');
+  // Uploaded files: { id, filename, data, headers, parseErrors, sheets, profileId }.
+  // Large CSVs also have source (the File) and hasHeaderRow; their data is only a preview.
+  const [files, setFiles] = useState([]);
+  const nextFileId = useRef(1);
+  
+  // Saved profiles (persisted in localStorage)
+  const [profiles, setProfiles] = useState(loadProfiles);
+  // Whether a profile's mode and settings were already applied to the current batch
+  const batchProfileApplied = useRef(false);
   
-  // Column mappings
+  // Column mappings per file (file id -> { field: source column })
   const [mappings, setMappings] = useState({});
   
   // Processed data
@@ -39,84 +101,242 @@ function App() {
   const [validation, setValidation] = useState(null);
   const [optimizedData, setOptimizedData] = useState([]);
   const [optimizationSummary, setOptimizationSummary] = useState(null);
+  const [currencyConversion, setCurrencyConversion] = useState(null);
   const [exportData, setExportData] = useState([]);
+  // Export of a streamed batch: { blob, rows }
+  const [exportFile, setExportFile] = useState(null);
+  // Rows removed by the zero-value filter: { rows, count } (rows is a sample for
+  // streamed batches)
+  const [filteredRows, setFilteredRows] = useState(null);
+  // Rows merged into other rows by deduplication (issue-style, see dedupeRows)
+  const [mergedRows, setMergedRows] = useState([]);
+  // Rows filtered out because an earlier export had them (issue-style, see applyUploadHistory)
+  const [uploadedRows, setUploadedRows] = useState([]);
+  // Exports recorded in the upload ledger, newest first
+  const [uploadBatches, setUploadBatches] = useState([]);
+  // Rejects file of a streamed batch: { blob, rows }
+  const [rejectsFile, setRejectsFile] = useState(null);
+  // Rows taken out by "remove error rows", kept for the rejects file (see collectRejects)
+  const [removedErrorRows, setRemovedErrorRows] = useState([]);
   
   // Processing state
   const [isProcessing, setIsProcessing] = useState(false);
+  // { stage: 'validate'|'optimize', done, total } of the running pipeline
+  const [progress, setProgress] = useState(null);
+  const [processingCancelled, setProcessingCancelled] = useState(false);
+  // Bumped to run the pipeline again after a cancel
+  const [processingRun, setProcessingRun] = useState(0);
+  const processingController = useRef(null);
 
-  // Handle file upload
-  const handleFileLoaded = useCallback((result) => {
-    setFileData(result);
-    setFilename(result.filename);
-    setMappings({});
+  // Distinct values of the mapped per-row conversion name column (for the lookup table)
+  const conversionNameValues = useMemo(() => {
+    const values = new Set();
+    files.forEach(file => {
+      const column = mappings[file.id]?.conversionName;
+      if (!column) return;
+      file.data.forEach(row => {
+        const value = row[column];
+        if (value !== null && value !== undefined && String(value).trim() !== '') {
+          values.add(String(value).trim());
+        }
+      });
+    });
+    return [...values].sort();
+  }, [files, mappings]);
+
+  const resetProcessed = () => {
     setMappedData([]);
     setValidation(null);
     setOptimizedData([]);
     setOptimizationSummary(null);
+    setCurrencyConversion(null);
     setExportData([]);
+    setExportFile(null);
+    setFilteredRows(null);
+    setMergedRows([]);
+    setUploadedRows([]);
+    setRejectsFile(null);
+    setProcessingCancelled(false);
+  };
+
+  useEffect(() => {
+    saveProfiles(profiles);
+  }, [profiles]);
+
+  useEffect(() => {
+    if (files.length === 0) batchProfileApplied.current = false;
+  }, [files.length]);
+
+  useEffect(() => {
+    if (!isLedgerAvailable()) return;
+    listUploadBatches()
+      .then(setUploadBatches)
+      .catch(error => console.error('Could not load upload history:', error));
+  }, []);
+
+  const applyProfileSettings = (profile) => {
+    setMode(profile.mode);
+    setSettings(prev => ({ ...prev, ...profile.settings }));
+  };
+
+  // Handle file upload (each uploaded file is added to the batch).
+  // A saved profile with the same header set is picked automatically: its mappings
+  // are used for the file, and the first matched profile also sets mode and settings.
+  const handleFileLoaded = useCallback((result) => {
+    const id = nextFileId.current++;
+    const profile = findProfileForHeaders(profiles, result.headers);
+    if (profile && !batchProfileApplied.current) {
+      batchProfileApplied.current = true;
+      applyProfileSettings(profile);
+    }
+    setFiles(prev => [...prev, { ...result, id, profileId: profile ? profile.id : null }]);
+    resetProcessed();
+  }, [profiles]);
+  
+  // Profile mappings for a file, if its profile is for the current mode
+  const getPresetMappings = (file) => {
+    const profile = profiles.find(p => p.id === file.profileId);
+    if (!profile || profile.mode !== mode) return null;
+    const preset = filterMappingsToHeaders(profile.mappings, file.headers);
+    return Object.keys(preset).length > 0 ? preset : null;
+  };
+  
+  const handleSaveProfile = (name) => {
+    const source = files[0];
+    setProfiles(prev => upsertProfile(prev, createProfile({
+      name,
+      mode,
+      mappings: mappings[source.id],
+      settings,
+      headers: source.headers
+    })));
+  };
+  
+  // Apply a profile chosen by hand to the settings and every uploaded file
+  const handleApplyProfile = (profile) => {
+    batchProfileApplied.current = true;
+    applyProfileSettings(profile);
+    setFiles(prev => prev.map(file => ({ ...file, profileId: profile.id })));
+    setMappings(prev => {
+      const next = { ...prev };
+      files.forEach(file => {
+        const preset = filterMappingsToHeaders(profile.mappings, file.headers);
+        if (Object.keys(preset).length > 0) next[file.id] = preset;
+      });
+      return next;
+    });
+  };
+  
+  const handleDeleteProfile = (profileId) => {
+    setProfiles(prev => prev.filter(profile => profile.id !== profileId));
+  };
+  
+  const handleExportProfiles = () => {
+    downloadFile(serializeProfiles(profiles), 'oct-formatter-profiles.json', 'application/json');
+  };
+  
+  // Returns the number of imported profiles; throws on invalid files
+  const handleImportProfiles = (text) => {
+    const imported = parseProfiles(text);
+    setProfiles(prev => imported.reduce(upsertProfile, prev));
+    return imported.length;
+  };
+
+  // Remove one file (and its mappings) from the batch
+  const handleRemoveFile = (fileId) => {
+    setFiles(prev => prev.filter(file => file.id !== fileId));
+    setMappings(prev => {
+      const next = { ...prev };
+      delete next[fileId];
+      return next;
+    });
+    setRemovedErrorRows([]);
+    resetProcessed();
+  };
+
+  const handleFileMappingsChange = useCallback((fileId, fileMappings) => {
+    setMappings(prev => ({ ...prev, [fileId]: fileMappings }));
   }, []);
 
   // Process data when mappings change
   useEffect(() => {
-    if (!fileData || Object.keys(mappings).length === 0) {
+    // Wait until every file has mappings
+    if (files.length === 0 || files.some(file => Object.keys(mappings[file.id] || {}).length === 0)) {
       return;
     }
 
+    // A newer run (or unmounting) cancels this one, so stale results never land
+    const controller = new AbortController();
+
     const processData = async () => {
+      processingController.current = controller;
       setIsProcessing(true);
+      setProcessingCancelled(false);
+      setProgress(null);
       
       try {
-        // Apply column mappings
-        let mapped = applyMappings(fileData.data, mappings, mode);
-        
-        // Auto-remove rows with 0 or no conversion value
-        const originalCount = mapped.length;
-        mapped = mapped.filter(row => {
-          const value = row.conversionValue;
-          if (value === null || value === undefined || value === '') return false;
-          const numValue = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
-          return !isNaN(numValue) && numValue > 0;
-        });
-        
-        if (mapped.length < originalCount) {
-          console.log(`Auto-removed ${originalCount - mapped.length} rows with zero or no conversion value`);
+        let result = await processBatchInBackground(
+          files.map(file => ({
+            filename: file.filename,
+            data: file.data,
+            headers: file.headers,
+            mappings: mappings[file.id],
+            source: file.source,
+            hasHeaderRow: file.hasHeaderRow
+          })),
+          mode,
+          settings,
+          { onProgress: setProgress, signal: controller.signal }
+        );
+
+        // Check against earlier exports (streamed batches only hold a preview of their rows)
+        if (!files.some(file => file.source) && isLedgerAvailable() && settings.uploadHistory !== LEDGER_ACTIONS.OFF) {
+          try {
+            const matches = await findUploadedRows(result.optimization.data, mode, settings);
+            controller.signal.throwIfAborted();
+            result = applyUploadHistory(result, matches, settings.uploadHistory || LEDGER_ACTIONS.WARN, mode);
+          } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Could not check upload history:', error);
+          }
         }
         
-        setMappedData(mapped);
-        
-        // Validate
-        const validationResult = validateAll(mapped, mode, settings);
-        setValidation(validationResult);
-        
-        // Optimize (even if there are errors, to show what would be fixed)
-        const optimizationResult = await optimizeAll(mapped, mode, settings);
-        setOptimizedData(optimizationResult.data);
-        setOptimizationSummary(optimizationResult.changeSummary);
-        
-        // Transform to export format
-        const nameValid = mode === MODES.FACEBOOK
-          ? !!(settings.eventName && settings.eventName.trim())
-          : !!(settings.conversionName && settings.conversionName.trim());
-        if (validationResult.canExport && nameValid) {
-          const exportReady = transformToGoogleAdsFormat(
-            optimizationResult.data,
-            mode,
-            mode === MODES.FACEBOOK ? settings.eventName : settings.conversionName,
-            settings
-          );
-          setExportData(exportReady);
-        } else {
-          setExportData([]);
-        }
+        setFilteredRows(result.removedCount > 0
+          ? { rows: result.dropped, count: result.removedCount }
+          : null);
+        setMergedRows(result.merged || []);
+        setUploadedRows(result.uploaded || []);
+        setRejectsFile(result.rejectsFile || null);
+        setMappedData(result.mapped);
+        setValidation(result.validation);
+        setOptimizedData(result.optimization.data);
+        setOptimizationSummary(result.optimization.changeSummary);
+        setCurrencyConversion(result.optimization.currencyConversion);
+        setExportData(result.exportData);
+        setExportFile(result.exportFile || null);
       } catch (error) {
-        console.error('Error processing data:', error);
+        if (error.name !== 'AbortError') {
+          console.error('Error processing data:', error);
+        }
       } finally {
-        setIsProcessing(false);
+        if (processingController.current === controller) {
+          processingController.current = null;
+          setIsProcessing(false);
+          setProgress(null);
+        }
       }
     };
 
     processData();
-  }, [fileData, mappings, mode, settings]);
+    return () => controller.abort();
+  }, [files, mappings, mode, settings, processingRun]);
+
+  // Cancelled runs leave no results: the previous ones no longer match the inputs
+  const handleCancelProcessing = () => {
+    processingController.current?.abort();
+    resetProcessed();
+    setProcessingCancelled(true);
+  };
 
   // Reset when mode changes
   const handleModeChange = (newMode) => {
@@ -125,30 +345,92 @@ function App() {
     setValidation(null);
     setOptimizedData([]);
     setExportData([]);
+    setExportFile(null);
+    setFilteredRows(null);
+    setMergedRows([]);
+    setUploadedRows([]);
+    setRejectsFile(null);
   };
 
-  // Check if settings are valid
-  const settingsValid = mode === MODES.FACEBOOK
-    ? !!(settings.eventName && settings.eventName.trim())
-    : !!(settings.conversionName && settings.conversionName.trim());
+  // Check if settings are valid: the conversion name setting can stay empty when
+  // every mapped row brings its own name for the lookup table
+  const settingsValid = hasConversionName(mode, settings, mappedData);
+  const progressView = describeProgress(progress);
+  // Streamed files aren't held in memory: only a sample of their rows is shown
+  const isStreamed = files.some(file => file.source);
 
-  // Get unique row indices with errors
-  const errorRowIndices = validation 
-    ? [...new Set(validation.issues.filter(i => i.type === 'error').map(i => i.rowIndex))]
+  // Get unique rows with errors, keyed by file index and 1-indexed row
+  const errorRowKeys = validation 
+    ? [...new Set(validation.issues.filter(i => i.type === 'error').map(i => `${i.fileIndex ?? 0}-${i.rowIndex}`))]
     : [];
 
+  // Rows left out of the upload, with their source rows.
+  // Streamed batches come with their rejects file already written.
+  const rejects = useMemo(() => {
+    if (!validation || isStreamed) return removedErrorRows;
+    return [
+      ...removedErrorRows,
+      ...collectRejects(validation.issues, [...(filteredRows ? filteredRows.rows : []), ...mergedRows, ...uploadedRows],
+        (fileIndex, rowIndex) => files[fileIndex]?.data[rowIndex - 1])
+    ];
+  }, [validation, filteredRows, mergedRows, uploadedRows, files, isStreamed, removedErrorRows]);
+  const rejectCount = rejectsFile ? rejectsFile.rows : rejects.length;
+
+  const handleDownloadRejects = () => {
+    downloadFile(
+      rejectsFile ? rejectsFile.blob : toRejectsCSV(rejects, getRejectColumns(files)),
+      getRejectsFilename(files.length === 1 ? files[0].filename : ''),
+      'text/csv;charset=utf-8;'
+    );
+  };
+
+  // Record the exported rows in the upload ledger (streamed exports only hold a preview)
+  const handleExported = async () => {
+    if (isStreamed || !isLedgerAvailable()) return;
+    try {
+      await recordUpload(optimizedData, mode, settings, files.length === 1 ? files[0].filename : '');
+      setUploadBatches(await listUploadBatches());
+    } catch (error) {
+      console.error('Could not record upload:', error);
+    }
+  };
+
+  // Upload history actions; the list is reloaded after each change
+  const handlePruneUploads = async (days) => {
+    const removed = await pruneLedger(days
+      ? { before: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() }
+      : {});
+    setUploadBatches(await listUploadBatches());
+    return removed;
+  };
+
+  const handleDeleteUpload = async (batchId) => {
+    await pruneLedger({ batchId });
+    setUploadBatches(await listUploadBatches());
+  };
+
+  const handleExportUploads = async () => {
+    downloadFile(await exportLedger(), 'oct-formatter-upload-history.json', 'application/json');
+  };
+
   // Handler to remove rows with errors
   const handleRemoveErrorRows = useCallback(() => {
-    if (!fileData || errorRowIndices.length === 0) return;
+    if (files.length === 0 || errorRowKeys.length === 0) return;
     
-    // Filter out rows with errors (using 1-indexed rowIndex)
-    const filteredData = fileData.data.filter((_, index) => !errorRowIndices.includes(index + 1));
-    
-    setFileData({
-      ...fileData,
-      data: filteredData
-    });
-  }, [fileData, errorRowIndices]);
+    // Keep the removed rows for the rejects file; their row numbers are those
+    // from before the removal
+    const errorIssues = validation.issues.filter(i => errorRowKeys.includes(`${i.fileIndex ?? 0}-${i.rowIndex}`));
+    setRemovedErrorRows(prev => [
+      ...prev,
+      ...collectRejects(errorIssues, [], (fileIndex, rowIndex) => files[fileIndex]?.data[rowIndex - 1])
+    ]);
+
+    // Filter out rows with errors (using 1-indexed rowIndex within each file)
+    setFiles(files.map((file, fileIndex) => ({
+      ...file,
+      data: file.data.filter((_, index) => !errorRowKeys.includes(`${fileIndex}-${index + 1}`))
+    })));
+  }, [files, validation, errorRowKeys]);
 
   return (
     <div className="min-h-screen bg-[#f5f0e8]">
@@ -178,13 +460,31 @@ function App() {
           <span className="text-3xl font-black text-black leading-none">02</span>
           <span className="text-xs font-bold uppercase tracking-widest text-gray-500">Settings</span>
         </div>
-        <SettingsPanel settings={settings} onChange={setSettings} mode={mode} />
+        <ProfileManager
+          profiles={profiles}
+          canSave={files.length > 0 && Object.keys(mappings[files[0].id] || {}).length > 0}
+          saveSource={files.length > 0 ? files[0].filename : ''}
+          onSave={handleSaveProfile}
+          onApply={handleApplyProfile}
+          onDelete={handleDeleteProfile}
+          onExport={handleExportProfiles}
+          onImport={handleImportProfiles}
+        />
+        <SettingsPanel
+          settings={settings}
+          onChange={setSettings}
+          mode={mode}
+          conversionNameValues={conversionNameValues}
+        />
 
         {/* Settings Warning */}
         {!settingsValid && (
           <div className="mb-6 bg-yellow-50 border-2 border-black shadow-brutal-sm p-4">
             <p className="text-black text-sm font-medium">
-              Please enter {mode === MODES.FACEBOOK ? 'an Event Name' : 'a Conversion Name'} above before uploading your file.
+              Please enter {mode === MODES.FACEBOOK ? 'an Event Name' : 'a Conversion Name'} above
+              {mappedData.length > 0
+                ? ' for the rows without a conversion name of their own'
+                : <> before uploading your file{profiles.length > 0 && ', or upload a file that matches a saved profile'}</>}.
             </p>
           </div>
         )}
@@ -196,58 +496,103 @@ function App() {
         </div>
         <FileUpload
           onFileLoaded={handleFileLoaded}
-          disabled={!settingsValid}
+          disabled={!settingsValid && profiles.length === 0}
         />
 
         {/* File Info */}
-        {fileData && (
-          <div className="mb-6 bg-white border-2 border-black shadow-brutal p-4">
-            <div className="flex items-center justify-between">
-              <div>
-                <span className="font-bold text-black">{filename}</span>
-                <span className="text-gray-500 ml-2 font-medium">({fileData.data.length} rows)</span>
+        {files.length > 0 && (
+          <div className="mb-6 bg-white border-2 border-black shadow-brutal divide-y-2 divide-black">
+            {files.map(file => (
+              <div key={file.id} className="flex items-center justify-between p-4">
+                <div>
+                  <span className="font-bold text-black">{file.filename}</span>
+                  <span className="text-gray-500 ml-2 font-medium">
+                    ({file.source
+                      ? `${Math.round(file.source.size / (1024 * 1024))}MB, read in chunks`
+                      : `${file.data.length} rows`}{file.sheets && ` from ${file.sheets.length} sheet${file.sheets.length !== 1 ? 's' : ''}`})
+                  </span>
+                  {profiles.some(profile => profile.id === file.profileId) && (
+                    <span className="ml-2 px-2 py-0.5 border-2 border-black text-xs font-bold bg-green-400 text-black">
+                      Profile: {profiles.find(profile => profile.id === file.profileId).name}
+                    </span>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleRemoveFile(file.id)}
+                  className="text-sm font-bold text-red-600 hover:text-red-800 underline"
+                >
+                  Remove file
+                </button>
               </div>
-              <button
-                onClick={() => {
-                  setFileData(null);
-                  setFilename('');
-                  setMappings({});
-                  setValidation(null);
-                  setOptimizedData([]);
-                  setExportData([]);
-                }}
-                className="text-sm font-bold text-red-600 hover:text-red-800 underline"
-              >
-                Remove file
-              </button>
-            </div>
+            ))}
+            {files.length > 1 && (
+              <div className="px-4 py-2 bg-[#f5f0e8] text-sm font-bold text-gray-600">
+                {isStreamed
+                  ? `${files.length} files will be merged into one export`
+                  : `${files.reduce((sum, file) => sum + file.data.length, 0)} rows from ${files.length} files will be merged into one export`}
+              </div>
+            )}
           </div>
         )}
 
-        {/* Step 4: Column Mapping */}
-        {fileData && (
+        {/* Step 4: Column Mapping (one mapper per file) */}
+        {files.length > 0 && (
           <>
             <div className="flex items-center gap-3 mb-3">
               <span className="text-3xl font-black text-black leading-none">04</span>
               <span className="text-xs font-bold uppercase tracking-widest text-gray-500">Map Columns</span>
             </div>
-            <ColumnMapper
-              headers={fileData.headers}
-              mode={mode}
-              mappings={mappings}
-              onChange={setMappings}
-            />
+            {files.map(file => (
+              <div key={file.id}>
+                {files.length > 1 && (
+                  <h3 className="font-black text-black mb-2 text-base">{file.filename}</h3>
+                )}
+                <ColumnMapper
+                  headers={file.headers}
+                  rows={file.data}
+                  mode={mode}
+                  mappings={mappings[file.id] || {}}
+                  presetMappings={getPresetMappings(file)}
+                  onChange={(fileMappings) => handleFileMappingsChange(file.id, fileMappings)}
+                />
+              </div>
+            ))}
           </>
         )}
 
-        {/* Processing Indicator */}
+        {/* Processing Progress */}
         {isProcessing && (
-          <div className="mb-6 text-center py-8">
-            <svg className="animate-spin h-8 w-8 mx-auto text-main" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-            </svg>
-            <p className="text-gray-600 mt-2 font-medium">Processing data...</p>
+          <div className="mb-6 bg-white border-2 border-black shadow-brutal p-4">
+            <div className="flex items-center justify-between gap-4 mb-3">
+              <p className="text-sm font-bold text-black">{progressView.label}</p>
+              <button
+                onClick={handleCancelProcessing}
+                className="px-3 py-1 text-sm font-bold bg-white text-black border-2 border-black shadow-brutal-sm hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all"
+              >
+                Cancel
+              </button>
+            </div>
+            <div className="h-4 bg-[#f5f0e8] border-2 border-black">
+              <div
+                className="h-full bg-main transition-all"
+                style={{ width: `${progressView.percent}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Processing Cancelled */}
+        {processingCancelled && !isProcessing && (
+          <div className="mb-6 bg-yellow-50 border-2 border-black shadow-brutal-sm p-4 flex items-center justify-between gap-4">
+            <p className="text-black text-sm font-medium">
+              Processing was cancelled. Change the mappings or settings, or run it again.
+            </p>
+            <button
+              onClick={() => setProcessingRun(run => run + 1)}
+              className="px-3 py-1 text-sm font-bold bg-main text-white border-2 border-black shadow-brutal-sm hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all"
+            >
+              Run again
+            </button>
           </div>
         )}
 
@@ -261,8 +606,11 @@ function App() {
             <ValidationResults
               validation={validation}
               optimizationSummary={optimizationSummary}
-              onRemoveErrorRows={handleRemoveErrorRows}
-              errorRowCount={errorRowIndices.length}
+              currencyConversion={currencyConversion}
+              onRemoveErrorRows={isStreamed ? undefined : handleRemoveErrorRows}
+              filteredRows={filteredRows}
+              onDownloadRejects={handleDownloadRejects}
+              errorRowCount={errorRowKeys.length}
             />
           </>
         )}
@@ -278,6 +626,8 @@ function App() {
               data={optimizedData.length > 0 ? optimizedData : mappedData}
               mode={mode}
               validation={validation}
+              totalRows={isStreamed ? validation.summary.total : undefined}
+              showConversionName={conversionNameValues.length > 0}
             />
           </>
         )}
@@ -291,12 +641,25 @@ function App() {
             </div>
             <DownloadButton
               data={exportData}
+              file={exportFile}
               mode={mode}
               disabled={!validation.canExport || !settingsValid}
-              filename={filename}
+              filename={files.length === 1 ? files[0].filename : ''}
+              rejectCount={rejectCount}
+              onDownloadRejects={handleDownloadRejects}
+              onDownload={handleExported}
             />
           </>
         )}
+
+        {isLedgerAvailable() && (
+          <UploadHistory
+            batches={uploadBatches}
+            onDelete={handleDeleteUpload}
+            onPrune={handlePruneUploads}
+            onExport={handleExportUploads}
+          />
+        )}
       </main>
 
       {/* Footer */}
@@ -0,0 +1,51 @@
+/**
+ * @jest-environment node
+ */
+import { spawnSync } from 'child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import * as XLSX from 'xlsx';
+
+const CLI = join(__dirname, '..', 'bin', 'oct-formatter.mjs');
+const GCLID = 'Cj0KCQiAw9qOBhC-ARIsAG-rdn7aaaaaaaaaaaaaaaaaaaX';
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+
+describe('oct-formatter CLI', () => {
+  let dir;
+  let workbook;
+  let workbookBytes;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'oct-cli-'));
+    workbook = join(dir, 'w.xlsx');
+    const conversionTime = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 19).replace('T', ' ');
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet([
+      { 'Google Click ID': GCLID, 'Conversion Time': conversionTime, 'Conversion Value': '10', 'Conversion Currency': 'EUR' }
+    ]), 'Conversions');
+    workbookBytes = XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+    writeFileSync(workbook, workbookBytes);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes an Excel input next to it as CSV without touching the workbook', () => {
+    const result = run('--conversion-name', 'Purchase', workbook);
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain(`Wrote 1 rows to ${join(dir, 'w-google-ads.csv')}`);
+    expect(readFileSync(join(dir, 'w-google-ads.csv'), 'utf8')).toContain(GCLID);
+    expect(existsSync(join(dir, 'w-google-ads.report.json'))).toBe(true);
+    expect(readFileSync(workbook).equals(workbookBytes)).toBe(true);
+  }, 60000);
+
+  test('refuses to overwrite an input file', () => {
+    const result = run('--conversion-name', 'Purchase', '--out', workbook, workbook);
+    expect(result.status).toBe(2);
+    expect(result.stderr).toContain('is an input file');
+    expect(readFileSync(workbook).equals(workbookBytes)).toBe(true);
+  }, 60000);
+});
@@ -1,14 +1,48 @@
-import React, { useEffect } from 'react';
-import { autoDetectColumns, getFieldsForMode } from '../utils/columnMapper';
+import React, { useEffect, useState } from 'react';
+import { detectColumns, getFieldsForMode } from '../utils/columnMapper';
+import { CONTENT_TYPES } from '../utils/constants';
 
-const ColumnMapper = ({ headers, mode, mappings, onChange }) => {
+// How sniffed column contents are described next to the column name
+const CONTENT_TYPE_LABELS = {
+  [CONTENT_TYPES.GCLID]: 'GCLIDs',
+  [CONTENT_TYPES.GBRAID]: 'GBRAIDs',
+  [CONTENT_TYPES.WBRAID]: 'WBRAIDs',
+  [CONTENT_TYPES.EMAIL]: 'emails',
+  [CONTENT_TYPES.PHONE]: 'phone numbers',
+  [CONTENT_TYPES.COUNTRY]: 'country codes',
+  [CONTENT_TYPES.POSTAL]: 'postal codes',
+  [CONTENT_TYPES.DATE]: 'dates',
+  [CONTENT_TYPES.MONEY]: 'amounts'
+};
+
+// Confidence labels for auto-detected suggestions
+const getConfidenceBadge = (score) => {
+  if (score >= 0.85) return { label: 'High', className: 'bg-green-100 text-green-800' };
+  if (score >= 0.65) return { label: 'Medium', className: 'bg-yellow-100 text-yellow-800' };
+  return { label: 'Low', className: 'bg-red-100 text-red-800' };
+};
+
+const ColumnMapper = ({ headers, rows, mode, mappings, presetMappings, onChange }) => {
   const fields = getFieldsForMode(mode);
+  // Auto-detected suggestions and their scores (field -> { column, score })
+  const [suggestions, setSuggestions] = useState({});
+  // What each column's values look like (column -> content type or null)
+  const [contentTypes, setContentTypes] = useState({});
 
-  // Auto-detect columns when headers or mode change
+  // Auto-detect columns when headers or mode change (a saved profile's mappings win)
   useEffect(() => {
     if (headers && headers.length > 0) {
-      const detected = autoDetectColumns(headers, mode);
-      onChange(detected);
+      const detected = detectColumns(headers, mode, rows);
+      setContentTypes(detected.contentTypes);
+      if (presetMappings) {
+        setSuggestions({});
+        onChange(presetMappings);
+        return;
+      }
+      setSuggestions(Object.fromEntries(Object.entries(detected.mappings).map(([field, column]) => (
+        [field, { column, score: detected.confidence[field] }]
+      ))));
+      onChange(detected.mappings);
     }
   }, [headers, mode]); // eslint-disable-line react-hooks/exhaustive-deps
 
@@ -26,7 +60,9 @@ const ColumnMapper = ({ headers, mode, mappings, onChange }) => {
   return (
     <div className="mb-6">
       <p className="text-sm text-gray-600 font-medium mb-4">
-        We've auto-detected your columns. Adjust if needed.
+        {presetMappings
+          ? 'Columns mapped from your saved profile. Adjust if needed.'
+          : "We've auto-detected your columns. Adjust if needed."}
       </p>
 
       <div className="bg-white border-2 border-black shadow-brutal overflow-hidden">
@@ -48,6 +84,11 @@ const ColumnMapper = ({ headers, mode, mappings, onChange }) => {
             {fields.map((field) => {
               const isMapped = !!mappings[field.name];
               const isRequired = field.required;
+              // Only show a confidence while the auto-detected column is still selected
+              const suggestion = suggestions[field.name];
+              const confidence = suggestion && suggestion.column === mappings[field.name]
+                ? getConfidenceBadge(suggestion.score)
+                : null;
 
               return (
                 <tr key={field.name} className={!isMapped && isRequired ? 'bg-red-50' : 'bg-white'}>
@@ -71,16 +112,26 @@ const ColumnMapper = ({ headers, mode, mappings, onChange }) => {
                       <option value="">-- Select column --</option>
                       {headers.map((header) => (
                         <option key={header} value={header}>
-                          {header}
+                          {header}{contentTypes[header] ? ` (${CONTENT_TYPE_LABELS[contentTypes[header]]})` : ''}
                         </option>
                       ))}
                     </select>
                   </td>
                   <td className="px-4 py-3">
                     {isMapped ? (
-                      <span className="inline-flex items-center px-2 py-1 border-2 border-black text-xs font-bold bg-green-400 text-black">
-                        ✓ Mapped
-                      </span>
+                      <div className="flex flex-wrap items-center gap-1">
+                        <span className="inline-flex items-center px-2 py-1 border-2 border-black text-xs font-bold bg-green-400 text-black">
+                          ✓ Mapped
+                        </span>
+                        {confidence && (
+                          <span
+                            className={`inline-flex items-center px-2 py-1 border-2 border-black text-xs font-bold ${confidence.className}`}
+                            title="How closely the column's name and contents match this field"
+                          >
+                            {confidence.label} · {Math.round(suggestion.score * 100)}%
+                          </span>
+                        )}
+                      </div>
                     ) : isRequired ? (
                       <span className="inline-flex items-center px-2 py-1 border-2 border-black text-xs font-bold bg-red-400 text-black">
                         Required
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 
-const DataPreview = ({ data, mode, validation, maxRows = 10 }) => {
+// totalRows: rows in the whole batch when `data` is only a sample (streamed files)
+// showConversionName: a per-row conversion name column is mapped
+const DataPreview = ({ data, mode, validation, totalRows, showConversionName, maxRows = 10 }) => {
   const [showAll, setShowAll] = useState(false);
 
   if (!data || data.length === 0) return null;
@@ -8,10 +10,35 @@ const DataPreview = ({ data, mode, validation, maxRows = 10 }) => {
   // Get columns to display based on mode
   const columns = mode === 'standard'
     ? ['gclid', 'conversionTime', 'conversionValue', 'currency']
+    : mode === 'adjustment'
+    ? ['orderId', 'gclid', 'conversionTime', 'adjustmentType', 'adjustmentTime', 'conversionValue', 'currency']
     : ['email', 'phone', 'firstName', 'lastName', 'country', 'zip', 'conversionTime', 'conversionValue', 'currency'];
 
+  // iOS click IDs only appear when some rows carry them
+  if (mode === 'standard') {
+    ['gbraid', 'wbraid'].forEach(field => {
+      if (data.some(row => row[field])) columns.splice(columns.indexOf('conversionTime'), 0, field);
+    });
+  }
+
+  // Show the per-row conversion name only when a column is mapped for it
+  // (optimized rows all carry the name they export under)
+  if (showConversionName) {
+    columns.push('conversionName');
+  }
+
+  // Order IDs are optional outside adjustments: shown only when mapped
+  if (mode !== 'adjustment' && data.some(row => row.orderId)) {
+    columns.push('orderId');
+  }
+  if (mode === 'facebook' && data.some(row => row.eventId)) {
+    columns.push('eventId');
+  }
+
   const columnLabels = {
     gclid: 'GCLID',
+    gbraid: 'GBRAID',
+    wbraid: 'WBRAID',
     email: 'Email',
     phone: 'Phone',
     firstName: 'First Name',
@@ -20,22 +47,27 @@ const DataPreview = ({ data, mode, validation, maxRows = 10 }) => {
     zip: 'Zip',
     conversionTime: 'Conversion Time',
     conversionValue: 'Value',
-    currency: 'Currency'
+    currency: 'Currency',
+    conversionName: 'Conversion Name',
+    orderId: 'Order ID',
+    eventId: 'Event ID',
+    adjustmentType: 'Adjustment Type',
+    adjustmentTime: 'Adjustment Time'
   };
 
   // Create a map of issues by row and field
   const issueMap = {};
   if (validation?.issues) {
     validation.issues.forEach(issue => {
-      const key = `${issue.rowIndex}-${issue.field}`;
+      const key = `${issue.fileIndex ?? ''}-${issue.rowIndex}-${issue.field}`;
       if (!issueMap[key] || issue.type === 'error') {
         issueMap[key] = issue;
       }
     });
   }
 
-  const getCellClass = (rowIndex, field) => {
-    const issue = issueMap[`${rowIndex}-${field}`];
+  const getCellClass = (row, rowIndex, field) => {
+    const issue = issueMap[`${row._fileIndex ?? ''}-${rowIndex}-${field}`];
     if (!issue) return 'text-black';
 
     switch (issue.type) {
@@ -48,6 +80,9 @@ const DataPreview = ({ data, mode, validation, maxRows = 10 }) => {
     }
   };
 
+  // Rows merged into others by deduplication (listed on the row they were merged into)
+  const mergedCount = data.reduce((sum, row) => sum + (row._mergedRows ? row._mergedRows.length : 0), 0);
+
   const displayData = showAll ? data : data.slice(0, maxRows);
   const hasMore = data.length > maxRows;
 
@@ -62,7 +97,16 @@ const DataPreview = ({ data, mode, validation, maxRows = 10 }) => {
   return (
     <div className="mb-6">
       <div className="flex items-center gap-3 mb-2">
-        <span className="text-sm font-bold text-gray-600">{data.length} rows</span>
+        <span className="text-sm font-bold text-gray-600">
+          {totalRows !== undefined
+            ? `First ${data.length.toLocaleString()} of ${totalRows.toLocaleString()} rows`
+            : `${data.length} rows`}
+        </span>
+        {mergedCount > 0 && (
+          <span className="text-sm font-bold text-blue-700">
+            {mergedCount} duplicate row{mergedCount !== 1 ? 's' : ''} merged
+          </span>
+        )}
       </div>
 
       <div className="border-2 border-black shadow-brutal overflow-hidden">
@@ -82,17 +126,35 @@ const DataPreview = ({ data, mode, validation, maxRows = 10 }) => {
             </thead>
             <tbody className="bg-white divide-y-2 divide-black">
               {displayData.map((row, idx) => (
-                <tr key={idx} className="hover:bg-gray-50">
+                <tr key={idx} className={row._mergedRows ? 'bg-blue-50 hover:bg-blue-100' : 'hover:bg-gray-50'}>
                   <td className="px-3 py-2 text-sm font-bold text-gray-500">
                     {row._rowIndex || idx + 1}
+                    {(row._sourceFile || row._sourceSheet) && (
+                      <div className="text-xs font-medium text-gray-400">
+                        {[row._sourceFile, row._sourceSheet].filter(Boolean).join(' / ')}
+                      </div>
+                    )}
+                    {row._mergedRows && (
+                      <div className="text-xs font-bold text-blue-700 whitespace-nowrap">
+                        + merged {row._mergedRows.map(merged => (merged.file ? `${merged.file} ${merged.rowIndex}` : merged.rowIndex)).join(', ')}
+                      </div>
+                    )}
                   </td>
                   {columns.map(col => (
                     <td
                       key={col}
-                      className={`px-3 py-2 text-sm font-medium ${getCellClass(row._rowIndex || idx + 1, col)}`}
+                      className={`px-3 py-2 text-sm font-medium ${getCellClass(row, row._rowIndex || idx + 1, col)}`}
                       title={row[col] || ''}
                     >
                       {truncate(row[col])}
+                      {col === 'conversionTime' && row._originalOffset && (
+                        <div className="text-xs font-medium text-gray-400">from {row._originalOffset}</div>
+                      )}
+                      {col === 'conversionValue' && row._currencyConversion && (
+                        <div className="text-xs font-medium text-gray-400">
+                          from {row._currencyConversion.originalValue} {row._currencyConversion.originalCurrency} @ {row._currencyConversion.rate}
+                        </div>
+                      )}
                     </td>
                   ))}
                 </tr>
@@ -1,18 +1,22 @@
 import React from 'react';
-import { downloadCSV } from '../utils/csvParser';
+import { downloadCSV, downloadFile, getExportFilename } from '../utils/csvParser';
 import { GOOGLE_ADS_COLUMNS, MODES } from '../utils/constants';
 
-const DownloadButton = ({ data, mode, disabled, filename }) => {
+// `file` ({ blob, rows }) is the export of a streamed batch, already written as CSV;
+// `rejectCount` rows left out of the upload can be downloaded with `onDownloadRejects`;
+// `onDownload` is called after each upload file download
+const DownloadButton = ({ data, file, mode, disabled, filename, rejectCount = 0, onDownloadRejects, onDownload }) => {
   const handleDownload = () => {
-    const columns = GOOGLE_ADS_COLUMNS[mode];
-    const outputFilename = mode === MODES.FACEBOOK
-      ? (filename ? filename.replace('.csv', '-meta.csv') : 'meta-conversions.csv')
-      : (filename ? filename.replace('.csv', '-google-ads.csv') : 'google-ads-conversions.csv');
-
-    downloadCSV(data, columns, outputFilename);
+    if (file) {
+      downloadFile(file.blob, getExportFilename(mode, filename), file.blob.type);
+    } else {
+      downloadCSV(data, GOOGLE_ADS_COLUMNS[mode], getExportFilename(mode, filename));
+    }
+    onDownload?.();
   };
 
-  const isReady = !disabled && data && data.length > 0;
+  const rowCount = file ? file.rows : (data ? data.length : 0);
+  const isReady = !disabled && rowCount > 0;
 
   return (
     <div className="flex items-center gap-4">
@@ -28,9 +32,20 @@ const DownloadButton = ({ data, mode, disabled, filename }) => {
         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2.5" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
         </svg>
-        {mode === MODES.FACEBOOK ? 'Download Meta CSV' : 'Download Google Ads CSV'}
+        {mode === MODES.FACEBOOK ? 'Download Meta CSV'
+          : mode === MODES.ADJUSTMENT ? 'Download Adjustments CSV'
+          : 'Download Google Ads CSV'}
       </button>
 
+      {rejectCount > 0 && onDownloadRejects && (
+        <button
+          onClick={onDownloadRejects}
+          className="px-4 py-3 border-2 border-black bg-white text-black font-bold text-sm shadow-brutal-sm hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all"
+        >
+          Download rejected rows ({rejectCount})
+        </button>
+      )}
+
       {disabled && (
         <span className="text-sm font-bold text-red-600">
           Fix errors before downloading
@@ -39,7 +54,7 @@ const DownloadButton = ({ data, mode, disabled, filename }) => {
 
       {isReady && (
         <span className="text-sm font-medium text-gray-500">
-          {data.length} rows ready for export
+          {rowCount} rows ready for export
         </span>
       )}
     </div>
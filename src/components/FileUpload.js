@@ -1,18 +1,23 @@
-import React, { useCallback, useState } from 'react';
-import { parseCSV } from '../utils/csvParser';
+import React, { useCallback, useEffect, useState } from 'react';
+import { mergeSheets } from '../utils/csvParser';
+import { parseFileInBackground } from '../utils/backgroundPipeline';
+import { SOURCE_SHEET_COLUMN, STREAMING_THRESHOLD_BYTES, STREAMING_PREVIEW_ROWS } from '../utils/constants';
 
-// File size limits (in bytes)
-const FILE_SIZE_LIMITS = {
-  csv: 50 * 1024 * 1024,    // 50MB for CSV
-  excel: 20 * 1024 * 1024,  // 20MB for Excel
-};
+// Excel size limit (in bytes). Larger CSVs are streamed instead (STREAMING_THRESHOLD_BYTES).
+const EXCEL_SIZE_LIMIT = 20 * 1024 * 1024;
 const ROW_LIMIT = 50000;
 
 const FileUpload = ({ onFileLoaded, disabled }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [warning, setWarning] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+  // Multi-sheet workbooks waiting for the user to pick sheets (handled one at a time)
+  const [pendingWorkbooks, setPendingWorkbooks] = useState([]);
+  const [selectedSheets, setSelectedSheets] = useState([]);
+  // CSV exports without a header row get 'Column 1' .. 'Column N' headers
+  const [hasHeaderRow, setHasHeaderRow] = useState(true);
+  const pendingWorkbook = pendingWorkbooks[0] || null;
 
   // Supported file extensions
   const supportedExtensions = ['.csv', '.xls', '.xlsx', '.xlsm', '.xlsb'];
@@ -28,59 +33,109 @@ const FileUpload = ({ onFileLoaded, disabled }) => {
     return excelExtensions.some(e => ext.endsWith(e));
   };
 
-  const handleFile = useCallback(async (file) => {
-    if (!file) return;
+  // Pre-select the first non-empty sheet whenever a new workbook comes up for picking
+  useEffect(() => {
+    if (!pendingWorkbook) return;
+    const firstWithRows = pendingWorkbook.sheets.find(sheet => sheet.rowCount > 0);
+    setSelectedSheets(firstWithRows ? [firstWithRows.name] : []);
+  }, [pendingWorkbook]);
 
-    if (!isValidFile(file.name)) {
-      setError('Please upload a CSV or Excel file (.csv, .xls, .xlsx)');
+  // `stream` ({ source, hasHeaderRow }) marks a large CSV of which only a preview was parsed
+  const loadResult = useCallback((filename, result, sheetNames, stream) => {
+    if (result.data.length === 0) {
+      setErrors(prev => [...prev, `${filename}: The file appears to be empty`]);
       return;
     }
 
-    setIsLoading(true);
-    setError(null);
-    setWarning(null);
+    // Check row count
+    if (!stream && result.data.length > ROW_LIMIT) {
+      setWarnings(prev => [...prev, `${filename}: Large dataset (${result.data.length.toLocaleString()} rows). Performance may be affected. Consider splitting into smaller files.`]);
+    }
+
+    onFileLoaded({
+      filename,
+      data: result.data,
+      headers: result.headers,
+      parseErrors: result.errors,
+      sheets: sheetNames,
+      ...stream
+    });
+  }, [onFileLoaded]);
+
+  const handleFile = useCallback(async (file) => {
+    if (!isValidFile(file.name)) {
+      setErrors(prev => [...prev, `${file.name}: Please upload a CSV or Excel file (.csv, .xls, .xlsx)`]);
+      return;
+    }
 
-    // Check file size limits
+    // Check file size limits: large CSVs are streamed, large workbooks can only be loaded whole
     const isExcel = isExcelFile(file.name);
-    const sizeLimit = isExcel ? FILE_SIZE_LIMITS.excel : FILE_SIZE_LIMITS.csv;
-    const sizeLimitMB = sizeLimit / (1024 * 1024);
+    const streamed = !isExcel && file.size > STREAMING_THRESHOLD_BYTES;
+    const sizeMB = Math.round(file.size / (1024 * 1024));
 
-    if (file.size > sizeLimit) {
-      setWarning(`Large file detected (>${sizeLimitMB}MB). Processing may be slow or fail on some devices.`);
+    if (isExcel && file.size > EXCEL_SIZE_LIMIT) {
+      setWarnings(prev => [...prev, `${file.name}: Large file detected (>${EXCEL_SIZE_LIMIT / (1024 * 1024)}MB). Processing may be slow or fail on some devices.`]);
+    }
+    if (streamed) {
+      setWarnings(prev => [...prev, `${file.name}: Large file (${sizeMB}MB). Only the first ${STREAMING_PREVIEW_ROWS.toLocaleString()} rows are loaded for mapping and preview; the whole file is read in chunks when processing.`]);
     }
 
     try {
-      const result = await parseCSV(file);
+      const result = await parseFileInBackground(file, {
+        hasHeaderRow,
+        ...(streamed && { preview: STREAMING_PREVIEW_ROWS })
+      });
 
-      if (result.data.length === 0) {
-        setError('The file appears to be empty');
+      // Workbooks with several sheets: let the user choose which ones to load
+      if (result.sheets && result.sheets.length > 1) {
+        setPendingWorkbooks(prev => [...prev, { filename: file.name, sheets: result.sheets }]);
         return;
       }
 
-      // Check row count
-      if (result.data.length > ROW_LIMIT) {
-        setWarning(`Large dataset (${result.data.length.toLocaleString()} rows). Performance may be affected. Consider splitting into smaller files.`);
-      }
-
-      onFileLoaded({
-        filename: file.name,
-        data: result.data,
-        headers: result.headers,
-        parseErrors: result.errors
-      });
+      loadResult(file.name, result, undefined, streamed ? { source: file, hasHeaderRow } : undefined);
     } catch (err) {
-      setError(`Error parsing file: ${err.message}`);
-    } finally {
-      setIsLoading(false);
+      setErrors(prev => [...prev, `${file.name}: Error parsing file: ${err.message}`]);
+    }
+  }, [loadResult, hasHeaderRow]);
+
+  // Parse every selected/dropped file; each one is loaded as a separate source
+  const handleFiles = useCallback(async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    setIsLoading(true);
+    setErrors([]);
+    setWarnings([]);
+
+    for (const file of files) {
+      await handleFile(file);
     }
-  }, [onFileLoaded]);
+
+    setIsLoading(false);
+  }, [handleFile]);
+
+  const toggleSheet = (name) => {
+    setSelectedSheets(prev => prev.includes(name)
+      ? prev.filter(n => n !== name)
+      : [...prev, name]);
+  };
+
+  const handleLoadSheets = () => {
+    if (!pendingWorkbook || selectedSheets.length === 0) return;
+    const merged = mergeSheets(pendingWorkbook.sheets, selectedSheets);
+    setPendingWorkbooks(prev => prev.slice(1));
+    loadResult(pendingWorkbook.filename, merged, selectedSheets);
+  };
+
+  const handleSkipWorkbook = () => {
+    setPendingWorkbooks(prev => prev.slice(1));
+  };
 
   const handleDrop = useCallback((e) => {
     e.preventDefault();
     setIsDragging(false);
-    const file = e.dataTransfer.files[0];
-    handleFile(file);
-  }, [handleFile]);
+    handleFiles(e.dataTransfer.files);
+  }, [handleFiles]);
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -93,9 +148,10 @@ const FileUpload = ({ onFileLoaded, disabled }) => {
   }, []);
 
   const handleInputChange = useCallback((e) => {
-    const file = e.target.files[0];
-    handleFile(file);
-  }, [handleFile]);
+    handleFiles(e.target.files);
+    // Allow the same file to be picked again after it was removed
+    e.target.value = '';
+  }, [handleFiles]);
 
   const zoneClass = isDragging
     ? 'border-2 border-black bg-main cursor-pointer'
@@ -114,6 +170,7 @@ const FileUpload = ({ onFileLoaded, disabled }) => {
         <input
           type="file"
           accept=".csv,.xls,.xlsx,.xlsm,.xlsb"
+          multiple
           onChange={handleInputChange}
           disabled={disabled || isLoading}
           className="absolute inset-0 w-full h-full opacity-0 cursor-pointer disabled:cursor-not-allowed"
@@ -125,7 +182,7 @@ const FileUpload = ({ onFileLoaded, disabled }) => {
               <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
               <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
             </svg>
-            <span className="font-bold">Processing file...</span>
+            <span className="font-bold">Processing files...</span>
           </div>
         ) : (
           <>
@@ -143,7 +200,7 @@ const FileUpload = ({ onFileLoaded, disabled }) => {
               )}
             </p>
             <p className={`text-sm font-medium ${isDragging ? 'text-white' : 'text-gray-500'}`}>
-              CSV or Excel files (.csv, .xls, .xlsx)
+              CSV or Excel files (.csv, .xls, .xlsx) • Select several files to merge them
             </p>
             <p className={`text-xs mt-2 ${isDragging ? 'text-white' : 'text-gray-400'}`}>
               Recommended: up to 50,000 rows • Max ~50MB CSV / ~20MB Excel
@@ -152,20 +209,90 @@ const FileUpload = ({ onFileLoaded, disabled }) => {
         )}
       </div>
 
-      {warning && (
-        <div className="mt-3 text-sm font-medium text-black bg-yellow-50 border-2 border-black shadow-brutal-sm p-3 flex items-start">
+      <label className="mt-2 flex items-center gap-2 text-sm font-medium text-black">
+        <input
+          type="checkbox"
+          checked={!hasHeaderRow}
+          onChange={(e) => setHasHeaderRow(!e.target.checked)}
+          disabled={disabled || isLoading}
+        />
+        CSV has no header row
+        <span className="text-gray-500">(columns are named Column 1, Column 2, … and matched by their content)</span>
+      </label>
+
+      {pendingWorkbook && (
+        <div className="mt-3 bg-white border-2 border-black shadow-brutal p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="font-black text-black text-sm">
+              {pendingWorkbook.filename} has {pendingWorkbook.sheets.length} sheets — choose which to load
+            </h4>
+            <button
+              type="button"
+              onClick={() => setSelectedSheets(pendingWorkbook.sheets.filter(sheet => sheet.rowCount > 0).map(sheet => sheet.name))}
+              className="text-sm font-bold text-black underline hover:no-underline"
+            >
+              Select all
+            </button>
+          </div>
+          <ul className="space-y-1 mb-3">
+            {pendingWorkbook.sheets.map(sheet => (
+              <li key={sheet.name}>
+                <label className={`flex items-center gap-2 text-sm font-medium ${sheet.rowCount === 0 ? 'text-gray-400' : 'text-black'}`}>
+                  <input
+                    type="checkbox"
+                    checked={selectedSheets.includes(sheet.name)}
+                    disabled={sheet.rowCount === 0}
+                    onChange={() => toggleSheet(sheet.name)}
+                  />
+                  <span className="font-bold">{sheet.name}</span>
+                  <span className="text-gray-500">
+                    {sheet.rowCount.toLocaleString()} rows • headers on row {sheet.headerRow}
+                  </span>
+                </label>
+              </li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={handleLoadSheets}
+            disabled={selectedSheets.length === 0}
+            className={`px-4 py-2 border-2 border-black text-sm font-bold transition-all ${
+              selectedSheets.length > 0
+                ? 'bg-main text-white shadow-brutal-sm hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px]'
+                : 'bg-gray-200 text-gray-500 cursor-not-allowed'
+            }`}
+          >
+            Load {selectedSheets.length} sheet{selectedSheets.length !== 1 ? 's' : ''}
+          </button>
+          <button
+            type="button"
+            onClick={handleSkipWorkbook}
+            className="ml-3 text-sm font-bold text-red-600 hover:text-red-800 underline"
+          >
+            Skip file
+          </button>
+          {selectedSheets.length > 1 && (
+            <p className="mt-2 text-xs text-gray-500 font-medium">
+              Rows are merged into one dataset with a "{SOURCE_SHEET_COLUMN}" column.
+            </p>
+          )}
+        </div>
+      )}
+
+      {warnings.map((warning, idx) => (
+        <div key={idx} className="mt-3 text-sm font-medium text-black bg-yellow-50 border-2 border-black shadow-brutal-sm p-3 flex items-start">
           <svg className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
             <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
           </svg>
           {warning}
         </div>
-      )}
+      ))}
 
-      {error && (
-        <div className="mt-3 text-sm font-bold text-red-700 bg-red-50 border-2 border-black border-l-4 border-l-red-600 p-3">
+      {errors.map((error, idx) => (
+        <div key={idx} className="mt-3 text-sm font-bold text-red-700 bg-red-50 border-2 border-black border-l-4 border-l-red-600 p-3">
           {error}
         </div>
-      )}
+      ))}
     </div>
   );
 };
@@ -15,7 +15,7 @@ const ModeSelector = ({ mode, onChange }) => {
         >
           <div className="font-black mb-1 text-base">Standard (GCLID)</div>
           <div className="text-sm opacity-80 font-medium">
-            For conversions with Google Click ID. 90-day attribution window.
+            For conversions with Google Click ID (or GBRAID/WBRAID from iOS). 90-day attribution window.
           </div>
         </button>
 
@@ -38,6 +38,16 @@ const ModeSelector = ({ mode, onChange }) => {
             For offline conversions with email/phone. Data is hashed automatically. 90-day window.
           </div>
         </button>
+
+        <button
+          onClick={() => onChange(MODES.ADJUSTMENT)}
+          className={`${btnBase} ${mode === MODES.ADJUSTMENT ? btnActive : btnInactive}`}
+        >
+          <div className="font-black mb-1 text-base">Adjustments</div>
+          <div className="text-sm opacity-80 font-medium">
+            Retract or restate existing Google Ads conversions by Order ID or GCLID.
+          </div>
+        </button>
       </div>
     </div>
   );
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+
+const buttonClass = 'px-3 py-2 text-sm font-bold border-2 border-black shadow-brutal-sm hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all disabled:bg-gray-200 disabled:text-gray-500 disabled:shadow-none disabled:translate-x-0 disabled:translate-y-0 disabled:cursor-not-allowed';
+const inputClass = 'px-3 py-2 border-2 border-black bg-white focus:outline-none focus:ring-2 focus:ring-black font-medium';
+
+const ProfileManager = ({ profiles, canSave, saveSource, onSave, onApply, onDelete, onExport, onImport }) => {
+  const [selectedId, setSelectedId] = useState('');
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const selected = profiles.find(profile => profile.id === selectedId) || null;
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+    const replaced = profiles.some(profile => profile.name.toLowerCase() === name.trim().toLowerCase());
+    onSave(name.trim());
+    setMessage({ type: 'info', text: `Profile "${name.trim()}" ${replaced ? 'updated' : 'saved'}` });
+    setName('');
+  };
+
+  const handleDelete = () => {
+    if (!selected) return;
+    onDelete(selected.id);
+    setSelectedId('');
+    setMessage({ type: 'info', text: `Profile "${selected.name}" deleted` });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const count = onImport(await file.text());
+      setMessage({ type: 'info', text: `Imported ${count} profile${count !== 1 ? 's' : ''}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Import failed: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="bg-white border-2 border-black shadow-brutal p-5 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-black text-black text-base">
+          Profiles
+          <span className="ml-1 text-gray-400 cursor-help font-normal text-sm" title="A profile stores the mode, column mappings and settings for one data source. It's applied automatically when an uploaded file has the same columns.">
+            ⓘ
+          </span>
+        </h3>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onExport}
+            disabled={profiles.length === 0}
+            className={`${buttonClass} bg-white text-black`}
+          >
+            Export JSON
+          </button>
+          <label className={`${buttonClass} bg-white text-black cursor-pointer`}>
+            Import JSON
+            <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Apply or delete a saved profile */}
+        <div className="flex gap-2">
+          <select
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className={`${inputClass} flex-1 min-w-0`}
+          >
+            <option value="">{profiles.length > 0 ? 'Select a profile' : 'No saved profiles'}</option>
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>
+                {profile.name} ({profile.mode})
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => onApply(selected)}
+            disabled={!selected}
+            className={`${buttonClass} bg-main text-white`}
+          >
+            Apply
+          </button>
+          <button
+            type="button"
+            onClick={handleDelete}
+            disabled={!selected}
+            className={`${buttonClass} bg-white text-red-600`}
+          >
+            Delete
+          </button>
+        </div>
+
+        {/* Save the current mode, mappings and settings */}
+        <div>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Profile name, e.g. Shopify orders"
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!canSave || !name.trim()}
+              className={`${buttonClass} bg-main text-white`}
+            >
+              Save current
+            </button>
+          </div>
+          <p className="mt-1 text-xs text-gray-500 font-medium">
+            {canSave
+              ? `Saves the mode, settings and the column mappings of ${saveSource}`
+              : 'Upload and map a file to save a profile'}
+          </p>
+        </div>
+      </div>
+
+      {message && (
+        <p className={`mt-3 text-sm font-bold ${message.type === 'error' ? 'text-red-600' : 'text-gray-600'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ProfileManager;
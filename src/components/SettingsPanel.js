@@ -1,14 +1,81 @@
-import React from 'react';
-import { TIMEZONES, CURRENCIES, MODES } from '../utils/constants';
+import React, { useState } from 'react';
+import {
+  TIMEZONES,
+  CURRENCIES,
+  MODES,
+  DATE_ORDERS,
+  PHONE_REGIONS,
+  ZERO_VALUE_ACTIONS,
+  DEDUPE_STRATEGIES,
+  DEDUPE_KEYS,
+  DEDUPE_TIME_GRANULARITIES,
+  LEDGER_ACTIONS
+} from '../utils/constants';
+import { parseExchangeRates } from '../utils/csvParser';
+import { getDedupeKeys } from '../utils/dedupe';
+
+// Every IANA zone the browser knows about, beyond the common ones in TIMEZONES
+const otherTimezones = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone').filter(tz => !TIMEZONES.some(common => common.value === tz))
+  : [];
+
+// Regions with a phone numbering plan, by name
+const PHONE_REGION_OPTIONS = Object.entries(PHONE_REGIONS).sort((a, b) => a[1].name.localeCompare(b[1].name));
+
+const DEDUPE_KEY_LABELS = {
+  [DEDUPE_KEYS.CLICK_ID]: 'Click ID',
+  [DEDUPE_KEYS.EMAIL_PHONE]: 'Email + phone (hashed)',
+  [DEDUPE_KEYS.EMAIL]: 'Email (hashed)',
+  [DEDUPE_KEYS.PHONE]: 'Phone (hashed)',
+  [DEDUPE_KEYS.ORDER_ID]: 'Order ID'
+};
+
+const DEDUPE_TIME_LABELS = {
+  [DEDUPE_TIME_GRANULARITIES.EXACT]: 'Same exact time',
+  [DEDUPE_TIME_GRANULARITIES.MINUTE]: 'Same minute',
+  [DEDUPE_TIME_GRANULARITIES.HOUR]: 'Same hour',
+  [DEDUPE_TIME_GRANULARITIES.DAY]: 'Same day',
+  [DEDUPE_TIME_GRANULARITIES.ANY]: 'Any time'
+};
 
 const inputClass = 'w-full px-3 py-2 border-2 border-black bg-white focus:outline-none focus:ring-2 focus:ring-black font-medium';
 const labelClass = 'block text-xs font-bold uppercase tracking-wider text-black mb-1';
 
-const SettingsPanel = ({ settings, onChange, mode }) => {
+const SettingsPanel = ({ settings, onChange, mode, conversionNameValues = [] }) => {
   const handleChange = (field, value) => {
     onChange({ ...settings, [field]: value });
   };
 
+  const handleNameMapChange = (sourceValue, conversionName) => {
+    onChange({
+      ...settings,
+      conversionNameMap: { ...(settings.conversionNameMap || {}), [sourceValue]: conversionName }
+    });
+  };
+
+  // Raw rates table text and its parse errors (the parsed table lives in settings)
+  const [ratesText, setRatesText] = useState('');
+  const [ratesErrors, setRatesErrors] = useState([]);
+
+  const handleRatesChange = (text) => {
+    setRatesText(text);
+    const { rates, errors } = parseExchangeRates(text);
+    setRatesErrors(text.trim() ? errors : []);
+    handleChange('exchangeRates', rates);
+  };
+
+  const handleRatesUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    handleRatesChange(await file.text());
+    e.target.value = '';
+  };
+
+  const nameMap = settings.conversionNameMap || {};
+  const nameLabel = mode === MODES.FACEBOOK ? 'Event Name' : 'Conversion Name';
+  const rates = settings.exchangeRates || {};
+  const rateCount = Object.values(rates).reduce((sum, entries) => sum + entries.length, 0);
+
   return (
     <div className="bg-white border-2 border-black shadow-brutal p-5 mb-6">
       <h3 className="font-black text-black mb-4 text-base">Conversion Settings</h3>
@@ -61,21 +128,92 @@ const SettingsPanel = ({ settings, onChange, mode }) => {
             Default Timezone *
           </label>
           <select
-            value={settings.timezone || '+00:00'}
+            value={settings.timezone || 'UTC'}
             onChange={(e) => handleChange('timezone', e.target.value)}
             className={inputClass}
           >
-            {TIMEZONES.map((tz, index) => (
-              <option key={`${tz.value}-${index}`} value={tz.value}>
-                {tz.label}
-              </option>
-            ))}
+            <optgroup label="Common">
+              {TIMEZONES.map((tz) => (
+                <option key={tz.value} value={tz.value}>
+                  {tz.label}
+                </option>
+              ))}
+            </optgroup>
+            {otherTimezones.length > 0 && (
+              <optgroup label="All timezones">
+                {otherTimezones.map((tz) => (
+                  <option key={tz} value={tz}>
+                    {tz.replace(/_/g, ' ')}
+                  </option>
+                ))}
+              </optgroup>
+            )}
           </select>
           <p className="mt-1 text-xs text-gray-500 font-medium">
-            Applied when dates don't include timezone
+            Applied when dates don't include timezone. Daylight saving time is applied per row.
           </p>
         </div>
 
+        {/* Date Format (day/month order for dates like 03/04/2026) */}
+        <div>
+          <label className={labelClass}>
+            Date Format
+            <span className="ml-1 text-gray-400 cursor-help normal-case font-normal tracking-normal" title="Dates like 03/04/2026 can mean March 4th or April 3rd. Auto-detect checks the whole column (a first number above 12 means day first) and warns when it can't tell.">
+              ⓘ
+            </span>
+          </label>
+          <select
+            value={settings.dateOrder || DATE_ORDERS.AUTO}
+            onChange={(e) => handleChange('dateOrder', e.target.value)}
+            className={inputClass}
+          >
+            <option value={DATE_ORDERS.AUTO}>Auto-detect</option>
+            <option value={DATE_ORDERS.MDY}>Month first (MM/DD/YYYY)</option>
+            <option value={DATE_ORDERS.DMY}>Day first (DD/MM/YYYY)</option>
+          </select>
+          <p className="mt-1 text-xs text-gray-500 font-medium">
+            Only affects dates with day and month before the year
+          </p>
+        </div>
+
+        {/* Account Timezone (Google modes: Facebook exports Unix timestamps) */}
+        {mode !== MODES.FACEBOOK && (
+          <div>
+            <label className={labelClass}>
+              Account Timezone
+              <span className="ml-1 text-gray-400 cursor-help normal-case font-normal tracking-normal" title="Converts every conversion time into your Google Ads account's timezone so the export doesn't mix offsets. Find it under Admin → Account settings.">
+                ⓘ
+              </span>
+            </label>
+            <select
+              value={settings.targetTimezone || ''}
+              onChange={(e) => handleChange('targetTimezone', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Keep source offsets</option>
+              <optgroup label="Common">
+                {TIMEZONES.map((tz) => (
+                  <option key={tz.value} value={tz.value}>
+                    {tz.label}
+                  </option>
+                ))}
+              </optgroup>
+              {otherTimezones.length > 0 && (
+                <optgroup label="All timezones">
+                  {otherTimezones.map((tz) => (
+                    <option key={tz} value={tz}>
+                      {tz.replace(/_/g, ' ')}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+            <p className="mt-1 text-xs text-gray-500 font-medium">
+              Converts all times into this timezone before export
+            </p>
+          </div>
+        )}
+
         {/* Default Currency */}
         <div>
           <label className={labelClass}>
@@ -94,10 +232,191 @@ const SettingsPanel = ({ settings, onChange, mode }) => {
             ))}
           </select>
           <p className="mt-1 text-xs text-gray-500 font-medium">
-            Applied when conversion value exists but currency is missing
+            Used for rows without a mapped currency value
+          </p>
+        </div>
+
+        {/* Reporting Currency (convert every value with the rates table below) */}
+        <div>
+          <label className={labelClass}>
+            Reporting Currency
+            <span className="ml-1 text-gray-400 cursor-help normal-case font-normal tracking-normal" title="Converts every conversion value into one currency using an exchange rates table you provide. Nothing is fetched from the internet.">
+              ⓘ
+            </span>
+          </label>
+          <select
+            value={settings.reportingCurrency || ''}
+            onChange={(e) => handleChange('reportingCurrency', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Keep original currencies</option>
+            {CURRENCIES.map((currency) => (
+              <option key={currency} value={currency}>
+                {currency}
+              </option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500 font-medium">
+            Converts values using the rate for each conversion date
+          </p>
+        </div>
+
+        {/* Rows without a value (zero-value filter; adjustments keep every row) */}
+        {mode !== MODES.ADJUSTMENT && (
+          <div>
+            <label className={labelClass}>
+              Rows Without Value
+              <span className="ml-1 text-gray-400 cursor-help normal-case font-normal tracking-normal" title="Rows whose conversion value is empty or 0. Lead-gen conversions often have no value: keep them, or give them a fixed value. Removed rows are listed under Validation and can be downloaded as a rejects file.">
+                ⓘ
+              </span>
+            </label>
+            <select
+              value={settings.zeroValueRows || ZERO_VALUE_ACTIONS.DROP}
+              onChange={(e) => handleChange('zeroValueRows', e.target.value)}
+              className={inputClass}
+            >
+              <option value={ZERO_VALUE_ACTIONS.DROP}>Remove from upload</option>
+              <option value={ZERO_VALUE_ACTIONS.KEEP}>Keep without a value</option>
+              <option value={ZERO_VALUE_ACTIONS.DEFAULT}>Use a default value</option>
+            </select>
+            {settings.zeroValueRows === ZERO_VALUE_ACTIONS.DEFAULT ? (
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={settings.defaultConversionValue || ''}
+                onChange={(e) => handleChange('defaultConversionValue', e.target.value)}
+                placeholder="Default value, e.g. 1"
+                className={`${inputClass} mt-2`}
+              />
+            ) : (
+              <p className="mt-1 text-xs text-gray-500 font-medium">
+                Rows whose conversion value is empty or 0
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Duplicates (merged after normalization; adjustments are never merged) */}
+        {getDedupeKeys(mode).length > 0 && (
+          <div>
+            <label className={labelClass}>
+              Duplicates
+              <span className="ml-1 text-gray-400 cursor-help normal-case font-normal tracking-normal" title="Rows are compared after normalization and hashing, so differently written copies of the same conversion match. Rows with the same key and conversion name are merged into one (keeping the highest value only compares rows in one currency; mixed currencies keep the latest row); merged rows are marked in the preview and listed in the rejects file. Not applied to large files processed in chunks.">
+                ⓘ
+              </span>
+            </label>
+            <select
+              value={settings.dedupeStrategy || DEDUPE_STRATEGIES.OFF}
+              onChange={(e) => handleChange('dedupeStrategy', e.target.value)}
+              className={inputClass}
+            >
+              <option value={DEDUPE_STRATEGIES.OFF}>Only warn</option>
+              <option value={DEDUPE_STRATEGIES.EARLIEST}>Keep earliest</option>
+              <option value={DEDUPE_STRATEGIES.LATEST}>Keep latest</option>
+              <option value={DEDUPE_STRATEGIES.HIGHEST}>Keep highest value</option>
+              <option value={DEDUPE_STRATEGIES.SUM}>Sum values (same currency)</option>
+            </select>
+            {settings.dedupeStrategy && settings.dedupeStrategy !== DEDUPE_STRATEGIES.OFF ? (
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                <select
+                  value={getDedupeKeys(mode).includes(settings.dedupeKey) ? settings.dedupeKey : getDedupeKeys(mode)[0]}
+                  onChange={(e) => handleChange('dedupeKey', e.target.value)}
+                  className={inputClass}
+                  title="Key"
+                >
+                  {getDedupeKeys(mode).map(key => (
+                    <option key={key} value={key}>{DEDUPE_KEY_LABELS[key]}</option>
+                  ))}
+                </select>
+                <select
+                  value={settings.dedupeTime || DEDUPE_TIME_GRANULARITIES.EXACT}
+                  onChange={(e) => handleChange('dedupeTime', e.target.value)}
+                  className={inputClass}
+                  title="Conversion time"
+                >
+                  {Object.values(DEDUPE_TIME_GRANULARITIES).map(granularity => (
+                    <option key={granularity} value={granularity}>{DEDUPE_TIME_LABELS[granularity]}</option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <p className="mt-1 text-xs text-gray-500 font-medium">
+                Possible duplicates are flagged but uploaded
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Rows found in the upload history (see UploadHistory) */}
+        <div>
+          <label className={labelClass}>
+            Previously Uploaded Rows
+            <span className="ml-1 text-gray-400 cursor-help normal-case font-normal tracking-normal" title="Rows are checked against the upload history kept in this browser: every downloaded upload file is recorded there. Re-uploaded conversions may be rejected or counted twice. Not checked for large files processed in chunks.">
+              ⓘ
+            </span>
+          </label>
+          <select
+            value={settings.uploadHistory || LEDGER_ACTIONS.WARN}
+            onChange={(e) => handleChange('uploadHistory', e.target.value)}
+            className={inputClass}
+          >
+            <option value={LEDGER_ACTIONS.WARN}>Warn</option>
+            <option value={LEDGER_ACTIONS.FILTER}>Remove from upload</option>
+            <option value={LEDGER_ACTIONS.OFF}>Don't check</option>
+          </select>
+          <p className="mt-1 text-xs text-gray-500 font-medium">
+            Rows already in an earlier downloaded file
           </p>
         </div>
 
+        {/* Default Phone Region (modes that hash phone numbers) */}
+        {(mode === MODES.EC4L || mode === MODES.FACEBOOK) && (
+          <div>
+            <label className={labelClass}>
+              Default Phone Region
+              <span className="ml-1 text-gray-400 cursor-help normal-case font-normal tracking-normal" title="Phone numbers are normalized to E.164 (+491711234567) before hashing. Numbers without a country code use the row's Country column, or this region when the row has none.">
+                ⓘ
+              </span>
+            </label>
+            <select
+              value={settings.defaultRegion || ''}
+              onChange={(e) => handleChange('defaultRegion', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">No default</option>
+              {PHONE_REGION_OPTIONS.map(([code, region]) => (
+                <option key={code} value={code}>
+                  {region.name} (+{region.callingCode})
+                </option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500 font-medium">
+              Used for national numbers in rows without a country
+            </p>
+          </div>
+        )}
+
+        {/* Email typo auto-correct (modes that hash emails) */}
+        {(mode === MODES.EC4L || mode === MODES.FACEBOOK) && (
+          <div>
+            <label className={labelClass}>
+              Email Typos
+              <span className="ml-1 text-gray-400 cursor-help normal-case font-normal tracking-normal" title="Domains one typo away from a common provider (gmial.com, hotmial.com) or with a misspelled ending (.con) are reported. With auto-correct on, they're fixed before hashing.">
+                ⓘ
+              </span>
+            </label>
+            <label className="flex items-center gap-2 py-2 text-sm font-medium text-black">
+              <input
+                type="checkbox"
+                checked={Boolean(settings.autocorrectEmails)}
+                onChange={(e) => handleChange('autocorrectEmails', e.target.checked)}
+              />
+              Auto-correct domain typos (gmial.com → gmail.com)
+            </label>
+          </div>
+        )}
+
         {/* Data Processing Options (Facebook only) */}
         {mode === MODES.FACEBOOK && (
           <div>
@@ -137,6 +456,94 @@ const SettingsPanel = ({ settings, onChange, mode }) => {
           </div>
         )}
       </div>
+
+      {/* Conversion Name Lookup (only when a per-row name column is mapped) */}
+      {conversionNameValues.length > 0 && (
+        <div className="mt-5">
+          <label className={labelClass}>
+            {nameLabel} Lookup
+            <span className="ml-1 text-gray-400 cursor-help normal-case font-normal tracking-normal" title={`Each value found in your mapped ${nameLabel} column must be translated to the exact name configured in ${mode === MODES.FACEBOOK ? 'Events Manager' : 'Google Ads'}. Empty cells use the ${nameLabel} above.`}>
+              ⓘ
+            </span>
+          </label>
+          <div className="border-2 border-black overflow-hidden">
+            <table className="min-w-full">
+              <thead className="bg-black">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-black text-white uppercase tracking-wider">
+                    Value in your file
+                  </th>
+                  <th className="px-3 py-2 text-left text-xs font-black text-white uppercase tracking-wider">
+                    {nameLabel}
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y-2 divide-black">
+                {conversionNameValues.map((sourceValue) => {
+                  const isMapped = !!(nameMap[sourceValue] && nameMap[sourceValue].trim());
+                  return (
+                    <tr key={sourceValue} className={isMapped ? 'bg-white' : 'bg-red-50'}>
+                      <td className="px-3 py-2 text-sm font-bold text-black">{sourceValue}</td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="text"
+                          value={nameMap[sourceValue] || ''}
+                          onChange={(e) => handleNameMapChange(sourceValue, e.target.value)}
+                          placeholder={mode === MODES.FACEBOOK ? 'e.g. purchase' : 'e.g., Closed Won'}
+                          className={`${inputClass} ${isMapped ? '' : 'border-red-600'}`}
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-1 text-xs text-gray-500 font-medium">
+            Unmapped values are reported as errors. Rows with an empty cell use the {nameLabel} above.
+          </p>
+        </div>
+      )}
+
+      {/* Exchange Rates (only when converting into a reporting currency) */}
+      {settings.reportingCurrency && (
+        <div className="mt-5">
+          <div className="flex items-center justify-between mb-1">
+            <label className={`${labelClass} mb-0`}>
+              Exchange Rates
+              <span className="ml-1 text-gray-400 cursor-help normal-case font-normal tracking-normal" title={`One rate per line: the value of 1 unit of the currency in ${settings.reportingCurrency}. The latest rate on or before each conversion date is used (up to a week back).`}>
+                ⓘ
+              </span>
+            </label>
+            <label className="text-sm font-bold text-black underline cursor-pointer">
+              Upload CSV
+              <input type="file" accept=".csv,.txt" onChange={handleRatesUpload} className="hidden" />
+            </label>
+          </div>
+          <textarea
+            value={ratesText}
+            onChange={(e) => handleRatesChange(e.target.value)}
+            placeholder={'date,currency,rate\n2026-10-01,EUR,1.08'}
+            rows={5}
+            className={`${inputClass} font-mono text-sm`}
+          />
+          <p className={`mt-1 text-xs font-medium ${rateCount > 0 ? 'text-gray-500' : 'text-red-600'}`}>
+            {rateCount > 0
+              ? `${rateCount} rate${rateCount !== 1 ? 's' : ''} loaded for ${Object.keys(rates).sort().join(', ')}`
+              : 'No rates loaded - values will keep their original currency'}
+          </p>
+          {ratesErrors.length > 0 && (
+            <ul className="mt-1 text-xs text-red-600 font-medium">
+              {ratesErrors.slice(0, 5).map((error, idx) => (
+                <li key={idx}>{error}</li>
+              ))}
+              {ratesErrors.length > 5 && (
+                <li className="font-black">...and {ratesErrors.length - 5} more</li>
+              )}
+            </ul>
+          )}
+        </div>
+      )}
     </div>
   );
 };
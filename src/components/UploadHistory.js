@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+
+const buttonClass = 'px-3 py-2 text-sm font-bold border-2 border-black shadow-brutal-sm hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all disabled:bg-gray-200 disabled:text-gray-500 disabled:shadow-none disabled:translate-x-0 disabled:translate-y-0 disabled:cursor-not-allowed';
+const inputClass = 'px-3 py-2 border-2 border-black bg-white focus:outline-none focus:ring-2 focus:ring-black font-medium';
+
+// `batches` are the exports recorded in the upload ledger, newest first
+const UploadHistory = ({ batches, onDelete, onPrune, onExport }) => {
+  const [days, setDays] = useState('90');
+  const [message, setMessage] = useState(null);
+
+  const run = async (action, describe) => {
+    try {
+      setMessage({ type: 'info', text: describe(await action()) });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Upload history: ${error.message}` });
+    }
+  };
+
+  const handleDelete = (batch) => run(() => onDelete(batch.id), () => 'Export removed from the history');
+
+  const handlePrune = () => {
+    const count = parseInt(days, 10);
+    if (!(count > 0)) return;
+    run(() => onPrune(count), removed => `Removed ${removed} export${removed !== 1 ? 's' : ''} older than ${count} days`);
+  };
+
+  const handleClear = () => run(() => onPrune(), removed => `Removed ${removed} export${removed !== 1 ? 's' : ''}`);
+
+  return (
+    <div className="bg-white border-2 border-black shadow-brutal p-5 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-black text-black text-base">
+          Upload History
+          <span className="ml-1 text-gray-400 cursor-help font-normal text-sm" title="Every downloaded upload file is recorded in this browser as hashed keys (click ID or hashed email/phone, conversion name and time). Later files are checked against it, see Previously Uploaded Rows in Settings. No row data is stored.">
+            ⓘ
+          </span>
+        </h3>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => run(onExport, () => 'Upload history exported')}
+            disabled={batches.length === 0}
+            className={`${buttonClass} bg-white text-black`}
+          >
+            Export JSON
+          </button>
+          <button
+            type="button"
+            onClick={handleClear}
+            disabled={batches.length === 0}
+            className={`${buttonClass} bg-white text-red-600`}
+          >
+            Clear all
+          </button>
+        </div>
+      </div>
+
+      {batches.length === 0 ? (
+        <p className="text-sm text-gray-500 font-medium">No exports recorded yet</p>
+      ) : (
+        <div className="border-2 border-black max-h-64 overflow-y-auto">
+          <table className="min-w-full">
+            <thead className="bg-black sticky top-0">
+              <tr>
+                {['Exported', 'File', 'Mode', 'Conversion', 'Rows', ''].map(label => (
+                  <th key={label} className="px-3 py-2 text-left text-xs font-black text-white uppercase tracking-wider">
+                    {label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y-2 divide-black">
+              {batches.map(batch => (
+                <tr key={batch.id}>
+                  <td className="px-3 py-2 text-sm font-medium whitespace-nowrap">{new Date(batch.exportedAt).toLocaleString()}</td>
+                  <td className="px-3 py-2 text-sm font-medium">{batch.filename || 'Several files'}</td>
+                  <td className="px-3 py-2 text-sm font-medium">{batch.mode}</td>
+                  <td className="px-3 py-2 text-sm font-medium">{batch.conversionName || '—'}</td>
+                  <td className="px-3 py-2 text-sm font-bold">{batch.rows}</td>
+                  <td className="px-3 py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(batch)}
+                      className="text-sm font-bold text-red-600 underline hover:no-underline"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2 mt-4">
+        <span className="text-sm font-bold text-black">Remove exports older than</span>
+        <input
+          type="number"
+          min="1"
+          value={days}
+          onChange={(e) => setDays(e.target.value)}
+          className={`${inputClass} w-20`}
+        />
+        <span className="text-sm font-bold text-black">days</span>
+        <button
+          type="button"
+          onClick={handlePrune}
+          disabled={batches.length === 0 || !(parseInt(days, 10) > 0)}
+          className={`${buttonClass} bg-white text-black`}
+        >
+          Prune
+        </button>
+      </div>
+
+      {message && (
+        <p className={`mt-3 text-sm font-bold ${message.type === 'error' ? 'text-red-600' : 'text-gray-600'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default UploadHistory;
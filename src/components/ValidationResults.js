@@ -1,13 +1,24 @@
 import React from 'react';
 
-const ValidationResults = ({ validation, optimizationSummary, onRemoveErrorRows, errorRowCount }) => {
+// " (file.csv, Sheet1)" suffix for rows merged from several files or sheets
+const formatSource = (issue) => {
+  const parts = [issue.file, issue.sheet].filter(Boolean);
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+};
+
+const ValidationResults = ({ validation, optimizationSummary, currencyConversion, onRemoveErrorRows, errorRowCount, filteredRows, onDownloadRejects }) => {
   if (!validation) return null;
 
   const { summary, issues } = validation;
 
-  // Group issues by type
+  // Group issues by type. For streamed batches `issues` is only a sample, and
+  // issueCounts has the number of rows per message.
   const errors = issues.filter(i => i.type === 'error');
   const warnings = issues.filter(i => i.type === 'warning');
+  const notes = issues.filter(i => i.type === 'info');
+  const countsOf = (type) => Object.entries(validation.issueCounts || {})
+    .filter(([, entry]) => entry.type === type)
+    .sort((a, b) => b[1].count - a[1].count);
 
   // Convert optimization summary to info items
   const infoItems = optimizationSummary
@@ -76,13 +87,20 @@ const ValidationResults = ({ validation, optimizationSummary, onRemoveErrorRows,
           <ul className="space-y-1 text-sm text-red-800 font-medium">
             {errors.slice(0, 10).map((error, idx) => (
               <li key={idx}>
-                Row {error.rowIndex}: {error.message}
+                Row {error.rowIndex}{formatSource(error)}: {error.message}
               </li>
             ))}
-            {errors.length > 10 && (
-              <li className="font-black">...and {errors.length - 10} more errors</li>
+            {summary.errors > 10 && (
+              <li className="font-black">...and {summary.errors - 10} more errors</li>
             )}
           </ul>
+          {countsOf('error').length > 0 && (
+            <ul className="mt-2 pt-2 border-t-2 border-red-200 space-y-1 text-sm text-red-800 font-medium">
+              {countsOf('error').map(([message, entry]) => (
+                <li key={message}>{message}: {entry.count.toLocaleString()} rows</li>
+              ))}
+            </ul>
+          )}
         </div>
       )}
 
@@ -98,13 +116,78 @@ const ValidationResults = ({ validation, optimizationSummary, onRemoveErrorRows,
           <ul className="space-y-1 text-sm text-yellow-800 font-medium">
             {warnings.slice(0, 10).map((warning, idx) => (
               <li key={idx}>
-                Row {warning.rowIndex}: {warning.message}
+                Row {warning.rowIndex}{formatSource(warning)}: {warning.message}
+              </li>
+            ))}
+            {summary.warnings > 10 && (
+              <li className="font-black">...and {summary.warnings - 10} more warnings</li>
+            )}
+          </ul>
+          {countsOf('warning').length > 0 && (
+            <ul className="mt-2 pt-2 border-t-2 border-yellow-200 space-y-1 text-sm text-yellow-800 font-medium">
+              {countsOf('warning').map(([message, entry]) => (
+                <li key={message}>{message}: {entry.count.toLocaleString()} rows</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Notes List (e.g. times moved into the account timezone) */}
+      {notes.length > 0 && (
+        <div className="bg-blue-50 border-2 border-black border-l-4 border-l-blue-500 p-4">
+          <h4 className="font-black text-blue-800 mb-2 text-sm">
+            Notes — export allowed
+          </h4>
+          <ul className="space-y-1 text-sm text-blue-800 font-medium">
+            {notes.slice(0, 10).map((note, idx) => (
+              <li key={idx}>
+                Row {note.rowIndex}{formatSource(note)}: {note.message}
               </li>
             ))}
-            {warnings.length > 10 && (
-              <li className="font-black">...and {warnings.length - 10} more warnings</li>
+            {summary.info > 10 && (
+              <li className="font-black">...and {summary.info - 10} more notes</li>
             )}
           </ul>
+          {countsOf('info').length > 0 && (
+            <ul className="mt-2 pt-2 border-t-2 border-blue-200 space-y-1 text-sm text-blue-800 font-medium">
+              {countsOf('info').map(([message, entry]) => (
+                <li key={message}>{message}: {entry.count.toLocaleString()} rows</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Rows removed by the zero-value filter (not part of the upload) */}
+      {filteredRows && filteredRows.count > 0 && (
+        <div className="bg-gray-50 border-2 border-black border-l-4 border-l-gray-500 p-4">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-black text-black text-sm">
+              Removed Rows — {filteredRows.count} row{filteredRows.count !== 1 ? 's' : ''} with zero or no value left out of the upload
+            </h4>
+            {onDownloadRejects && (
+              <button
+                onClick={onDownloadRejects}
+                className="px-3 py-1 text-sm font-bold bg-white text-black border-2 border-black shadow-brutal-sm hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all"
+              >
+                Download rejects
+              </button>
+            )}
+          </div>
+          <ul className="space-y-1 text-sm text-gray-800 font-medium">
+            {filteredRows.rows.slice(0, 10).map((row, idx) => (
+              <li key={idx}>
+                Row {row.rowIndex}{formatSource(row)}: {row.message}
+              </li>
+            ))}
+            {filteredRows.count > 10 && (
+              <li className="font-black">...and {filteredRows.count - 10} more rows</li>
+            )}
+          </ul>
+          <p className="mt-2 text-xs text-gray-500 font-medium">
+            Change "Rows Without Value" in Settings to keep these rows or give them a default value.
+          </p>
         </div>
       )}
 
@@ -127,6 +210,50 @@ const ValidationResults = ({ validation, optimizationSummary, onRemoveErrorRows,
         </div>
       )}
 
+      {/* Email checks (modes that hash emails) */}
+      {summary.emails && (summary.emails.rejected > 0 || summary.emails.typos > 0 || summary.emails.corrected > 0) && (
+        <div className={`border-2 border-black border-l-4 p-4 ${summary.emails.rejected > 0 || summary.emails.typos > 0 ? 'bg-yellow-50 border-l-yellow-500' : 'bg-blue-50 border-l-blue-500'}`}>
+          <h4 className="font-black text-black mb-2 text-sm">Email Checks</h4>
+          <ul className="space-y-1 text-sm text-gray-800 font-medium">
+            {summary.emails.rejected > 0 && (
+              <li>{summary.emails.rejected} email{summary.emails.rejected !== 1 ? 's' : ''} rejected as invalid or placeholder (not hashed)</li>
+            )}
+            {summary.emails.typos > 0 && (
+              <li>{summary.emails.typos} email{summary.emails.typos !== 1 ? 's' : ''} with a likely domain typo (turn on auto-correct in Settings to fix)</li>
+            )}
+            {summary.emails.corrected > 0 && (
+              <li>{summary.emails.corrected} email domain typo{summary.emails.corrected !== 1 ? 's' : ''} corrected</li>
+            )}
+          </ul>
+        </div>
+      )}
+
+      {/* Reporting currency conversion */}
+      {currencyConversion && (
+        <div className={`border-2 border-black border-l-4 p-4 ${currencyConversion.missingRates.length > 0 ? 'bg-yellow-50 border-l-yellow-500' : 'bg-blue-50 border-l-blue-500'}`}>
+          <h4 className="font-black text-black mb-2 text-sm">
+            Currency Conversion — {currencyConversion.converted} row{currencyConversion.converted !== 1 ? 's' : ''} converted to {currencyConversion.currency}
+          </h4>
+          {currencyConversion.missingRates.length > 0 && (
+            <>
+              <p className="text-sm text-yellow-800 font-medium mb-1">
+                No rate found for these currency/date pairs (values kept in their original currency):
+              </p>
+              <ul className="space-y-1 text-sm text-yellow-800 font-medium">
+                {currencyConversion.missingRates.slice(0, 10).map((missing) => (
+                  <li key={`${missing.currency}-${missing.date}`}>
+                    {missing.currency} on {missing.date} ({missing.count} row{missing.count !== 1 ? 's' : ''})
+                  </li>
+                ))}
+                {currencyConversion.missingRates.length > 10 && (
+                  <li className="font-black">...and {currencyConversion.missingRates.length - 10} more</li>
+                )}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
       {/* Success message */}
       {summary.errors === 0 && summary.warnings === 0 && (
         <div className="bg-green-50 border-2 border-black border-l-4 border-l-green-500 p-4">
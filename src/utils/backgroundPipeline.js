@@ -0,0 +1,102 @@
+/**
+ * Background pipeline: runs parsing, validation, optimization and hashing in a
+ * pool of Web Workers so that large files don't freeze the page. Falls back to
+ * the main thread where workers aren't available.
+ */
+import { createWorkerPool } from './workerPool';
+import { parseFile } from './csvParser';
+import { processBatch, finishBatch } from './pipeline';
+import { summarizeOptimization } from './optimizer';
+import { streamBatch } from './streamingPipeline';
+
+// Workers beyond this rarely help: hashing is the bottleneck and the digests
+// of each worker already run concurrently
+const MAX_WORKERS = 4;
+
+let poolPromise = null;
+
+/**
+ * Get the shared worker pool, sized to the CPU (one core is left for the page)
+ * @returns {Promise<Object|null>} - Pool from createWorkerPool, or null without Worker support
+ */
+const getPool = () => {
+  if (typeof Worker === 'undefined') return Promise.resolve(null);
+  if (!poolPromise) {
+    const size = Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1));
+    poolPromise = import('./createPipelineWorker')
+      .then(({ createPipelineWorker }) => createWorkerPool(createPipelineWorker, size));
+  }
+  return poolPromise;
+};
+
+/**
+ * Parse a file (CSV or Excel) in a worker (see parseFile)
+ * @param {File} file - The file to parse
+ * @param {Object} [options] - Parse options (hasHeaderRow)
+ * @returns {Promise<{data: Array, headers: Array, errors: Array}>}
+ */
+export const parseFileInBackground = async (file, options) => {
+  const workers = await getPool();
+  return workers ? workers.run('parse', { file, options }) : parseFile(file, options);
+};
+
+/**
+ * Run parsed files through the whole pipeline (see processBatch). Validation
+ * runs in one worker; the rows are then split across the pool for optimizing.
+ * Batches with a streamed file (see streamBatch) run chunk by chunk in one worker.
+ * @param {Array} files - Parsed files: [{ filename, data, mappings }]
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} settings - User settings
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { stage: 'validate'|'optimize', done, total },
+ *   or { stage: 'stream', done, percent } for streamed batches
+ * @param {AbortSignal} [options.signal] - Cancels the run (rejects with an AbortError)
+ * @returns {Promise<Object>} - { mapped, removedCount, dropped, merged, validation, optimization, exportData },
+ *   plus exportFile and rejectsFile for streamed batches
+ */
+export const processBatchInBackground = async (files, mode, settings, { onProgress, signal } = {}) => {
+  const workers = await getPool();
+
+  if (files.some(file => file.source)) {
+    onProgress?.({ stage: 'stream', done: 0, percent: 0 });
+    return workers
+      ? workers.run('stream', { files, mode, settings }, { onProgress, signal })
+      : streamBatch(files, mode, settings, { onProgress, signal });
+  }
+
+  const rowCount = files.reduce((sum, file) => sum + file.data.length, 0);
+  onProgress?.({ stage: 'validate', done: 0, total: rowCount });
+  if (!workers) {
+    return processBatch(files, mode, settings, {
+      onProgress: progress => onProgress?.({ stage: 'optimize', ...progress }),
+      signal
+    });
+  }
+
+  const prepared = await workers.run('prepare', { files, mode, settings }, { signal });
+
+  // One chunk per worker; each reports how many of its rows are done
+  const total = prepared.mapped.length;
+  const chunkSize = Math.max(1, Math.ceil(total / workers.size));
+  const chunks = [];
+  for (let start = 0; start < total; start += chunkSize) {
+    chunks.push(prepared.mapped.slice(start, start + chunkSize));
+  }
+  const doneByChunk = chunks.map(() => 0);
+  onProgress?.({ stage: 'optimize', done: 0, total });
+
+  const parts = await Promise.all(chunks.map((rows, index) => workers.run(
+    'optimize',
+    { rows, mode, settings, dateOrders: prepared.dateOrders },
+    {
+      signal,
+      onProgress: ({ done }) => {
+        doneByChunk[index] = done;
+        onProgress?.({ stage: 'optimize', done: doneByChunk.reduce((sum, n) => sum + n, 0), total });
+      }
+    }
+  )));
+
+  const optimization = summarizeOptimization(prepared.mapped, parts.flat(), settings);
+  return finishBatch(prepared, optimization, mode, settings);
+};
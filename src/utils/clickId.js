@@ -0,0 +1,194 @@
+/**
+ * Click ID helpers: safe clean-up of GCLID/GBRAID/WBRAID values, structural
+ * checks, and decoding the click timestamp some GCLIDs carry.
+ */
+import { CLICK_ID_LENGTH, CLICK_ID_PLACEHOLDERS, VALIDATION_MESSAGES } from './constants';
+
+// Earliest plausible click timestamp (2014-01-01), in seconds
+const MIN_CLICK_SECONDS = 1388534400;
+// Nested messages deeper than this are not searched for a timestamp
+const MAX_PROTO_DEPTH = 4;
+
+/**
+ * Apply the fixes that can't change a valid click ID: strip surrounding quotes,
+ * take the value out of a pasted URL or 'gclid=...' parameter, decode
+ * percent-encoding, and remove whitespace (click IDs never contain any)
+ * @param {any} value - Click ID from the source file
+ * @returns {{value: string, changes: Array<string>}}
+ */
+export const cleanClickId = (value) => {
+  const changes = [];
+  let cleaned = String(value ?? '').trim();
+  if (!cleaned) return { value: '', changes };
+
+  const unquoted = cleaned.replace(/^["'`]+|["'`]+$/g, '');
+
+  const param = unquoted.match(/(?:^|[?&#\s])(?:gclid|gbraid|wbraid)=([^&#\s]+)/i);
+  if (param) {
+    cleaned = param[1];
+    changes.push(VALIDATION_MESSAGES.info.clickIdExtracted);
+  } else {
+    cleaned = unquoted;
+  }
+
+  // Decode twice at most: IDs passed through two redirects arrive double-encoded
+  for (let i = 0; i < 2 && /%[0-9A-Fa-f]{2}/.test(cleaned); i++) {
+    try {
+      cleaned = decodeURIComponent(cleaned);
+      if (i === 0) changes.push(VALIDATION_MESSAGES.info.clickIdDecoded);
+    } catch (error) {
+      break;
+    }
+  }
+
+  const compact = cleaned.replace(/\s+/g, '');
+  if (compact !== cleaned || (!param && unquoted !== String(value).trim())) {
+    changes.push(VALIDATION_MESSAGES.info.clickIdCleaned);
+  }
+
+  return { value: compact, changes };
+};
+
+/**
+ * Check if a click ID is a tracking placeholder rather than a real value
+ * ('undefined', '(not set)', an unfilled '{gclid}' template, ...)
+ * @param {string} value - Cleaned click ID
+ * @returns {boolean}
+ */
+export const isClickIdPlaceholder = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  return CLICK_ID_PLACEHOLDERS.includes(normalized) || /^[{[]+\w*[}\]]+$/.test(normalized);
+};
+
+/**
+ * Check the structure of a cleaned click ID
+ * @param {string} value - Cleaned click ID
+ * @returns {string|null} - Key into VALIDATION_MESSAGES.errors, or null when it looks valid
+ */
+export const getClickIdProblem = (value) => {
+  if (isClickIdPlaceholder(value)) return 'clickIdPlaceholder';
+  if (!/^[A-Za-z0-9_-]+$/.test(value)) return 'invalidClickIdCharacters';
+  if (value.length < CLICK_ID_LENGTH.min) return 'clickIdTooShort';
+  if (value.length > CLICK_ID_LENGTH.max) return 'clickIdTooLong';
+  return null;
+};
+
+/**
+ * Decode URL-safe base64 into bytes
+ * @param {string} value - base64url string
+ * @returns {Uint8Array|null}
+ */
+const decodeBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  try {
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read a protobuf varint
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} pos - Start position
+ * @returns {{value: number, next: number}|null}
+ */
+const readVarint = (bytes, pos) => {
+  let value = 0;
+  let scale = 1;
+  for (let i = pos; i < bytes.length && i < pos + 10; i++) {
+    value += (bytes[i] & 0x7f) * scale;
+    scale *= 128;
+    if ((bytes[i] & 0x80) === 0) return { value, next: i + 1 };
+  }
+  return null;
+};
+
+/**
+ * Interpret a number as a click time in seconds, milliseconds or microseconds
+ * @param {number} value - Decoded varint
+ * @returns {Date|null} - The time, if plausible (2014 until tomorrow)
+ */
+const toClickTime = (value) => {
+  const maxSeconds = Date.now() / 1000 + 24 * 60 * 60;
+  for (const perSecond of [1, 1e3, 1e6]) {
+    const seconds = value / perSecond;
+    if (seconds >= MIN_CLICK_SECONDS && seconds <= maxSeconds) {
+      return new Date(Math.round(seconds * 1000));
+    }
+  }
+  return null;
+};
+
+/**
+ * Split a protobuf message into its fields
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} start - Message start
+ * @param {number} end - Message end
+ * @returns {Array<{wireType: number, value?: number, start?: number, end?: number}>|null} -
+ *   Fields, or null if the bytes aren't a well-formed message
+ */
+const readFields = (bytes, start, end) => {
+  const fields = [];
+  let pos = start;
+  while (pos < end) {
+    const tag = readVarint(bytes, pos);
+    if (!tag || tag.value < 8) return null;
+    pos = tag.next;
+
+    const wireType = tag.value % 8;
+    if (wireType === 0) {
+      const varint = readVarint(bytes, pos);
+      if (!varint) return null;
+      fields.push({ wireType, value: varint.value });
+      pos = varint.next;
+    } else if (wireType === 2) {
+      const length = readVarint(bytes, pos);
+      if (!length || length.next + length.value > end) return null;
+      fields.push({ wireType, start: length.next, end: length.next + length.value });
+      pos = length.next + length.value;
+    } else if (wireType === 1 || wireType === 5) {
+      pos += wireType === 1 ? 8 : 4;
+    } else {
+      return null;
+    }
+  }
+  return pos === end ? fields : null;
+};
+
+/**
+ * Search a protobuf message depth-first for the first varint that reads as a
+ * timestamp. Length-delimited fields are searched when they parse as messages.
+ * @param {Uint8Array} bytes - Buffer
+ * @param {Array} fields - Fields from readFields
+ * @param {number} depth - Nesting level
+ * @returns {Date|null}
+ */
+const findTimestamp = (bytes, fields, depth) => {
+  for (const field of fields) {
+    if (field.wireType === 0) {
+      const time = toClickTime(field.value);
+      if (time) return time;
+    } else if (field.wireType === 2 && depth < MAX_PROTO_DEPTH) {
+      const nested = readFields(bytes, field.start, field.end);
+      const time = nested && findTimestamp(bytes, nested, depth + 1);
+      if (time) return time;
+    }
+  }
+  return null;
+};
+
+/**
+ * Extract the click time encoded in a GCLID. GCLIDs are base64url-encoded
+ * protobuf messages that usually hold the click timestamp; the format isn't
+ * documented, so this returns null whenever no plausible timestamp is found.
+ * @param {string} gclid - Cleaned GCLID
+ * @returns {Date|null}
+ */
+export const decodeClickTime = (gclid) => {
+  if (!gclid || getClickIdProblem(gclid)) return null;
+  const bytes = decodeBase64Url(gclid);
+  const fields = bytes && readFields(bytes, 0, bytes.length);
+  return fields ? findTimestamp(bytes, fields, 0) : null;
+};
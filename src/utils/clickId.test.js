@@ -0,0 +1,85 @@
+import { cleanClickId, isClickIdPlaceholder, getClickIdProblem, decodeClickTime } from './clickId';
+import { VALIDATION_MESSAGES } from './constants';
+
+const GCLID = 'Cj0KCQiAw9qOBhC-ARIsAG-rdn7aaaaaaaaaaaaaaaaaaaX';
+
+describe('cleanClickId', () => {
+  test('leaves a clean click ID alone', () => {
+    expect(cleanClickId(GCLID)).toEqual({ value: GCLID, changes: [] });
+  });
+
+  test('extracts the click ID from a landing page URL', () => {
+    const result = cleanClickId(`https://example.com/offer?utm_source=google&gclid=${GCLID}&utm_medium=cpc`);
+    expect(result.value).toBe(GCLID);
+    expect(result.changes).toEqual([VALIDATION_MESSAGES.info.clickIdExtracted]);
+  });
+
+  test('extracts GBRAID and WBRAID parameters and URL fragments', () => {
+    expect(cleanClickId(`?gbraid=${GCLID}`).value).toBe(GCLID);
+    expect(cleanClickId(`https://example.com/#wbraid=${GCLID}`).value).toBe(GCLID);
+    expect(cleanClickId(`gclid=${GCLID}`).value).toBe(GCLID);
+  });
+
+  test('decodes percent-encoding, once or twice', () => {
+    const once = cleanClickId('Cj0KCQiAw9qOBhC%2DARIsAG%5Frdn7aaaaaaaaaaaaaaaaaaaX');
+    expect(once.value).toBe('Cj0KCQiAw9qOBhC-ARIsAG_rdn7aaaaaaaaaaaaaaaaaaaX');
+    expect(once.changes).toEqual([VALIDATION_MESSAGES.info.clickIdDecoded]);
+
+    expect(cleanClickId('Cj0KCQiAw9qOBhC%252DARIsAG-rdn7aaaaaaaaaaaaaaaaaaaX').value).toBe(GCLID);
+  });
+
+  test('keeps malformed percent-encoding as it is', () => {
+    expect(cleanClickId('Cj0KCQiAw9qOBhC%E0%A4%A').value).toBe('Cj0KCQiAw9qOBhC%E0%A4%A');
+  });
+
+  test('strips quotes and whitespace', () => {
+    expect(cleanClickId(`"${GCLID}"`)).toEqual({ value: GCLID, changes: [VALIDATION_MESSAGES.info.clickIdCleaned] });
+    expect(cleanClickId(`'${GCLID}'`).value).toBe(GCLID);
+    expect(cleanClickId('Cj0KCQiAw9qOBhC-ARIsAG- rdn7aaaaaaaaaaaaaaaaaaaX').value).toBe(GCLID);
+  });
+
+  test('returns an empty value for blanks', () => {
+    expect(cleanClickId(null)).toEqual({ value: '', changes: [] });
+    expect(cleanClickId('   ')).toEqual({ value: '', changes: [] });
+  });
+});
+
+describe('isClickIdPlaceholder', () => {
+  test.each(['undefined', '(not set)', 'N/A', '{gclid}', '[gclid]', '{{}}'])('flags %s', value => {
+    expect(isClickIdPlaceholder(value)).toBe(true);
+  });
+
+  test('accepts a real click ID', () => {
+    expect(isClickIdPlaceholder(GCLID)).toBe(false);
+  });
+});
+
+describe('getClickIdProblem', () => {
+  test('reports structural problems', () => {
+    expect(getClickIdProblem('undefined')).toBe('clickIdPlaceholder');
+    expect(getClickIdProblem('Cj0KCQiAw9qOBhC+ARIsAG/rdn7')).toBe('invalidClickIdCharacters');
+    expect(getClickIdProblem('Cj0KCQiAw9qOBhC')).toBe('clickIdTooShort');
+    expect(getClickIdProblem('a'.repeat(251))).toBe('clickIdTooLong');
+    expect(getClickIdProblem(GCLID)).toBeNull();
+  });
+});
+
+describe('decodeClickTime', () => {
+  test('reads a microsecond timestamp from a nested message', () => {
+    // { 1: { 1: 1791028800000000 }, 2: 'clickid-test-padding-xyz' }
+    expect(decodeClickTime('CgkIgKDlveKYlwMSGGNsaWNraWQtdGVzdC1wYWRkaW5nLXh5eg'))
+      .toEqual(new Date('2026-10-01T12:00:00Z'));
+  });
+
+  test('reads a millisecond timestamp from a top-level field', () => {
+    // { 2: 1791102600000, 3: 'clickid-test-padding-xyz' }
+    expect(decodeClickTime('EMCW8N2PNBoYY2xpY2tpZC10ZXN0LXBhZGRpbmcteHl6'))
+      .toEqual(new Date('2026-10-02T08:30:00Z'));
+  });
+
+  test('returns null when no plausible timestamp is found', () => {
+    expect(decodeClickTime(GCLID)).toBeNull();
+    expect(decodeClickTime('undefined')).toBeNull();
+    expect(decodeClickTime('')).toBeNull();
+  });
+});
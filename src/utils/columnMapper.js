@@ -1,4 +1,6 @@
-import { COLUMN_ALIASES } from './constants';
+import { COLUMN_ALIASES, SOURCE_SHEET_COLUMN, CONTENT_TYPES } from './constants';
+import { sniffColumns, isGenericHeader } from './contentSniffer';
+import { editDistance } from './text';
 
 /**
  * Normalize a column name for comparison
@@ -9,63 +11,229 @@ const normalizeColumnName = (name) => {
   return name.toLowerCase().trim().replace(/[^a-z0-9]/g, '');
 };
 
+// Header scores range from 0 to 1; suggestions below MIN_MATCH_SCORE are dropped
+const MIN_MATCH_SCORE = 0.5;
+
+// Sniffed content types each field can hold. Fields not listed hold free text, so
+// columns that clearly contain emails, click IDs or dates are unlikely to fit them.
+const FIELD_CONTENT_TYPES = {
+  email: [CONTENT_TYPES.EMAIL],
+  phone: [CONTENT_TYPES.PHONE],
+  gclid: [CONTENT_TYPES.GCLID, CONTENT_TYPES.GBRAID, CONTENT_TYPES.WBRAID],
+  gbraid: [CONTENT_TYPES.GBRAID],
+  wbraid: [CONTENT_TYPES.WBRAID],
+  country: [CONTENT_TYPES.COUNTRY],
+  zip: [CONTENT_TYPES.POSTAL],
+  conversionTime: [CONTENT_TYPES.DATE],
+  adjustmentTime: [CONTENT_TYPES.DATE],
+  conversionValue: [CONTENT_TYPES.MONEY]
+};
+// Plain numbers could be anything (order IDs, quantities), so only these types
+// count against fields that don't expect them
+const NUMERIC_CONTENT_TYPES = [CONTENT_TYPES.POSTAL, CONTENT_TYPES.MONEY];
+
 /**
- * Check if a header matches any of the aliases for a field
- * @param {string} header - The CSV header to check
- * @param {Array} aliases - Array of possible aliases
+ * Split a column name into lowercase word tokens ('lastLoginDate' -> ['last', 'login', 'date'])
+ * @param {string} name - Column name
+ * @returns {Array<string>}
+ */
+const tokenize = (name) => String(name)
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// One-word aliases ('date', 'last', 'value'): a header word that names a field on its own
+const ALIAS_WORDS = new Set(Object.values(COLUMN_ALIASES).flat()
+  .map(alias => tokenize(alias))
+  .filter(tokens => tokens.length === 1)
+  .map(([token]) => token));
+
+/**
+ * Check if a token sequence appears, contiguously, in another
+ * @param {Array<string>} tokens - Tokens to search in
+ * @param {Array<string>} sequence - Tokens to find
  * @returns {boolean}
  */
-const matchesAliases = (header, aliases) => {
+const containsTokens = (tokens, sequence) => {
+  for (let i = 0; i + sequence.length <= tokens.length; i++) {
+    if (sequence.every((token, j) => tokens[i + j] === token)) return true;
+  }
+  return false;
+};
+
+/**
+ * Score how well a header matches a field's aliases:
+ * - exact (ignoring case and punctuation): 1
+ * - alias words found in the header ('Lead Email' for 'email'): 0.5-0.9, higher
+ *   when the alias covers more of the header; halved when the header's last word
+ *   names a different field ('last_login_date' is a date, not a last name)
+ * - near-miss spelling ('emial' for 'email'): up to 0.8
+ * @param {string} header - The CSV header to score
+ * @param {Array} aliases - Array of possible aliases
+ * @returns {number} - Score between 0 and 1
+ */
+const scoreHeader = (header, aliases) => {
   const normalizedHeader = normalizeColumnName(header);
-  return aliases.some(alias => {
+  const headerTokens = tokenize(header);
+  const ownWords = new Set(aliases.flatMap(alias => tokenize(alias)));
+  // The last word says what a column holds ('First Purchase Date' is a date)
+  const headWord = headerTokens[headerTokens.length - 1];
+  const namesOtherField = !ownWords.has(headWord) && ALIAS_WORDS.has(headWord);
+  let best = 0;
+
+  aliases.forEach(alias => {
     const normalizedAlias = normalizeColumnName(alias);
-    return normalizedHeader === normalizedAlias || 
-           normalizedHeader.includes(normalizedAlias) ||
-           normalizedAlias.includes(normalizedHeader);
+    if (normalizedHeader === normalizedAlias) {
+      best = 1;
+      return;
+    }
+
+    const aliasTokens = tokenize(alias);
+    if (containsTokens(headerTokens, aliasTokens)) {
+      const score = 0.5 + 0.4 * (aliasTokens.length / headerTokens.length);
+      best = Math.max(best, namesOtherField ? score * 0.5 : score);
+    }
+
+    const longest = Math.max(normalizedHeader.length, normalizedAlias.length);
+    const similarity = longest > 0 ? 1 - editDistance(normalizedHeader, normalizedAlias) / longest : 0;
+    if (similarity >= 0.75) {
+      best = Math.max(best, 0.8 * similarity);
+    }
   });
+
+  return best;
 };
 
 /**
- * Auto-detect column mappings from CSV headers
+ * Adjust a header score with what the column's content says about the field
+ * @param {number} score - Header score
+ * @param {string} field - Field name
+ * @param {string} header - Column header
+ * @param {string|null} contentType - Sniffed column content type
+ * @returns {number}
+ */
+const applyContentHint = (score, field, header, contentType) => {
+  if (!contentType) return score;
+
+  const expected = FIELD_CONTENT_TYPES[field];
+  if (expected?.includes(contentType)) {
+    if (score > 0) return Math.min(1, score + 0.15);
+    // Distinctive content alone is enough for a low-confidence suggestion, a little
+    // higher for the field's own type (a GBRAID column fits 'gbraid' better than 'gclid').
+    // Amounts look like any other number, so they only count under placeholder headers.
+    if (contentType !== CONTENT_TYPES.MONEY) return expected[0] === contentType ? 0.55 : MIN_MATCH_SCORE;
+    return isGenericHeader(header) ? MIN_MATCH_SCORE : 0;
+  }
+  if (expected || !NUMERIC_CONTENT_TYPES.includes(contentType)) {
+    return score * 0.5;
+  }
+  return score;
+};
+
+/**
+ * Get the fields auto-detection looks for in a mode.
+ * conversionName is never auto-detected: mapping it changes every exported row's name.
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @returns {Array<string>}
+ */
+const getFieldsToDetect = (mode) => {
+  if (mode === 'standard') {
+    return ['gclid', 'gbraid', 'wbraid', 'conversionTime', 'conversionValue', 'currency', 'orderId'];
+  }
+  if (mode === 'facebook') {
+    return ['email', 'phone', 'firstName', 'lastName', 'city', 'state', 'country', 'zip', 'conversionTime', 'conversionValue', 'currency', 'orderId', 'eventId'];
+  }
+  if (mode === 'adjustment') {
+    return ['orderId', 'gclid', 'adjustmentType', 'adjustmentTime', 'conversionTime', 'conversionValue', 'currency'];
+  }
+  return ['email', 'phone', 'firstName', 'lastName', 'country', 'zip', 'conversionTime', 'conversionValue', 'currency', 'orderId'];
+};
+
+/**
+ * Score every header against every field and suggest mappings.
+ * The best-scoring pairs are assigned first, so each column is used for at most one field.
  * @param {Array} headers - Array of CSV header names
- * @param {string} mode - 'standard' or 'ec4l'
- * @returns {Object} - Mapping of field names to CSV column names
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Array} [rows] - Source rows, used for content hints
+ * @returns {{mappings: Object, confidence: Object, contentTypes: Object}} - Field -> column,
+ *   field -> score (0-1), and column -> sniffed content type (or null)
  */
-export const autoDetectColumns = (headers, mode) => {
-  const mappings = {};
-  
-  // Fields to detect based on mode (currency is handled by settings, not column mapping)
-  const fieldsToDetect = mode === 'standard'
-    ? ['gclid', 'conversionTime', 'conversionValue']
-    : mode === 'facebook'
-      ? ['email', 'phone', 'firstName', 'lastName', 'city', 'state', 'country', 'zip', 'conversionTime', 'conversionValue']
-      : ['email', 'phone', 'firstName', 'lastName', 'country', 'zip', 'conversionTime', 'conversionValue'];
-
-  fieldsToDetect.forEach(field => {
+export const detectColumns = (headers, mode, rows = []) => {
+  const candidates = headers.filter(header => header !== SOURCE_SHEET_COLUMN);
+  const sniffed = sniffColumns(rows, candidates);
+  const contentTypes = {};
+  candidates.forEach(header => {
+    contentTypes[header] = sniffed[header]?.type || null;
+  });
+
+  const pairs = [];
+  getFieldsToDetect(mode).forEach(field => {
     const aliases = COLUMN_ALIASES[field];
     if (!aliases) return;
 
-    const matchedHeader = headers.find(header => matchesAliases(header, aliases));
-    if (matchedHeader) {
-      mappings[field] = matchedHeader;
-    }
+    candidates.forEach(header => {
+      const score = applyContentHint(scoreHeader(header, aliases), field, header, contentTypes[header]);
+      if (score >= MIN_MATCH_SCORE) {
+        pairs.push({ field, header, score });
+      }
+    });
   });
 
-  return mappings;
+  // Stable sort keeps field and column order as the tie-breaker
+  pairs.sort((a, b) => b.score - a.score);
+
+  const mappings = {};
+  const confidence = {};
+  const usedHeaders = new Set();
+  pairs.forEach(({ field, header, score }) => {
+    if (mappings[field] || usedHeaders.has(header)) return;
+    mappings[field] = header;
+    confidence[field] = score;
+    usedHeaders.add(header);
+  });
+
+  return { mappings, confidence, contentTypes };
 };
 
+/**
+ * Auto-detect column mappings from CSV headers
+ * @param {Array} headers - Array of CSV header names
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Array} [rows] - Source rows, used for content hints
+ * @returns {Object} - Mapping of field names to CSV column names
+ */
+export const autoDetectColumns = (headers, mode, rows) => detectColumns(headers, mode, rows).mappings;
+
 /**
  * Get available fields for a mode
- * @param {string} mode - 'standard' or 'ec4l'
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
  * @returns {Array} - Array of field definitions with name, label, and required status
  */
 export const getFieldsForMode = (mode) => {
-  // Note: Currency is NOT included here - it's set via the Default Currency setting
   if (mode === 'standard') {
     return [
-      { name: 'gclid', label: 'Google Click ID (GCLID)', required: true },
+      { name: 'gclid', label: 'Google Click ID (GCLID)', required: false, note: 'Exactly one of GCLID, GBRAID or WBRAID required per row' },
+      { name: 'gbraid', label: 'GBRAID', required: false, note: 'iOS app campaign click ID' },
+      { name: 'wbraid', label: 'WBRAID', required: false, note: 'iOS web click ID' },
       { name: 'conversionTime', label: 'Conversion Time', required: true },
-      { name: 'conversionValue', label: 'Conversion Value', required: false }
+      { name: 'conversionValue', label: 'Conversion Value', required: false },
+      { name: 'currency', label: 'Currency', required: false, note: 'ISO 4217 code or symbol; Default Currency is used for blank cells' },
+      { name: 'conversionName', label: 'Conversion Name', required: false, note: 'Per-row name, translated via the lookup table in Settings' },
+      { name: 'orderId', label: 'Order ID', required: false, note: 'Transaction ID; Google Ads uses it to deduplicate and to adjust the conversion later' }
+    ];
+  }
+
+  if (mode === 'adjustment') {
+    return [
+      { name: 'orderId', label: 'Order ID', required: false, note: 'Order ID or GCLID + Conversion Time required' },
+      { name: 'gclid', label: 'Google Click ID (GCLID)', required: false, note: 'Order ID or GCLID + Conversion Time required' },
+      { name: 'conversionTime', label: 'Original Conversion Time', required: false, note: 'Required when identifying by GCLID' },
+      { name: 'adjustmentType', label: 'Adjustment Type', required: true, note: 'RETRACT or RESTATE' },
+      { name: 'adjustmentTime', label: 'Adjustment Time', required: true },
+      { name: 'conversionValue', label: 'Adjusted Value', required: false, note: 'Required for RESTATE' },
+      { name: 'currency', label: 'Currency', required: false, note: 'ISO 4217 code or symbol; Default Currency is used for blank cells' },
+      { name: 'conversionName', label: 'Conversion Name', required: false, note: 'Per-row name, translated via the lookup table in Settings' }
     ];
   }
 
@@ -80,7 +248,11 @@ export const getFieldsForMode = (mode) => {
       { name: 'country', label: 'Country', required: false },
       { name: 'zip', label: 'Zip/Postal Code', required: false },
       { name: 'conversionTime', label: 'Event Time', required: true },
-      { name: 'conversionValue', label: 'Value (required for Facebook)', required: true }
+      { name: 'conversionValue', label: 'Value (required for Facebook)', required: true },
+      { name: 'currency', label: 'Currency', required: false, note: 'ISO 4217 code or symbol; Default Currency is used for blank cells' },
+      { name: 'conversionName', label: 'Event Name', required: false, note: 'Per-row name, translated via the lookup table in Settings' },
+      { name: 'orderId', label: 'Order ID', required: false },
+      { name: 'eventId', label: 'Event ID', required: false, note: 'The event_id sent by the Pixel or Conversions API for the same event, so Meta can deduplicate' }
     ];
   }
 
@@ -92,7 +264,10 @@ export const getFieldsForMode = (mode) => {
     { name: 'country', label: 'Country', required: false },
     { name: 'zip', label: 'Zip/Postal Code', required: false },
     { name: 'conversionTime', label: 'Conversion Time', required: true },
-    { name: 'conversionValue', label: 'Conversion Value', required: false }
+    { name: 'conversionValue', label: 'Conversion Value', required: false },
+    { name: 'currency', label: 'Currency', required: false, note: 'ISO 4217 code or symbol; Default Currency is used for blank cells' },
+    { name: 'conversionName', label: 'Conversion Name', required: false, note: 'Per-row name, translated via the lookup table in Settings' },
+    { name: 'orderId', label: 'Order ID', required: false, note: 'Transaction ID; Google Ads uses it to deduplicate and to adjust the conversion later' }
   ];
 };
 
@@ -100,12 +275,25 @@ export const getFieldsForMode = (mode) => {
  * Apply column mappings to transform source data
  * @param {Array} data - Source CSV data
  * @param {Object} mappings - Column mappings (field -> source column)
- * @param {string} mode - 'standard' or 'ec4l'
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} [source] - Originating file when several files are merged ({ fileIndex, filename })
+ * @param {number} [rowOffset=0] - Rows of the file before `data` (when mapping a streamed chunk)
  * @returns {Array} - Transformed data with standardized field names
  */
-export const applyMappings = (data, mappings, mode) => {
+export const applyMappings = (data, mappings, mode, source, rowOffset = 0) => {
   return data.map((row, index) => {
-    const transformed = { _rowIndex: index + 1 };
+    // _rowIndex is the row number within its own file; _fileIndex/_sourceFile
+    // identify the file when rows from several uploads are concatenated
+    const transformed = { _rowIndex: rowOffset + index + 1 };
+    if (source) {
+      transformed._fileIndex = source.fileIndex;
+      transformed._sourceFile = source.filename;
+    }
+    
+    // Keep the originating sheet so issues can be traced back to it
+    if (row[SOURCE_SHEET_COLUMN] !== undefined) {
+      transformed._sourceSheet = row[SOURCE_SHEET_COLUMN];
+    }
     
     Object.entries(mappings).forEach(([field, sourceColumn]) => {
       if (sourceColumn && row[sourceColumn] !== undefined) {
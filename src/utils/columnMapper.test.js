@@ -0,0 +1,25 @@
+import { detectColumns } from './columnMapper';
+
+describe('detectColumns', () => {
+  test('does not map a last name to a date column by its first word', () => {
+    const { mappings } = detectColumns(['last_login_date', 'email', 'phone'], 'ec4l');
+    expect(mappings.lastName).toBeUndefined();
+    expect(mappings).toMatchObject({ email: 'email', phone: 'phone' });
+  });
+
+  test('maps headers by the field their last word names', () => {
+    expect(detectColumns(['First Purchase Date'], 'ec4l').mappings).toEqual({ conversionTime: 'First Purchase Date' });
+    expect(detectColumns(['Last Order Value'], 'ec4l').mappings).toEqual({ conversionValue: 'Last Order Value' });
+  });
+
+  test('still maps exact and partial name headers', () => {
+    const { mappings } = detectColumns(['first_name', 'Contact Last Name', 'last_login_date'], 'ec4l');
+    expect(mappings.firstName).toBe('first_name');
+    expect(mappings.lastName).toBe('Contact Last Name');
+  });
+
+  test('maps Meta order and event IDs to separate fields', () => {
+    const { mappings } = detectColumns(['email', 'order_id', 'event_id'], 'facebook');
+    expect(mappings).toMatchObject({ orderId: 'order_id', eventId: 'event_id' });
+  });
+});
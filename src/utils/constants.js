@@ -2,40 +2,60 @@
 export const MODES = {
   STANDARD: 'standard',
   EC4L: 'ec4l',
-  FACEBOOK: 'facebook'
+  FACEBOOK: 'facebook',
+  ADJUSTMENT: 'adjustment'
 };
 
-// Common timezones with UTC offsets
+// Common IANA timezones. Offsets are resolved per row (see utils/timezone.js),
+// so daylight saving time is applied according to each conversion's own date.
 export const TIMEZONES = [
-  { value: '+00:00', label: 'UTC (GMT+0)' },
-  { value: '+00:00', label: 'Europe/London (GMT+0)' },
-  { value: '+01:00', label: 'Europe/Paris (GMT+1)' },
-  { value: '+01:00', label: 'Europe/Berlin (GMT+1)' },
-  { value: '+01:00', label: 'Europe/Amsterdam (GMT+1)' },
-  { value: '+02:00', label: 'Europe/Athens (GMT+2)' },
-  { value: '+02:00', label: 'Africa/Cairo (GMT+2)' },
-  { value: '+03:00', label: 'Europe/Moscow (GMT+3)' },
-  { value: '+03:30', label: 'Asia/Tehran (GMT+3:30)' },
-  { value: '+04:00', label: 'Asia/Dubai (GMT+4)' },
-  { value: '+05:00', label: 'Asia/Karachi (GMT+5)' },
-  { value: '+05:30', label: 'Asia/Kolkata (GMT+5:30)' },
-  { value: '+06:00', label: 'Asia/Dhaka (GMT+6)' },
-  { value: '+07:00', label: 'Asia/Bangkok (GMT+7)' },
-  { value: '+08:00', label: 'Asia/Singapore (GMT+8)' },
-  { value: '+08:00', label: 'Asia/Hong_Kong (GMT+8)' },
-  { value: '+09:00', label: 'Asia/Tokyo (GMT+9)' },
-  { value: '+09:00', label: 'Asia/Seoul (GMT+9)' },
-  { value: '+10:00', label: 'Australia/Sydney (GMT+10)' },
-  { value: '+12:00', label: 'Pacific/Auckland (GMT+12)' },
-  { value: '-05:00', label: 'US/Eastern (GMT-5)' },
-  { value: '-06:00', label: 'US/Central (GMT-6)' },
-  { value: '-07:00', label: 'US/Mountain (GMT-7)' },
-  { value: '-08:00', label: 'US/Pacific (GMT-8)' },
-  { value: '-03:00', label: 'America/Sao_Paulo (GMT-3)' },
-  { value: '-04:00', label: 'America/New_York (GMT-4 DST)' },
+  { value: 'UTC', label: 'UTC' },
+  { value: 'Europe/London', label: 'Europe/London' },
+  { value: 'Europe/Dublin', label: 'Europe/Dublin' },
+  { value: 'Europe/Lisbon', label: 'Europe/Lisbon' },
+  { value: 'Europe/Paris', label: 'Europe/Paris' },
+  { value: 'Europe/Berlin', label: 'Europe/Berlin' },
+  { value: 'Europe/Amsterdam', label: 'Europe/Amsterdam' },
+  { value: 'Europe/Madrid', label: 'Europe/Madrid' },
+  { value: 'Europe/Rome', label: 'Europe/Rome' },
+  { value: 'Europe/Zurich', label: 'Europe/Zurich' },
+  { value: 'Europe/Stockholm', label: 'Europe/Stockholm' },
+  { value: 'Europe/Warsaw', label: 'Europe/Warsaw' },
+  { value: 'Europe/Athens', label: 'Europe/Athens' },
+  { value: 'Europe/Istanbul', label: 'Europe/Istanbul' },
+  { value: 'Africa/Cairo', label: 'Africa/Cairo' },
+  { value: 'Africa/Johannesburg', label: 'Africa/Johannesburg' },
+  { value: 'Europe/Moscow', label: 'Europe/Moscow' },
+  { value: 'Asia/Tehran', label: 'Asia/Tehran' },
+  { value: 'Asia/Dubai', label: 'Asia/Dubai' },
+  { value: 'Asia/Karachi', label: 'Asia/Karachi' },
+  { value: 'Asia/Kolkata', label: 'Asia/Kolkata' },
+  { value: 'Asia/Dhaka', label: 'Asia/Dhaka' },
+  { value: 'Asia/Bangkok', label: 'Asia/Bangkok' },
+  { value: 'Asia/Singapore', label: 'Asia/Singapore' },
+  { value: 'Asia/Hong_Kong', label: 'Asia/Hong Kong' },
+  { value: 'Asia/Shanghai', label: 'Asia/Shanghai' },
+  { value: 'Asia/Tokyo', label: 'Asia/Tokyo' },
+  { value: 'Asia/Seoul', label: 'Asia/Seoul' },
+  { value: 'Australia/Perth', label: 'Australia/Perth' },
+  { value: 'Australia/Sydney', label: 'Australia/Sydney' },
+  { value: 'Pacific/Auckland', label: 'Pacific/Auckland' },
+  { value: 'America/New_York', label: 'America/New York' },
+  { value: 'America/Chicago', label: 'America/Chicago' },
+  { value: 'America/Denver', label: 'America/Denver' },
+  { value: 'America/Phoenix', label: 'America/Phoenix' },
+  { value: 'America/Los_Angeles', label: 'America/Los Angeles' },
+  { value: 'America/Anchorage', label: 'America/Anchorage' },
+  { value: 'Pacific/Honolulu', label: 'Pacific/Honolulu' },
+  { value: 'America/Toronto', label: 'America/Toronto' },
+  { value: 'America/Vancouver', label: 'America/Vancouver' },
+  { value: 'America/Mexico_City', label: 'America/Mexico City' },
+  { value: 'America/Bogota', label: 'America/Bogota' },
+  { value: 'America/Sao_Paulo', label: 'America/Sao Paulo' },
+  { value: 'America/Argentina/Buenos_Aires', label: 'America/Argentina/Buenos Aires' },
 ];
 
-// ISO 4217 currency codes (common ones) - sorted alphabetically
+// ISO 4217 currency codes (common ones, for the Default Currency picker) - sorted alphabetically
 export const CURRENCIES = [
   'AED', 'ARS', 'AUD', 'BRL', 'CAD', 'CHF', 'CLP', 'CNY', 'COP', 'CZK',
   'DKK', 'EGP', 'EUR', 'GBP', 'HKD', 'HUF', 'IDR', 'ILS', 'INR', 'JPY',
@@ -43,30 +63,243 @@ export const CURRENCIES = [
   'RUB', 'SAR', 'SEK', 'SGD', 'THB', 'TRY', 'TWD', 'USD', 'VND', 'ZAR'
 ];
 
+// Full ISO 4217 list of active currency codes (excluding precious metals and testing codes)
+export const ISO_4217_CURRENCIES = [
+  'AED', 'AFN', 'ALL', 'AMD', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN', 'BAM',
+  'BBD', 'BDT', 'BGN', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BOV', 'BRL',
+  'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHE', 'CHF', 'CHW',
+  'CLF', 'CLP', 'CNY', 'COP', 'COU', 'CRC', 'CUP', 'CVE', 'CZK', 'DJF',
+  'DKK', 'DOP', 'DZD', 'EGP', 'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP',
+  'GEL', 'GHS', 'GIP', 'GMD', 'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG',
+  'HUF', 'IDR', 'ILS', 'INR', 'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY',
+  'KES', 'KGS', 'KHR', 'KMF', 'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK',
+  'LBP', 'LKR', 'LRD', 'LSL', 'LYD', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK',
+  'MNT', 'MOP', 'MRU', 'MUR', 'MVR', 'MWK', 'MXN', 'MXV', 'MYR', 'MZN',
+  'NAD', 'NGN', 'NIO', 'NOK', 'NPR', 'NZD', 'OMR', 'PAB', 'PEN', 'PGK',
+  'PHP', 'PKR', 'PLN', 'PYG', 'QAR', 'RON', 'RSD', 'RUB', 'RWF', 'SAR',
+  'SBD', 'SCR', 'SDG', 'SEK', 'SGD', 'SHP', 'SLE', 'SOS', 'SRD', 'SSP',
+  'STN', 'SVC', 'SYP', 'SZL', 'THB', 'TJS', 'TMT', 'TND', 'TOP', 'TRY',
+  'TTD', 'TWD', 'TZS', 'UAH', 'UGX', 'USD', 'USN', 'UYI', 'UYU', 'UYW',
+  'UZS', 'VED', 'VES', 'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XCG', 'XOF',
+  'XPF', 'YER', 'ZAR', 'ZMW', 'ZWG'
+];
+
+// Currency symbols and informal names (uppercased) mapped to ISO 4217 codes.
+// null marks symbols shared by several currencies, which can't be resolved.
+export const CURRENCY_SYMBOLS = {
+  '€': 'EUR', 'EURO': 'EUR', 'EUROS': 'EUR',
+  '£': 'GBP', 'US$': 'USD', 'USD$': 'USD', 'A$': 'AUD', 'AU$': 'AUD',
+  'C$': 'CAD', 'CA$': 'CAD', 'NZ$': 'NZD', 'HK$': 'HKD', 'S$': 'SGD', 'SG$': 'SGD',
+  'MX$': 'MXN', 'R$': 'BRL', 'NT$': 'TWD', 'JP¥': 'JPY', '円': 'JPY', 'CN¥': 'CNY',
+  '元': 'CNY', 'RMB': 'CNY', '₹': 'INR', '₩': 'KRW', '₽': 'RUB', '₺': 'TRY',
+  '₪': 'ILS', '₫': 'VND', '฿': 'THB', '₱': 'PHP', '₦': 'NGN', '₴': 'UAH',
+  '₸': 'KZT', '₡': 'CRC', 'ZŁ': 'PLN', 'KČ': 'CZK', 'FT': 'HUF', 'LEI': 'RON',
+  'R': 'ZAR', 'FR.': 'CHF',
+  '$': null, '¥': null, 'KR': null, 'KR.': null, 'RS': null, 'RS.': null
+};
+
+// ISO 3166-1 alpha-2 country codes
+export const ISO_COUNTRY_CODES = [
+  'AD', 'AE', 'AF', 'AG', 'AI', 'AL', 'AM', 'AO', 'AQ', 'AR', 'AS', 'AT', 'AU', 'AW', 'AX',
+  'AZ', 'BA', 'BB', 'BD', 'BE', 'BF', 'BG', 'BH', 'BI', 'BJ', 'BL', 'BM', 'BN', 'BO', 'BQ',
+  'BR', 'BS', 'BT', 'BV', 'BW', 'BY', 'BZ', 'CA', 'CC', 'CD', 'CF', 'CG', 'CH', 'CI', 'CK',
+  'CL', 'CM', 'CN', 'CO', 'CR', 'CU', 'CV', 'CW', 'CX', 'CY', 'CZ', 'DE', 'DJ', 'DK', 'DM',
+  'DO', 'DZ', 'EC', 'EE', 'EG', 'EH', 'ER', 'ES', 'ET', 'FI', 'FJ', 'FK', 'FM', 'FO', 'FR',
+  'GA', 'GB', 'GD', 'GE', 'GF', 'GG', 'GH', 'GI', 'GL', 'GM', 'GN', 'GP', 'GQ', 'GR', 'GS',
+  'GT', 'GU', 'GW', 'GY', 'HK', 'HM', 'HN', 'HR', 'HT', 'HU', 'ID', 'IE', 'IL', 'IM', 'IN',
+  'IO', 'IQ', 'IR', 'IS', 'IT', 'JE', 'JM', 'JO', 'JP', 'KE', 'KG', 'KH', 'KI', 'KM', 'KN',
+  'KP', 'KR', 'KW', 'KY', 'KZ', 'LA', 'LB', 'LC', 'LI', 'LK', 'LR', 'LS', 'LT', 'LU', 'LV',
+  'LY', 'MA', 'MC', 'MD', 'ME', 'MF', 'MG', 'MH', 'MK', 'ML', 'MM', 'MN', 'MO', 'MP', 'MQ',
+  'MR', 'MS', 'MT', 'MU', 'MV', 'MW', 'MX', 'MY', 'MZ', 'NA', 'NC', 'NE', 'NF', 'NG', 'NI',
+  'NL', 'NO', 'NP', 'NR', 'NU', 'NZ', 'OM', 'PA', 'PE', 'PF', 'PG', 'PH', 'PK', 'PL', 'PM',
+  'PN', 'PR', 'PS', 'PT', 'PW', 'PY', 'QA', 'RE', 'RO', 'RS', 'RU', 'RW', 'SA', 'SB', 'SC',
+  'SD', 'SE', 'SG', 'SH', 'SI', 'SJ', 'SK', 'SL', 'SM', 'SN', 'SO', 'SR', 'SS', 'ST', 'SV',
+  'SX', 'SY', 'SZ', 'TC', 'TD', 'TF', 'TG', 'TH', 'TJ', 'TK', 'TL', 'TM', 'TN', 'TO', 'TR',
+  'TT', 'TV', 'TW', 'TZ', 'UA', 'UG', 'UM', 'US', 'UY', 'UZ', 'VA', 'VC', 'VE', 'VG', 'VI',
+  'VN', 'VU', 'WF', 'WS', 'YE', 'YT', 'ZA', 'ZM', 'ZW'
+];
+
+// Phone numbering plans for E.164 normalization: calling code, national trunk
+// prefix dialled before domestic numbers (dropped in E.164), and the national
+// number length range. Countries without a trunk prefix keep leading zeros.
+export const PHONE_REGIONS = {
+  AE: { name: 'United Arab Emirates', callingCode: '971', trunkPrefix: '0', length: [8, 9] },
+  AR: { name: 'Argentina', callingCode: '54', trunkPrefix: '0', length: [10, 11] },
+  AT: { name: 'Austria', callingCode: '43', trunkPrefix: '0', length: [4, 13] },
+  AU: { name: 'Australia', callingCode: '61', trunkPrefix: '0', length: [9, 9] },
+  BE: { name: 'Belgium', callingCode: '32', trunkPrefix: '0', length: [8, 9] },
+  BR: { name: 'Brazil', callingCode: '55', trunkPrefix: '0', length: [10, 11] },
+  CA: { name: 'Canada', callingCode: '1', trunkPrefix: '1', length: [10, 10] },
+  CH: { name: 'Switzerland', callingCode: '41', trunkPrefix: '0', length: [9, 9] },
+  CL: { name: 'Chile', callingCode: '56', trunkPrefix: '', length: [9, 9] },
+  CN: { name: 'China', callingCode: '86', trunkPrefix: '0', length: [7, 12] },
+  CO: { name: 'Colombia', callingCode: '57', trunkPrefix: '', length: [8, 10] },
+  CZ: { name: 'Czech Republic', callingCode: '420', trunkPrefix: '', length: [9, 9] },
+  DE: { name: 'Germany', callingCode: '49', trunkPrefix: '0', length: [6, 13] },
+  DK: { name: 'Denmark', callingCode: '45', trunkPrefix: '', length: [8, 8] },
+  ES: { name: 'Spain', callingCode: '34', trunkPrefix: '', length: [9, 9] },
+  FI: { name: 'Finland', callingCode: '358', trunkPrefix: '0', length: [5, 12] },
+  FR: { name: 'France', callingCode: '33', trunkPrefix: '0', length: [9, 9] },
+  GB: { name: 'United Kingdom', callingCode: '44', trunkPrefix: '0', length: [9, 10] },
+  GR: { name: 'Greece', callingCode: '30', trunkPrefix: '', length: [10, 10] },
+  HK: { name: 'Hong Kong', callingCode: '852', trunkPrefix: '', length: [8, 8] },
+  HU: { name: 'Hungary', callingCode: '36', trunkPrefix: '06', length: [8, 9] },
+  ID: { name: 'Indonesia', callingCode: '62', trunkPrefix: '0', length: [7, 12] },
+  IE: { name: 'Ireland', callingCode: '353', trunkPrefix: '0', length: [7, 10] },
+  IL: { name: 'Israel', callingCode: '972', trunkPrefix: '0', length: [8, 9] },
+  IN: { name: 'India', callingCode: '91', trunkPrefix: '0', length: [10, 10] },
+  IT: { name: 'Italy', callingCode: '39', trunkPrefix: '', length: [6, 11] },
+  JP: { name: 'Japan', callingCode: '81', trunkPrefix: '0', length: [9, 10] },
+  KR: { name: 'South Korea', callingCode: '82', trunkPrefix: '0', length: [8, 10] },
+  LU: { name: 'Luxembourg', callingCode: '352', trunkPrefix: '', length: [4, 11] },
+  MX: { name: 'Mexico', callingCode: '52', trunkPrefix: '', length: [10, 10] },
+  MY: { name: 'Malaysia', callingCode: '60', trunkPrefix: '0', length: [7, 10] },
+  NL: { name: 'Netherlands', callingCode: '31', trunkPrefix: '0', length: [9, 9] },
+  NO: { name: 'Norway', callingCode: '47', trunkPrefix: '', length: [8, 8] },
+  NZ: { name: 'New Zealand', callingCode: '64', trunkPrefix: '0', length: [8, 10] },
+  PH: { name: 'Philippines', callingCode: '63', trunkPrefix: '0', length: [8, 10] },
+  PL: { name: 'Poland', callingCode: '48', trunkPrefix: '', length: [9, 9] },
+  PT: { name: 'Portugal', callingCode: '351', trunkPrefix: '', length: [9, 9] },
+  RO: { name: 'Romania', callingCode: '40', trunkPrefix: '0', length: [9, 9] },
+  RU: { name: 'Russia', callingCode: '7', trunkPrefix: '8', length: [10, 10] },
+  SE: { name: 'Sweden', callingCode: '46', trunkPrefix: '0', length: [7, 13] },
+  SG: { name: 'Singapore', callingCode: '65', trunkPrefix: '', length: [8, 8] },
+  TH: { name: 'Thailand', callingCode: '66', trunkPrefix: '0', length: [8, 9] },
+  TR: { name: 'Turkey', callingCode: '90', trunkPrefix: '0', length: [10, 10] },
+  UA: { name: 'Ukraine', callingCode: '380', trunkPrefix: '0', length: [9, 9] },
+  US: { name: 'United States', callingCode: '1', trunkPrefix: '1', length: [10, 10] },
+  ZA: { name: 'South Africa', callingCode: '27', trunkPrefix: '0', length: [9, 9] }
+};
+
+// Email values that mean "no email" (whole value, domain, or local part; compared lowercased)
+export const EMAIL_PLACEHOLDERS = {
+  values: ['n/a', 'na', 'none', 'null', 'undefined', 'unknown', '-', 'no email', 'noemail', 'x@x.com'],
+  domains: ['example.com', 'example.org', 'example.net', 'test.com', 'email.invalid', 'none.com', 'noemail.com'],
+  localParts: ['noemail', 'no-email', 'noreply', 'no-reply', 'donotreply', 'none', 'unknown', 'test', 'null', 'na']
+};
+
+// Popular mailbox providers; domains one typo away from these are flagged
+export const COMMON_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.de', 'yahoo.fr', 'hotmail.com',
+  'hotmail.co.uk', 'hotmail.de', 'hotmail.fr', 'outlook.com', 'outlook.de', 'live.com', 'icloud.com',
+  'aol.com', 'msn.com', 'comcast.net', 'protonmail.com', 'gmx.de', 'gmx.net', 'web.de', 't-online.de',
+  'orange.fr', 'btinternet.com', 'mail.ru', 'yandex.ru'
+];
+
+// Top-level domain typos that don't exist as real TLDs
+export const EMAIL_TLD_TYPOS = {
+  con: 'com', cmo: 'com', ocm: 'com', vom: 'com', xom: 'com', cpm: 'com', comm: 'com', coom: 'com',
+  nte: 'net', ent: 'net', nett: 'net',
+  ogr: 'org', rog: 'org'
+};
+
+// Destinations that receive hashed PII; each has its own normalization rules (see hasher)
+export const HASH_DESTINATIONS = {
+  GOOGLE: 'google',
+  META: 'meta'
+};
+
+// US state names -> 2-letter ANSI codes (lowercased names)
+export const US_STATE_CODES = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
+  'california': 'CA', 'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE',
+  'district of columbia': 'DC', 'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI',
+  'idaho': 'ID', 'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA',
+  'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME',
+  'maryland': 'MD', 'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN',
+  'mississippi': 'MS', 'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE',
+  'nevada': 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM',
+  'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH',
+  'oklahoma': 'OK', 'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX',
+  'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA',
+  'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY'
+};
+
+// Column content types recognized by the content sniffer
+export const CONTENT_TYPES = {
+  GCLID: 'gclid',
+  GBRAID: 'gbraid',
+  WBRAID: 'wbraid',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  COUNTRY: 'country',
+  POSTAL: 'postal',
+  DATE: 'date',
+  MONEY: 'money'
+};
+
+// How far back (in days) to look for an exchange rate when the rates table has
+// no entry for the conversion date itself (weekends, bank holidays)
+export const EXCHANGE_RATE_LOOKBACK_DAYS = 7;
+
 // Column name aliases for fuzzy matching
 export const COLUMN_ALIASES = {
   gclid: ['gclid', 'google_click_id', 'click_id', 'googleclickid', 'google click id'],
+  gbraid: ['gbraid', 'g_braid'],
+  wbraid: ['wbraid', 'w_braid'],
   email: ['email', 'e-mail', 'email_address', 'emailaddress', 'user_email', 'customer_email'],
   phone: ['phone', 'tel', 'telephone', 'phone_number', 'phonenumber', 'mobile', 'mobile_phone', 'cell'],
   firstName: ['first_name', 'firstname', 'first', 'fname', 'given_name', 'givenname'],
   lastName: ['last_name', 'lastname', 'last', 'lname', 'surname', 'family_name', 'familyname'],
   conversionTime: ['date', 'timestamp', 'conversion_date', 'created_at', 'conversion_time', 'time', 'datetime', 'converted_at', 'conversion_datetime'],
   conversionValue: ['value', 'revenue', 'amount', 'total', 'conversion_value', 'order_value', 'price', 'sale_amount'],
-  currency: ['currency', 'curr', 'currency_code', 'currencycode', 'cur'],
+  currency: ['currency', 'currency_code', 'currencycode', 'iso_currency', 'ccy'],
   country: ['country', 'country_code', 'countrycode', 'nation'],
   zip: ['zip', 'zipcode', 'zip_code', 'postal_code', 'postalcode', 'postcode', 'postal'],
   city: ['city', 'town', 'locality'],
-  state: ['state', 'region', 'province', 'county']
+  state: ['state', 'region', 'province', 'county'],
+  orderId: ['order_id', 'orderid', 'transaction_id', 'transactionid', 'order_number', 'ordernumber', 'order_no', 'txn_id', 'invoice_id', 'invoice_number', 'purchase_id'],
+  eventId: ['event_id', 'eventid', 'dedup_id', 'deduplication_id'],
+  adjustmentType: ['adjustment_type', 'adjustmenttype', 'adj_type'],
+  adjustmentTime: ['adjustment_time', 'adjustmenttime', 'adjustment_date', 'adjusted_at', 'refund_date', 'refunded_at']
+};
+
+// CSV files larger than this are streamed in chunks instead of loaded into memory
+export const STREAMING_THRESHOLD_BYTES = 50 * 1024 * 1024;
+// Bytes read per chunk when streaming a CSV file
+export const STREAMING_CHUNK_BYTES = 4 * 1024 * 1024;
+// Rows of a streamed file kept in memory, for column mapping and the preview
+export const STREAMING_PREVIEW_ROWS = 1000;
+
+// Synthetic column added to rows merged from several Excel sheets
+export const SOURCE_SHEET_COLUMN = 'Source Sheet';
+
+// localStorage key for saved mapping/settings profiles, and the version of the
+// profile export format (bump when the shape changes)
+export const PROFILES_STORAGE_KEY = 'oct-formatter:profiles';
+export const PROFILES_EXPORT_VERSION = 1;
+
+// IndexedDB database of the upload ledger (hashed keys of exported rows), and the
+// version of the ledger export format
+export const LEDGER_DB_NAME = 'oct-formatter-ledger';
+export const LEDGER_DB_VERSION = 1;
+export const LEDGER_EXPORT_VERSION = 1;
+
+// What happens to rows the upload ledger has seen in an earlier export
+export const LEDGER_ACTIONS = {
+  OFF: 'off',
+  WARN: 'warn',
+  FILTER: 'filter'
+};
+
+// Google Ads conversion adjustment types
+export const ADJUSTMENT_TYPES = {
+  RETRACT: 'RETRACT',
+  RESTATE: 'RESTATE'
 };
 
 // Google Ads output column names
 export const GOOGLE_ADS_COLUMNS = {
   standard: [
     'Google Click ID',
+    'GBRAID',
+    'WBRAID',
     'Conversion Name',
     'Conversion Time',
     'Conversion Value',
-    'Conversion Currency'
+    'Conversion Currency',
+    'Order ID'
   ],
   ec4l: [
     'Email',
@@ -78,7 +311,8 @@ export const GOOGLE_ADS_COLUMNS = {
     'Conversion Name',
     'Conversion Time',
     'Conversion Value',
-    'Conversion Currency'
+    'Conversion Currency',
+    'Order ID'
   ],
   facebook: [
     'email',
@@ -93,57 +327,173 @@ export const GOOGLE_ADS_COLUMNS = {
     'event_time',
     'value',
     'currency',
+    'order_id',
+    'event_id',
     'data_processing_options'
+  ],
+  adjustment: [
+    'Order ID',
+    'Google Click ID',
+    'Conversion Name',
+    'Conversion Time',
+    'Adjustment Type',
+    'Adjustment Time',
+    'Adjusted Value',
+    'Adjusted Value Currency'
   ]
 };
 
+// Standard mode click identifiers; each row needs exactly one
+export const CLICK_ID_FIELDS = ['gclid', 'gbraid', 'wbraid'];
+
+// Plausible click ID lengths; real GCLIDs are usually 50-100 characters
+export const CLICK_ID_LENGTH = { min: 20, max: 250 };
+
+// Values tracking setups write when no click ID was captured (compared lowercased)
+export const CLICK_ID_PLACEHOLDERS = [
+  'undefined', 'null', 'nan', 'none', '(none)', 'not set', '(not set)', 'n/a', 'na', '-', '0', 'false'
+];
+
 // Validation messages
 export const VALIDATION_MESSAGES = {
   errors: {
-    missingGclid: 'Missing Google Click ID (GCLID) - required for Standard mode',
+    missingClickId: 'Missing click ID - one of GCLID, GBRAID or WBRAID is required for Standard mode',
+    multipleClickIds: 'More than one click ID - use exactly one of GCLID, GBRAID or WBRAID per row',
+    clickIdPlaceholder: 'Click ID is a placeholder (e.g. "undefined", "(not set)") - no click was captured',
+    invalidClickIdCharacters: 'Click ID contains characters other than A-Z, a-z, 0-9, - and _',
+    clickIdTooShort: 'Click ID is too short - it may have been truncated',
+    clickIdTooLong: 'Click ID is too long - it may contain extra data',
     missingEmailOrPhone: 'Missing both Email and Phone - at least one is required for EC4L mode',
     missingEmailOrPhoneFacebook: 'Missing both Email and Phone - at least one is required for Facebook mode',
     missingValueFacebook: 'Missing conversion value - required for Facebook',
     missingCurrencyFacebook: 'Missing currency - required for Facebook',
     invalidDate: 'Invalid date format - could not parse',
+    invalidCurrency: 'Unknown currency - not an ISO 4217 code or recognized symbol',
+    ambiguousCurrencySymbol: 'Ambiguous currency symbol (e.g. $, ¥, kr) - use the ISO 4217 code instead',
+    unmappedConversionName: 'Conversion name value has no entry in the lookup table',
+    missingAdjustmentIdentifier: 'Missing Order ID or GCLID + Conversion Time - one is required to identify the conversion',
+    missingAdjustmentType: 'Missing adjustment type - must be RETRACT or RESTATE',
+    invalidAdjustmentType: 'Invalid adjustment type - must be RETRACT or RESTATE',
+    missingAdjustmentTime: 'Missing adjustment time - required field',
+    invalidAdjustmentTime: 'Invalid adjustment time format - could not parse',
+    adjustmentBeforeConversion: 'Adjustment time is before the conversion time',
+    missingRestateValue: 'Missing adjusted value - required for RESTATE adjustments',
+    duplicateOrderId: 'Order ID already used by another row with the same conversion name - remove the repeat or merge duplicates by Order ID in Settings',
     emptyRow: 'Empty row with no data'
   },
   warnings: {
     gclidTooOld: 'GCLID may be older than 90 days - conversion might not be attributed',
+    conversionBeforeClick: 'Conversion time is earlier than the click time encoded in the GCLID',
+    clickOutsideWindow: 'Click time encoded in the GCLID is more than 90 days ago - conversion will likely be rejected',
     ec4lTooOld: 'Conversion may be older than 63 days - may not be matched',
     facebookTooOld: 'Conversion may be older than 90 days - may not be matched on Facebook',
+    adjustmentTooOld: 'Original conversion may be older than 90 days - adjustment might be rejected',
+    retractValueIgnored: 'Value on a RETRACT adjustment is ignored by Google Ads',
     possibleDuplicate: 'Possible duplicate entry detected',
     missingValue: 'Missing conversion value',
-    missingCurrency: 'Missing currency - default will be applied'
+    missingCurrency: 'Missing currency - map a Currency column or set a Default Currency',
+    ambiguousDate: 'Ambiguous date - day/month order could not be detected from the column (set Date Format in Settings)',
+    dstGap: 'Local time does not exist in the default timezone (DST change) - offset before the change applied',
+    dstOverlap: 'Local time occurs twice in the default timezone (DST change) - earlier occurrence assumed',
+    invalidPhone: 'Phone number could not be normalized to E.164 - left out of the upload',
+    phoneRegionMissing: 'Phone number has no country code and the row has no known country - set a Default Phone Region',
+    placeholderEmail: 'Email is a placeholder (e.g. "n/a", "test@example.com") - left out of the upload',
+    invalidEmail: 'Email is not a valid address - left out of the upload',
+    emailDomainTypo: 'Email domain looks like a typo of a common provider (e.g. gmial.com) - enable email auto-correct in Settings to fix',
+    missingExchangeRate: 'No exchange rate for this currency and date - value kept in its original currency',
+    previouslyUploaded: 'Already in an earlier export (upload history) - Google Ads or Meta may reject or double-count it'
   },
   info: {
     dateReformatted: 'Date reformatted to Google Ads format',
     timezoneApplied: 'Default timezone applied',
+    timezoneAssumed: 'No offset in source - default timezone assumed before converting to account timezone',
+    timezoneConverted: 'Time converted to account timezone',
     timeAdded: 'Default time added (23:59:59, or current time for today)',
     emailHashed: 'Email normalized and hashed (SHA-256)',
+    emailTypoCorrected: 'Email domain typo corrected',
     phoneHashed: 'Phone normalized and hashed (SHA-256)',
     nameHashed: 'Name normalized and hashed (SHA-256)',
     addressHashed: 'Address fields hashed (SHA-256) for Facebook',
     unixTimestampConverted: 'Date converted to Unix timestamp for Facebook',
     currencyFixed: 'Currency code uppercased',
-    valueFixed: 'Value format corrected'
+    currencySymbolConverted: 'Currency symbol converted to ISO 4217 code',
+    currencyConverted: 'Value converted to reporting currency',
+    adjustmentTypeFixed: 'Adjustment type uppercased',
+    conversionNameMapped: 'Conversion name translated via lookup table',
+    valueFixed: 'Value format corrected',
+    clickIdCleaned: 'Whitespace or quotes removed from click ID',
+    clickIdDecoded: 'Percent-encoded click ID decoded',
+    clickIdExtracted: 'Click ID extracted from URL',
+    defaultValueApplied: 'Default conversion value applied to row without a value',
+    duplicatesMerged: 'Duplicate rows merged into this row'
+  },
+  // Rows left out of the upload by a row filter (listed in the rejects file)
+  filtered: {
+    zeroValue: 'Zero or no conversion value - removed by the zero-value filter',
+    duplicateMerged: 'Duplicate - merged into another row by deduplication',
+    previouslyUploaded: 'Already in an earlier export - removed by the upload history check'
   }
 };
 
-// Date format patterns for detection
+// What the zero-value filter does with rows whose conversion value is empty or not above zero
+export const ZERO_VALUE_ACTIONS = {
+  DROP: 'drop',
+  KEEP: 'keep',
+  DEFAULT: 'default'
+};
+
+// How rows with the same deduplication key are resolved ('off' = only warn)
+export const DEDUPE_STRATEGIES = {
+  OFF: 'off',
+  EARLIEST: 'earliest',
+  LATEST: 'latest',
+  HIGHEST: 'highest',
+  SUM: 'sum'
+};
+
+// Identifier part of the deduplication key (compared after normalization and hashing)
+export const DEDUPE_KEYS = {
+  CLICK_ID: 'clickId',
+  EMAIL_PHONE: 'emailPhone',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  ORDER_ID: 'orderId'
+};
+
+// Conversion time part of the deduplication key ('any' = ignore the time)
+export const DEDUPE_TIME_GRANULARITIES = {
+  EXACT: 'exact',
+  MINUTE: 'minute',
+  HOUR: 'hour',
+  DAY: 'day',
+  ANY: 'any'
+};
+
+// Day/month order for dates like 03/04/2026 ('auto' = detect from the column)
+export const DATE_ORDERS = {
+  AUTO: 'auto',
+  MDY: 'mdy',
+  DMY: 'dmy'
+};
+
+// Date format patterns - the single source of truth for parsing non-ISO dates.
+// The first three groups capture the date parts in `order`, followed by an optional
+// time (1- or 2-digit hours, optionally AM/PM) and UTC offset; anything else after the date is rejected.
+// Day/month-first patterns are ambiguous: their order comes from the Date Format
+// setting or column detection, falling back to `defaultOrder`.
 export const DATE_PATTERNS = [
-  { regex: /^\d{4}-\d{2}-\d{2}$/, format: 'yyyy-MM-dd' },
-  { regex: /^\d{4}\/\d{2}\/\d{2}$/, format: 'yyyy/MM/dd' },
-  { regex: /^\d{2}\/\d{2}\/\d{4}$/, format: 'MM/dd/yyyy' },
-  { regex: /^\d{2}-\d{2}-\d{4}$/, format: 'dd-MM-yyyy' },
-  { regex: /^\d{2}\.\d{2}\.\d{4}$/, format: 'dd.MM.yyyy' },
-  { regex: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/, format: 'ISO' },
-  { regex: /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/, format: 'yyyy-MM-dd HH:mm:ss' }
+  { regex: /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:\s*([AaPp])[Mm])?)?(?:\s*(?:Z|[+-]\d{2}:\d{2}))?$/, format: 'yyyy-MM-dd', order: 'ymd' },
+  { regex: /^(\d{4})\/(\d{1,2})\/(\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:\s*([AaPp])[Mm])?)?(?:\s*(?:Z|[+-]\d{2}:\d{2}))?$/, format: 'yyyy/MM/dd', order: 'ymd' },
+  { regex: /^(\d{4})\.(\d{1,2})\.(\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:\s*([AaPp])[Mm])?)?(?:\s*(?:Z|[+-]\d{2}:\d{2}))?$/, format: 'yyyy.MM.dd', order: 'ymd' },
+  { regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:\s*([AaPp])[Mm])?)?(?:\s*(?:Z|[+-]\d{2}:\d{2}))?$/, format: 'MM/dd/yyyy', ambiguous: true, defaultOrder: 'mdy' },
+  { regex: /^(\d{1,2})-(\d{1,2})-(\d{4})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:\s*([AaPp])[Mm])?)?(?:\s*(?:Z|[+-]\d{2}:\d{2}))?$/, format: 'dd-MM-yyyy', ambiguous: true, defaultOrder: 'dmy' },
+  { regex: /^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:\s*([AaPp])[Mm])?)?(?:\s*(?:Z|[+-]\d{2}:\d{2}))?$/, format: 'dd.MM.yyyy', ambiguous: true, defaultOrder: 'dmy' }
 ];
 
 // Conversion windows (in days)
 export const CONVERSION_WINDOWS = {
   standard: 90, // GCLID-based conversions
   ec4l: 63,     // Enhanced Conversions for Leads
-  facebook: 90  // Facebook offline conversions
+  facebook: 90, // Facebook offline conversions
+  adjustment: 90 // Adjustments to GCLID-based conversions
 };
@@ -0,0 +1,149 @@
+/**
+ * Content sniffer: classifies columns by what their values look like, for
+ * files whose headers say nothing useful ('col1', 'Column 3') or that have
+ * no header row at all.
+ */
+import { CONTENT_TYPES, DATE_PATTERNS, ISO_COUNTRY_CODES } from './constants';
+
+// Non-empty values inspected per column
+const SAMPLE_SIZE = 50;
+// Share of sampled values that must agree before a column gets a type
+const TYPE_THRESHOLD = 0.8;
+// Columns with fewer non-empty values than this are not classified
+const MIN_SAMPLES = 3;
+
+const COUNTRY_CODES = new Set(ISO_COUNTRY_CODES);
+
+// Postal code shapes: US ZIP(+4) and 4-5 digit codes, UK, Canada, Netherlands, Poland, Brazil, Japan
+const POSTAL_PATTERNS = [
+  /^\d{4,5}(-\d{4})?$/,
+  /^[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}$/i,
+  /^[A-Z]\d[A-Z]\s?\d[A-Z]\d$/i,
+  /^\d{4}\s?[A-Z]{2}$/i,
+  /^\d{2}-\d{3}$/,
+  /^\d{5}-\d{3}$/,
+  /^\d{3}-\d{4}$/
+];
+
+/**
+ * Classify a click ID by its shape. All three are URL-safe base64; GBRAIDs
+ * start with '0AAAAA' and WBRAIDs with 'Cl'/'Ck' (GCLIDs usually with 'Cj' or 'EAIaIQ').
+ * @param {string} str - Trimmed value
+ * @returns {string|null} - CONTENT_TYPES.GBRAID, WBRAID, GCLID or null
+ */
+const classifyClickId = (str) => {
+  if (!/^[A-Za-z0-9_-]{20,}$/.test(str) || !/[A-Za-z]/.test(str) || !/\d/.test(str)) return null;
+  // 64 hex characters is a SHA-256 hash, not a click ID
+  if (/^[a-f0-9]{64}$/i.test(str)) return null;
+  if (str.startsWith('0AAAAA')) return CONTENT_TYPES.GBRAID;
+  if (/^C[kl]/.test(str)) return CONTENT_TYPES.WBRAID;
+  return CONTENT_TYPES.GCLID;
+};
+
+/**
+ * Get every content type a single value could be. Short numbers can be both
+ * a postal code and an amount, so a value may have several types.
+ * @param {any} value - Cell value
+ * @returns {Array<string>} - CONTENT_TYPES values, most specific first
+ */
+export const classifyValue = (value) => {
+  const str = String(value).trim();
+  if (!str) return [];
+
+  const clickId = classifyClickId(str);
+  if (clickId) return [clickId];
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str)) return [CONTENT_TYPES.EMAIL];
+  if (/^[A-Za-z]{2}$/.test(str) && COUNTRY_CODES.has(str.toUpperCase())) return [CONTENT_TYPES.COUNTRY];
+  if (DATE_PATTERNS.some(pattern => pattern.regex.test(str))) return [CONTENT_TYPES.DATE];
+
+  const types = [];
+  const digits = str.replace(/\D/g, '');
+  // E.164-ish: up to 15 digits, with a leading '+', separators, or enough digits for a national number
+  if (/^\+?[\d\s().-]+$/.test(str) && digits.length >= 7 && digits.length <= 15 &&
+      (str.startsWith('+') || /[\s()-]/.test(str) || digits.length >= 10)) {
+    types.push(CONTENT_TYPES.PHONE);
+  }
+  if (POSTAL_PATTERNS.some(pattern => pattern.test(str))) {
+    types.push(CONTENT_TYPES.POSTAL);
+  }
+  // Amounts, optionally with a currency symbol or code: '49.90', '€1.234,50', '1200 EUR'
+  const amount = str.replace(/^[A-Z]{3}\s*|\s*[A-Z]{3}$/g, '').replace(/[$€£¥₹]/g, '').trim();
+  if (/^[-+]?\d{1,3}([,.\s]?\d{3})*([.,]\d{1,2})?$/.test(amount) || /^[-+]?\d+([.,]\d{1,2})?$/.test(amount)) {
+    types.push(CONTENT_TYPES.MONEY);
+  }
+  return types;
+};
+
+/**
+ * Sniff one column from a sample of its values
+ * @param {Array} rows - Source rows
+ * @param {string} header - Column to inspect
+ * @returns {{type: string, share: number}|null} - Type shared by most values and
+ *   the share of sampled values that have it, or null
+ */
+export const sniffColumn = (rows, header) => {
+  const counts = {};
+  const lengths = new Set();
+  let sampled = 0;
+
+  for (const row of rows) {
+    if (sampled >= SAMPLE_SIZE) break;
+    const value = row[header];
+    if (value === null || value === undefined || String(value).trim() === '') continue;
+    sampled++;
+    lengths.add(String(value).trim().length);
+    classifyValue(value).forEach(type => {
+      counts[type] = (counts[type] || 0) + 1;
+    });
+  }
+
+  if (sampled < MIN_SAMPLES) return null;
+
+  const shares = {};
+  Object.entries(counts).forEach(([type, count]) => {
+    if (count / sampled >= TYPE_THRESHOLD) shares[type] = count / sampled;
+  });
+
+  // Click IDs are a single family: a column mixing GCLIDs and GBRAIDs is still a click ID column
+  const clickIds = (counts[CONTENT_TYPES.GCLID] || 0) + (counts[CONTENT_TYPES.GBRAID] || 0) + (counts[CONTENT_TYPES.WBRAID] || 0);
+  if (clickIds / sampled >= TYPE_THRESHOLD && Object.keys(shares).length === 0) {
+    shares[CONTENT_TYPES.GCLID] = clickIds / sampled;
+  }
+
+  // Whole numbers fit both postal codes and amounts. Postal codes within a
+  // country have a fixed length; amounts vary.
+  if (shares[CONTENT_TYPES.POSTAL] && shares[CONTENT_TYPES.MONEY]) {
+    delete shares[lengths.size === 1 ? CONTENT_TYPES.MONEY : CONTENT_TYPES.POSTAL];
+  }
+  // Long digit strings without separators fit both phones and amounts
+  if (shares[CONTENT_TYPES.PHONE] && shares[CONTENT_TYPES.MONEY]) {
+    delete shares[CONTENT_TYPES.MONEY];
+  }
+
+  const [best] = Object.entries(shares).sort((a, b) => b[1] - a[1]);
+  return best ? { type: best[0], share: best[1] } : null;
+};
+
+/**
+ * Sniff every column
+ * @param {Array} rows - Source rows
+ * @param {Array<string>} headers - Columns to inspect
+ * @returns {Object} - Header -> {type, share} or null
+ */
+export const sniffColumns = (rows, headers) => {
+  const result = {};
+  headers.forEach(header => {
+    result[header] = sniffColumn(rows, header);
+  });
+  return result;
+};
+
+/**
+ * Check if a header is a placeholder that says nothing about the column
+ * ('col1', 'Column 3', 'field_2', '7', or empty)
+ * @param {string} header - Column header
+ * @returns {boolean}
+ */
+export const isGenericHeader = (header) => {
+  return /^((col(umn)?|field|f)[\s_-]*)?\d*$/i.test(String(header ?? '').trim());
+};
@@ -0,0 +1,7 @@
+/**
+ * Start a pipeline worker. Kept in its own module and imported on demand:
+ * the bundler finds the worker through `import.meta.url`, which only parses
+ * in ES modules (not in the CommonJS build the tests run on).
+ * @returns {Worker}
+ */
+export const createPipelineWorker = () => new Worker(new URL('./pipeline.worker.js', import.meta.url));
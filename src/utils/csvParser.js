@@ -1,5 +1,9 @@
 import Papa from 'papaparse';
 import * as XLSX from 'xlsx';
+import { format } from 'date-fns';
+import { MODES, SOURCE_SHEET_COLUMN, STREAMING_CHUNK_BYTES } from './constants';
+import { tryParseDate, inferDateOrder } from './validator';
+import { resolveCurrencyCode } from './currency';
 
 /**
  * Check if a file is an Excel file
@@ -114,9 +118,91 @@ const findHeaderRow = (rawData) => {
 };
 
 /**
- * Parse an Excel file and return the data
+ * Parse a single worksheet, detecting its header row
+ * @param {Object} worksheet - XLSX worksheet
+ * @returns {{data: Array, headers: Array, headerRowIndex: number}}
+ */
+const parseWorksheet = (worksheet) => {
+  // First, get raw data as array of arrays to find the header row
+  const rawData = XLSX.utils.sheet_to_json(worksheet, { 
+    header: 1, // Use array of arrays
+    defval: ''
+  });
+  
+  // Find the header row
+  const headerRowIndex = findHeaderRow(rawData);
+  
+  // Convert to JSON using the detected header row
+  const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
+    defval: '',
+    range: headerRowIndex // Start from the header row
+  });
+  
+  // Get and clean headers - filter out empty/placeholder columns
+  let headers = jsonData.length > 0 ? Object.keys(jsonData[0]) : [];
+  
+  // Filter out __EMPTY columns and clean up header names
+  const validHeaders = headers.filter(h => isValidHeader(h));
+  
+  // Clean the data to only include valid columns and convert Excel dates
+  const cleanedData = jsonData.map(row => {
+    const cleanRow = {};
+    validHeaders.forEach(header => {
+      let value = row[header];
+      // Only convert Excel serial dates for columns that look like date columns
+      // This prevents monetary values like 1919, 2070, etc. from being converted
+      if (isDateColumn(header) && isExcelDateNumber(value)) {
+        value = excelDateToString(value);
+      }
+      cleanRow[header] = value;
+    });
+    return cleanRow;
+  });
+  
+  // Also get ALL headers (including empty) for fallback display
+  // but mark which ones are valid
+  const allHeaders = headers.map(h => String(h).trim()).filter(h => h && !h.startsWith('__EMPTY'));
+  
+  return {
+    data: cleanedData,
+    headers: allHeaders.length > 0 ? allHeaders : validHeaders,
+    headerRowIndex
+  };
+};
+
+/**
+ * Parse an Excel workbook's bytes and return the data
+ * Every sheet is parsed; `data` and `headers` hold the first sheet for callers
+ * that don't pick sheets, and `sheets` lists all of them (see mergeSheets).
+ * @param {Uint8Array} bytes - Workbook file contents
+ * @returns {{data: Array, headers: Array, errors: Array, sheets: Array<{name: string, headerRow: number, rowCount: number, data: Array, headers: Array}>}}
+ */
+const parseWorkbook = (bytes) => {
+  const workbook = XLSX.read(bytes, { type: 'array' });
+  
+  const sheets = workbook.SheetNames.map(name => {
+    const parsed = parseWorksheet(workbook.Sheets[name]);
+    return {
+      name,
+      headerRow: parsed.headerRowIndex + 1, // 1-based, as shown in Excel
+      rowCount: parsed.data.length,
+      data: parsed.data,
+      headers: parsed.headers
+    };
+  });
+  
+  return {
+    data: sheets[0].data,
+    headers: sheets[0].headers,
+    errors: [],
+    sheets
+  };
+};
+
+/**
+ * Parse an Excel file and return the data (see parseWorkbook)
  * @param {File} file - The Excel file to parse
- * @returns {Promise<{data: Array, headers: Array, errors: Array}>}
+ * @returns {Promise<{data: Array, headers: Array, errors: Array, sheets: Array}>}
  */
 const parseExcel = (file) => {
   return new Promise((resolve, reject) => {
@@ -124,58 +210,7 @@ const parseExcel = (file) => {
     
     reader.onload = (e) => {
       try {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        
-        // Get the first sheet
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        
-        // First, get raw data as array of arrays to find the header row
-        const rawData = XLSX.utils.sheet_to_json(worksheet, { 
-          header: 1, // Use array of arrays
-          defval: ''
-        });
-        
-        // Find the header row
-        const headerRowIndex = findHeaderRow(rawData);
-        
-        // Convert to JSON using the detected header row
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-          defval: '',
-          range: headerRowIndex // Start from the header row
-        });
-        
-        // Get and clean headers - filter out empty/placeholder columns
-        let headers = jsonData.length > 0 ? Object.keys(jsonData[0]) : [];
-        
-        // Filter out __EMPTY columns and clean up header names
-        const validHeaders = headers.filter(h => isValidHeader(h));
-        
-        // Clean the data to only include valid columns and convert Excel dates
-        const cleanedData = jsonData.map(row => {
-          const cleanRow = {};
-          validHeaders.forEach(header => {
-            let value = row[header];
-            // Only convert Excel serial dates for columns that look like date columns
-            // This prevents monetary values like 1919, 2070, etc. from being converted
-            if (isDateColumn(header) && isExcelDateNumber(value)) {
-              value = excelDateToString(value);
-            }
-            cleanRow[header] = value;
-          });
-          return cleanRow;
-        });
-        
-        // Also get ALL headers (including empty) for fallback display
-        // but mark which ones are valid
-        const allHeaders = headers.map(h => String(h).trim()).filter(h => h && !h.startsWith('__EMPTY'));
-        
-        resolve({
-          data: cleanedData,
-          headers: allHeaders.length > 0 ? allHeaders : validHeaders,
-          errors: []
-        });
+        resolve(parseWorkbook(new Uint8Array(e.target.result)));
       } catch (error) {
         reject(error);
       }
@@ -186,23 +221,149 @@ const parseExcel = (file) => {
   });
 };
 
+/**
+ * Merge selected sheets of a parsed workbook into a single dataset
+ * Headers are the union of the selected sheets' headers, and every row is tagged
+ * with its sheet name in the synthetic SOURCE_SHEET_COLUMN.
+ * @param {Array} sheets - Sheets as returned by parseFile for an Excel file
+ * @param {Array<string>} sheetNames - Names of the sheets to include
+ * @returns {{data: Array, headers: Array, errors: Array}}
+ */
+export const mergeSheets = (sheets, sheetNames) => {
+  const selected = sheets.filter(sheet => sheetNames.includes(sheet.name));
+  
+  const sourceHeaders = [];
+  selected.forEach(sheet => {
+    sheet.headers.forEach(header => {
+      if (!sourceHeaders.includes(header)) sourceHeaders.push(header);
+    });
+  });
+  
+  const data = [];
+  selected.forEach(sheet => {
+    sheet.data.forEach(row => {
+      const mergedRow = { [SOURCE_SHEET_COLUMN]: sheet.name };
+      sourceHeaders.forEach(header => {
+        mergedRow[header] = row[header] !== undefined ? row[header] : '';
+      });
+      data.push(mergedRow);
+    });
+  });
+  
+  return {
+    data,
+    headers: [SOURCE_SHEET_COLUMN, ...sourceHeaders],
+    errors: []
+  };
+};
+
+/**
+ * Papa options for a CSV with or without a header row
+ * @param {boolean} hasHeaderRow - Whether the first row holds column names
+ * @returns {Object}
+ */
+const getCSVParseOptions = (hasHeaderRow) => ({
+  header: hasHeaderRow,
+  skipEmptyLines: true,
+  ...(hasHeaderRow && { transformHeader: (header) => header.trim() })
+});
+
+/**
+ * Turn rows parsed without a header row (arrays) into objects keyed by `headers`
+ * @param {Array<Array>} rows - Papa rows
+ * @param {Array<string>} headers - 'Column 1' .. 'Column N'
+ * @returns {Array<Object>}
+ */
+const toRecords = (rows, headers) => rows.map(row => {
+  const record = {};
+  headers.forEach((header, i) => {
+    record[header] = row[i] !== undefined ? String(row[i]).trim() : '';
+  });
+  return record;
+});
+
+/**
+ * Shape Papa results as {data, headers, errors}. Without a header row, rows are
+ * arrays; they become objects keyed 'Column 1' .. 'Column N'.
+ * @param {Object} results - Papa parse results
+ * @param {boolean} hasHeaderRow - Whether the first row held column names
+ * @returns {{data: Array, headers: Array, errors: Array}}
+ */
+const toParseResult = (results, hasHeaderRow) => {
+  if (hasHeaderRow) {
+    return {
+      data: results.data,
+      headers: results.meta.fields || [],
+      errors: results.errors
+    };
+  }
+
+  const columnCount = results.data.reduce((max, row) => Math.max(max, row.length), 0);
+  const headers = Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+  return { data: toRecords(results.data, headers), headers, errors: results.errors };
+};
+
 /**
  * Parse a CSV file and return the data
  * @param {File} file - The CSV file to parse
+ * @param {boolean} hasHeaderRow - Whether the first row holds column names
+ * @param {number} [preview] - Only parse this many rows
  * @returns {Promise<{data: Array, headers: Array, errors: Array}>}
  */
-const parseCSVFile = (file) => {
+const parseCSVFile = (file, hasHeaderRow, preview) => {
   return new Promise((resolve, reject) => {
     Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      transformHeader: (header) => header.trim(),
+      ...getCSVParseOptions(hasHeaderRow),
+      ...(preview && { preview }),
       complete: (results) => {
-        resolve({
-          data: results.data,
-          headers: results.meta.fields || [],
-          errors: results.errors
-        });
+        resolve(toParseResult(results, hasHeaderRow));
+      },
+      error: (error) => {
+        reject(error);
+      }
+    });
+  });
+};
+
+/**
+ * Read a CSV file chunk by chunk without holding it in memory. The next chunk
+ * is only read once `onRows` has finished with the previous one.
+ * @param {File} file - The CSV file to read
+ * @param {Object} options
+ * @param {boolean} [options.hasHeaderRow=true] - Whether the first row holds column names
+ * @param {Array<string>} [options.headers] - Without a header row: the column names
+ *   from the preview ('Column 1' .. 'Column N')
+ * @param {Function} options.onRows - Called with (rows, { bytes }) for each chunk; may
+ *   return a promise. `bytes` is roughly how far into the file the chunk ends.
+ * @param {AbortSignal} [options.signal] - Stops reading (rejects with the signal's reason)
+ * @returns {Promise<void>}
+ */
+export const streamCSVFile = (file, { hasHeaderRow = true, headers = [], onRows, signal }) => {
+  return new Promise((resolve, reject) => {
+    let failure = null;
+    Papa.parse(file, {
+      ...getCSVParseOptions(hasHeaderRow),
+      chunkSize: STREAMING_CHUNK_BYTES,
+      chunk: (results, parser) => {
+        parser.pause();
+        const rows = hasHeaderRow ? results.data : toRecords(results.data, headers);
+        Promise.resolve()
+          .then(() => {
+            signal?.throwIfAborted();
+            return onRows(rows, { bytes: Math.min(results.meta.cursor, file.size) });
+          })
+          .then(() => parser.resume())
+          .catch(error => {
+            failure = error;
+            parser.abort();
+          });
+      },
+      complete: () => {
+        if (failure) {
+          reject(failure);
+        } else {
+          resolve();
+        }
       },
       error: (error) => {
         reject(error);
@@ -214,31 +375,129 @@ const parseCSVFile = (file) => {
 /**
  * Parse a file (CSV or Excel) and return the data
  * @param {File} file - The file to parse
+ * @param {Object} [options]
+ * @param {boolean} [options.hasHeaderRow=true] - CSV: whether the first row holds
+ *   column names. Excel sheets always have their header row detected.
+ * @param {number} [options.preview] - CSV: only parse this many rows (a sample of a
+ *   file that will be streamed)
  * @returns {Promise<{data: Array, headers: Array, errors: Array}>}
  */
-export const parseFile = (file) => {
+export const parseFile = (file, { hasHeaderRow = true, preview } = {}) => {
   if (isExcelFile(file.name)) {
     return parseExcel(file);
   }
-  return parseCSVFile(file);
+  return parseCSVFile(file, hasHeaderRow, preview);
 };
 
 // Keep backwards compatibility
 export const parseCSV = parseFile;
 
+/**
+ * Parse file contents that were already read (e.g. from disk in Node, where
+ * there is no File or FileReader)
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} filename - File name, used to tell CSV from Excel
+ * @param {Object} [options]
+ * @param {boolean} [options.hasHeaderRow=true] - CSV: whether the first row holds column names
+ * @returns {{data: Array, headers: Array, errors: Array, sheets?: Array}}
+ */
+export const parseFileContent = (bytes, filename, { hasHeaderRow = true } = {}) => {
+  if (isExcelFile(filename)) {
+    return parseWorkbook(bytes);
+  }
+
+  // Strip a UTF-8 BOM, which Papa would otherwise keep in the first header
+  const text = new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '');
+  return toParseResult(Papa.parse(text, getCSVParseOptions(hasHeaderRow)), hasHeaderRow);
+};
+
+/**
+ * Parse an exchange rates table (CSV with date, currency and rate columns).
+ * A rate is the value of one unit of the currency in the reporting currency,
+ * e.g. "2026-10-01,EUR,1.08" when reporting in USD.
+ * @param {string} text - Pasted or uploaded CSV text
+ * @returns {{rates: Object, count: number, errors: Array<string>}} - Rates per currency code,
+ *   sorted by date ([{ date: 'yyyy-MM-dd', rate }])
+ */
+export const parseExchangeRates = (text) => {
+  const rates = {};
+  const errors = [];
+  let count = 0;
+
+  const results = Papa.parse(text.trim(), {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: (header) => header.trim().toLowerCase()
+  });
+
+  const fields = results.meta.fields || [];
+  const missing = ['date', 'currency', 'rate'].filter(field => !fields.includes(field));
+  if (missing.length > 0) {
+    return { rates, count, errors: [`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`] };
+  }
+
+  // Day/month order for dates like 02/10/2026, detected from the whole table
+  const dateOrder = inferDateOrder(results.data.map(row => row.date));
+
+  results.data.forEach((row, index) => {
+    // Line numbers count the header row
+    const line = index + 2;
+    const parsedDate = tryParseDate(String(row.date || '').trim(), dateOrder);
+    const { code } = resolveCurrencyCode(row.currency || '');
+    const rate = parseFloat(String(row.rate || '').trim().replace(',', '.'));
+
+    if (!parsedDate) {
+      errors.push(`Line ${line}: invalid date "${row.date}"`);
+    } else if (!code) {
+      errors.push(`Line ${line}: unknown currency "${row.currency}"`);
+    } else if (isNaN(rate) || rate <= 0) {
+      errors.push(`Line ${line}: invalid rate "${row.rate}"`);
+    } else {
+      rates[code] = rates[code] || [];
+      rates[code].push({ date: format(parsedDate, 'yyyy-MM-dd'), rate });
+      count++;
+    }
+  });
+
+  Object.values(rates).forEach(entries => entries.sort((a, b) => a.date.localeCompare(b.date)));
+
+  return { rates, count, errors };
+};
+
 /**
  * Convert data array to CSV string
  * @param {Array} data - Array of objects to convert
  * @param {Array} columns - Column headers in desired order
+ * @param {Object} [options]
+ * @param {boolean} [options.header=true] - Start with the header row (off for
+ *   chunks appended to an export)
  * @returns {string} - CSV string
  */
-export const toCSV = (data, columns) => {
+export const toCSV = (data, columns, { header = true } = {}) => {
   return Papa.unparse(data, {
     columns: columns,
-    header: true
+    header
   });
 };
 
+/**
+ * Get the export file name for a mode, derived from the uploaded file's name
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {string} [filename] - Uploaded file name ('' when several files are merged)
+ * @returns {string}
+ */
+export const getExportFilename = (mode, filename) => {
+  // Drop the extension of any input type, so an .xlsx upload gets a .csv name of its own
+  const base = filename ? filename.replace(/\.[^.]+$/, '') : '';
+  if (mode === MODES.FACEBOOK) {
+    return base ? `${base}-meta.csv` : 'meta-conversions.csv';
+  }
+  if (mode === MODES.ADJUSTMENT) {
+    return base ? `${base}-google-ads-adjustments.csv` : 'google-ads-adjustments.csv';
+  }
+  return base ? `${base}-google-ads.csv` : 'google-ads-conversions.csv';
+};
+
 /**
  * Download data as a CSV file
  * @param {Array} data - Array of objects to download
@@ -246,8 +505,17 @@ export const toCSV = (data, columns) => {
  * @param {string} filename - Name for the downloaded file
  */
 export const downloadCSV = (data, columns, filename = 'google-ads-conversions.csv') => {
-  const csv = toCSV(data, columns);
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  downloadFile(toCSV(data, columns), filename, 'text/csv;charset=utf-8;');
+};
+
+/**
+ * Download text content as a file
+ * @param {string|Blob} content - File contents
+ * @param {string} filename - Name for the downloaded file
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
   const link = document.createElement('a');
   const url = URL.createObjectURL(blob);
   
@@ -0,0 +1,57 @@
+/**
+ * Currency helpers: resolving per-row currency cells to ISO 4217 codes and
+ * converting values with an offline exchange rates table.
+ */
+import { ISO_4217_CURRENCIES, CURRENCY_SYMBOLS, EXCHANGE_RATE_LOOKBACK_DAYS } from './constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve a currency cell to an ISO 4217 code
+ * Accepts codes in any case ('eur') and common symbols ('€', 'US$').
+ * @param {string} value - Currency value from the source file
+ * @returns {{code: string|null, fromSymbol: boolean, ambiguous: boolean}}
+ */
+export const resolveCurrencyCode = (value) => {
+  const normalized = String(value).trim().toUpperCase().replace(/\s+/g, '');
+
+  if (ISO_4217_CURRENCIES.includes(normalized)) {
+    return { code: normalized, fromSymbol: false, ambiguous: false };
+  }
+
+  if (Object.prototype.hasOwnProperty.call(CURRENCY_SYMBOLS, normalized)) {
+    const code = CURRENCY_SYMBOLS[normalized];
+    return { code, fromSymbol: true, ambiguous: code === null };
+  }
+
+  return { code: null, fromSymbol: false, ambiguous: false };
+};
+
+/**
+ * Find the exchange rate for a currency on a date.
+ * Uses the latest rate on or before the date, up to EXCHANGE_RATE_LOOKBACK_DAYS back.
+ * @param {Object} rates - Rates table: currency code -> [{ date: 'yyyy-MM-dd', rate }] sorted by date
+ * @param {string} currency - ISO 4217 code
+ * @param {string} date - Conversion date ('yyyy-MM-dd')
+ * @returns {{rate: number, date: string}|null}
+ */
+export const findExchangeRate = (rates, currency, date) => {
+  const entries = (rates && rates[currency]) || [];
+  let match = null;
+  for (const entry of entries) {
+    if (entry.date > date) break;
+    match = entry;
+  }
+  if (!match) return null;
+
+  const ageDays = (Date.parse(date) - Date.parse(match.date)) / DAY_MS;
+  return ageDays <= EXCHANGE_RATE_LOOKBACK_DAYS ? match : null;
+};
+
+/**
+ * Convert an amount with an exchange rate, rounded to cents
+ * @param {number} amount - Amount in the original currency
+ * @param {number} rate - Units of the reporting currency per unit of the original currency
+ * @returns {string}
+ */
+export const convertAmount = (amount, rate) => String(Math.round(amount * rate * 100) / 100);
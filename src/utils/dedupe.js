@@ -0,0 +1,219 @@
+/**
+ * Deduplication: merges rows that share a key. Runs on optimized rows, so keys
+ * compare cleaned click IDs, hashed emails and phone numbers and formatted
+ * conversion times ("John@X.com" and "john@x.com" hash the same).
+ */
+import {
+  MODES,
+  CLICK_ID_FIELDS,
+  DEDUPE_STRATEGIES,
+  DEDUPE_KEYS,
+  DEDUPE_TIME_GRANULARITIES,
+  VALIDATION_MESSAGES
+} from './constants';
+
+// Key choices per mode, default first (adjustments are never merged)
+const MODE_KEYS = {
+  [MODES.STANDARD]: [DEDUPE_KEYS.CLICK_ID, DEDUPE_KEYS.ORDER_ID],
+  [MODES.EC4L]: [DEDUPE_KEYS.EMAIL_PHONE, DEDUPE_KEYS.EMAIL, DEDUPE_KEYS.PHONE, DEDUPE_KEYS.ORDER_ID],
+  [MODES.FACEBOOK]: [DEDUPE_KEYS.EMAIL_PHONE, DEDUPE_KEYS.EMAIL, DEDUPE_KEYS.PHONE, DEDUPE_KEYS.ORDER_ID]
+};
+
+// Per key: the identifier parts of a row, and the field named in the rejects file
+const KEY_DEFINITIONS = {
+  [DEDUPE_KEYS.CLICK_ID]: {
+    parts: row => CLICK_ID_FIELDS.map(field => row[field]),
+    field: row => CLICK_ID_FIELDS.find(field => row[field]) || 'gclid'
+  },
+  [DEDUPE_KEYS.EMAIL_PHONE]: {
+    parts: row => [row.email, row.phone],
+    field: row => (row.email ? 'email' : 'phone')
+  },
+  [DEDUPE_KEYS.EMAIL]: { parts: row => [row.email], field: () => 'email' },
+  [DEDUPE_KEYS.PHONE]: { parts: row => [row.phone], field: () => 'phone' },
+  [DEDUPE_KEYS.ORDER_ID]: { parts: row => [row.orderId], field: () => 'orderId' }
+};
+
+// Length of the yyyy-MM-ddTHH:mm:ss prefix kept per granularity (Google Ads times)
+const TIME_PREFIX_LENGTHS = {
+  [DEDUPE_TIME_GRANULARITIES.MINUTE]: 16,
+  [DEDUPE_TIME_GRANULARITIES.HOUR]: 13,
+  [DEDUPE_TIME_GRANULARITIES.DAY]: 10
+};
+
+// Seconds per granularity (Unix timestamps for Facebook)
+const TIME_UNIT_SECONDS = {
+  [DEDUPE_TIME_GRANULARITIES.MINUTE]: 60,
+  [DEDUPE_TIME_GRANULARITIES.HOUR]: 3600,
+  [DEDUPE_TIME_GRANULARITIES.DAY]: 86400
+};
+
+/**
+ * Get the deduplication keys that can be chosen in a mode
+ * @param {string} mode - Export mode
+ * @returns {Array<string>} - DEDUPE_KEYS values, default first (empty when the mode isn't deduplicated)
+ */
+export const getDedupeKeys = (mode) => MODE_KEYS[mode] || [];
+
+/**
+ * Check whether duplicates are merged (rather than only warned about)
+ * @param {string} mode - Export mode
+ * @param {Object} settings - User settings (dedupeStrategy)
+ * @returns {boolean}
+ */
+export const isDedupeEnabled = (mode, settings) => {
+  return getDedupeKeys(mode).length > 0 &&
+    Boolean(settings.dedupeStrategy) &&
+    settings.dedupeStrategy !== DEDUPE_STRATEGIES.OFF;
+};
+
+/**
+ * Truncate an optimized conversion time to the key granularity
+ * @param {string} time - yyyy-MM-ddTHH:mm:ss±HH:mm, or Unix seconds (Facebook)
+ * @param {string} granularity - DEDUPE_TIME_GRANULARITIES value
+ * @returns {string}
+ */
+const getTimeKey = (time, granularity) => {
+  if (granularity === DEDUPE_TIME_GRANULARITIES.ANY) return '';
+  const value = String(time ?? '');
+  if (!TIME_PREFIX_LENGTHS[granularity]) return value;
+  return /^\d+$/.test(value)
+    ? String(Math.floor(Number(value) / TIME_UNIT_SECONDS[granularity]))
+    : value.slice(0, TIME_PREFIX_LENGTHS[granularity]);
+};
+
+/**
+ * Parse an optimized conversion time for ordering
+ * @param {string} time - yyyy-MM-ddTHH:mm:ss±HH:mm, or Unix seconds (Facebook)
+ * @returns {number} - Milliseconds, NaN if unparseable
+ */
+const toTimestamp = (time) => {
+  const value = String(time ?? '');
+  return /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+};
+
+/**
+ * Parse an optimized conversion value
+ * @param {string} value - Optimized value
+ * @returns {number} - 0 when empty or unparseable
+ */
+const toAmount = (value) => {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? 0 : amount;
+};
+
+/**
+ * Pick the row a group of duplicates is merged into
+ * @param {Array} group - Optimized rows sharing a key, in batch order
+ * @param {string} strategy - DEDUPE_STRATEGIES value
+ * @returns {number} - Index within the group
+ */
+const pickRow = (group, strategy) => {
+  // Values in different currencies don't compare (rows converted into the
+  // reporting currency do): such groups keep the latest row instead
+  const currencies = new Set(group.filter(row => row.conversionValue !== '').map(row => row.currency || ''));
+  const rule = strategy === DEDUPE_STRATEGIES.HIGHEST && currencies.size > 1 ? DEDUPE_STRATEGIES.LATEST : strategy;
+
+  const score = rule === DEDUPE_STRATEGIES.HIGHEST
+    ? row => toAmount(row.conversionValue)
+    : rule === DEDUPE_STRATEGIES.LATEST
+      ? row => toTimestamp(row.conversionTime)
+      : row => -toTimestamp(row.conversionTime);
+
+  // Ties keep the first row, except for "latest", where the last row is the newest copy
+  let best = 0;
+  group.forEach((row, index) => {
+    const value = score(row);
+    const bestValue = score(group[best]);
+    if (isNaN(value)) return;
+    if (isNaN(bestValue) || value > bestValue || (value === bestValue && rule === DEDUPE_STRATEGIES.LATEST)) {
+      best = index;
+    }
+  });
+  return best;
+};
+
+/**
+ * Describe a row merged into another one, issue-style (for the rejects file)
+ * @param {Object} row - Optimized row that was merged away
+ * @param {string} field - Field the key was built from
+ * @returns {Object} - { type: 'filtered', message, rowIndex, field, fileIndex?, file?, sheet? }
+ */
+const describeMergedRow = (row, field) => ({
+  type: 'filtered',
+  message: VALIDATION_MESSAGES.filtered.duplicateMerged,
+  rowIndex: row._rowIndex,
+  field,
+  ...(row._sourceFile !== undefined && { fileIndex: row._fileIndex, file: row._sourceFile }),
+  ...(row._sourceSheet && { sheet: row._sourceSheet })
+});
+
+/**
+ * Merge duplicate rows. The key is the chosen identifier (settings.dedupeKey), the
+ * conversion time at the chosen granularity (settings.dedupeTime) and the conversion
+ * name, plus the currency when summing. Rows without an identifier are never merged.
+ * 'highest' only compares values in one currency; a group in several keeps its latest row.
+ * The row kept from each group gets `_mergedRows` ([{ rowIndex, file? }] of the rows
+ * merged into it); with the 'sum' strategy it is the earliest row, carrying the
+ * group's total value.
+ * @param {Array} rows - Optimized rows
+ * @param {string} mode - Export mode
+ * @param {Object} settings - User settings (dedupeStrategy, dedupeKey, dedupeTime)
+ * @returns {{rows: Array, merged: Array}} - Deduplicated rows in batch order, and the
+ *   merged rows described issue-style (see describeDroppedRows)
+ */
+export const dedupeRows = (rows, mode, settings) => {
+  if (!isDedupeEnabled(mode, settings)) return { rows, merged: [] };
+
+  const strategy = settings.dedupeStrategy;
+  const keys = getDedupeKeys(mode);
+  const key = KEY_DEFINITIONS[keys.includes(settings.dedupeKey) ? settings.dedupeKey : keys[0]];
+  const granularity = settings.dedupeTime || DEDUPE_TIME_GRANULARITIES.EXACT;
+
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const parts = key.parts(row).map(part => (part === undefined || part === null ? '' : String(part)));
+    if (parts.every(part => part === '')) return;
+    const rowKey = JSON.stringify([
+      ...parts,
+      getTimeKey(row.conversionTime, granularity),
+      row.conversionName || '',
+      strategy === DEDUPE_STRATEGIES.SUM ? row.currency || '' : ''
+    ]);
+    if (!groups.has(rowKey)) groups.set(rowKey, []);
+    groups.get(rowKey).push(index);
+  });
+
+  const keptRows = new Map();
+  const mergedIndexes = new Set();
+  const merged = [];
+  groups.forEach(indexes => {
+    if (indexes.length < 2) return;
+    const group = indexes.map(index => rows[index]);
+    const keptIndex = indexes[pickRow(group, strategy)];
+    const others = indexes.filter(index => index !== keptIndex);
+
+    const kept = {
+      ...rows[keptIndex],
+      _mergedRows: others.map(index => ({
+        rowIndex: rows[index]._rowIndex,
+        ...(rows[index]._sourceFile !== undefined && { file: rows[index]._sourceFile })
+      }))
+    };
+    if (strategy === DEDUPE_STRATEGIES.SUM && group.some(row => row.conversionValue !== '')) {
+      const total = group.reduce((sum, row) => sum + toAmount(row.conversionValue), 0);
+      kept.conversionValue = String(Math.round(total * 100) / 100);
+    }
+    keptRows.set(keptIndex, kept);
+
+    others.forEach(index => {
+      mergedIndexes.add(index);
+      merged.push(describeMergedRow(rows[index], key.field(rows[index])));
+    });
+  });
+
+  return {
+    rows: rows.flatMap((row, index) => (mergedIndexes.has(index) ? [] : [keptRows.get(index) || row])),
+    merged: merged.sort((a, b) => (a.fileIndex ?? 0) - (b.fileIndex ?? 0) || a.rowIndex - b.rowIndex)
+  };
+};
@@ -0,0 +1,182 @@
+import { dedupeRows, getDedupeKeys, isDedupeEnabled } from './dedupe';
+import { VALIDATION_MESSAGES } from './constants';
+
+const GCLID = 'Cj0KCQiAw9qOBhC-ARIsAG-rdn7aaaaaaaaaaaaaaaaaaaX';
+const OTHER_GCLID = 'Cj0KCQiAw9qOBhC-ARIsAG-rdn7aaaaaaaaaaaaaaaaaaaY';
+
+// Optimized rows, as they come out of optimizeAll
+const row = (_rowIndex, conversionTime, conversionValue, extra = {}) => ({
+  gclid: GCLID,
+  conversionTime,
+  conversionValue,
+  currency: 'EUR',
+  _rowIndex,
+  ...extra
+});
+
+const standard = (dedupeStrategy, extra = {}) => ({ dedupeStrategy, dedupeKey: 'clickId', dedupeTime: 'exact', ...extra });
+
+describe('dedupeRows', () => {
+  const rows = [
+    row(1, '2026-10-06T10:00:00+00:00', '10'),
+    row(2, '2026-10-06T10:00:00+00:00', '30'),
+    row(3, '2026-10-06T10:00:00+00:00', '20'),
+    row(4, '2026-10-06T10:00:00+00:00', '5', { gclid: OTHER_GCLID })
+  ];
+
+  test('leaves rows alone when turned off', () => {
+    expect(dedupeRows(rows, 'standard', standard('off'))).toEqual({ rows, merged: [] });
+  });
+
+  test('keeps the first row of equal times with "earliest"', () => {
+    const result = dedupeRows(rows, 'standard', standard('earliest'));
+    expect(result.rows.map(r => r._rowIndex)).toEqual([1, 4]);
+    expect(result.rows[0]._mergedRows).toEqual([{ rowIndex: 2 }, { rowIndex: 3 }]);
+    expect(result.merged).toEqual([
+      { type: 'filtered', message: VALIDATION_MESSAGES.filtered.duplicateMerged, rowIndex: 2, field: 'gclid' },
+      { type: 'filtered', message: VALIDATION_MESSAGES.filtered.duplicateMerged, rowIndex: 3, field: 'gclid' }
+    ]);
+  });
+
+  test('keeps the last row of equal times with "latest"', () => {
+    const result = dedupeRows(rows, 'standard', standard('latest'));
+    expect(result.rows.map(r => r._rowIndex)).toEqual([3, 4]);
+    expect(result.merged.map(r => r.rowIndex)).toEqual([1, 2]);
+  });
+
+  test('keeps the earliest and latest time', () => {
+    const timed = [
+      row(1, '2026-10-06T12:00:00+00:00', '10'),
+      row(2, '2026-10-06T09:00:00+00:00', '20'),
+      row(3, '2026-10-06T11:00:00+00:00', '30')
+    ];
+    const sameDay = { dedupeTime: 'day' };
+    expect(dedupeRows(timed, 'standard', standard('earliest', sameDay)).rows.map(r => r._rowIndex)).toEqual([2]);
+    expect(dedupeRows(timed, 'standard', standard('latest', sameDay)).rows.map(r => r._rowIndex)).toEqual([1]);
+  });
+
+  test('keeps the highest value', () => {
+    const result = dedupeRows(rows, 'standard', standard('highest'));
+    expect(result.rows.map(r => r._rowIndex)).toEqual([2, 4]);
+    expect(result.rows[0].conversionValue).toBe('30');
+  });
+
+  test('sums the values into the earliest row', () => {
+    const result = dedupeRows(rows, 'standard', standard('sum'));
+    expect(result.rows.map(r => r._rowIndex)).toEqual([1, 4]);
+    expect(result.rows[0].conversionValue).toBe('60');
+    expect(result.rows[1].conversionValue).toBe('5');
+  });
+
+  test('only sums rows in the same currency', () => {
+    const mixed = [
+      row(1, '2026-10-06T10:00:00+00:00', '10.10'),
+      row(2, '2026-10-06T10:00:00+00:00', '20', { currency: 'USD' }),
+      row(3, '2026-10-06T10:00:00+00:00', '0.2')
+    ];
+    const result = dedupeRows(mixed, 'standard', standard('sum'));
+    expect(result.rows.map(r => [r._rowIndex, r.conversionValue, r.currency])).toEqual([
+      [1, '10.3', 'EUR'],
+      [2, '20', 'USD']
+    ]);
+  });
+
+  test('keeps the latest row when the highest value would compare currencies', () => {
+    const mixed = [
+      row(1, '2026-10-06T10:00:00+00:00', '100', { currency: 'JPY' }),
+      row(2, '2026-10-06T11:00:00+00:00', '5', { currency: 'USD' }),
+      row(3, '2026-10-06T09:00:00+00:00', '4', { currency: 'USD' })
+    ];
+    const result = dedupeRows(mixed, 'standard', standard('highest', { dedupeTime: 'day' }));
+    expect(result.rows.map(r => [r._rowIndex, r.conversionValue, r.currency])).toEqual([[2, '5', 'USD']]);
+  });
+
+  test('compares values converted into the reporting currency', () => {
+    const converted = [
+      row(1, '2026-10-06T10:00:00+00:00', '0.57', { _currencyConversion: { originalValue: '100', originalCurrency: 'JPY' } }),
+      row(2, '2026-10-06T10:00:00+00:00', '4.3', { _currencyConversion: { originalValue: '5', originalCurrency: 'USD' } })
+    ];
+    expect(dedupeRows(converted, 'standard', standard('highest')).rows.map(r => r._rowIndex)).toEqual([2]);
+  });
+
+  test('matches times at the chosen granularity', () => {
+    const timed = [
+      row(1, '2026-10-06T10:00:00+00:00', '10'),
+      row(2, '2026-10-06T10:00:59+00:00', '10'),
+      row(3, '2026-10-06T10:45:00+00:00', '10'),
+      row(4, '2026-10-07T08:00:00+00:00', '10')
+    ];
+    const kept = (dedupeTime) => dedupeRows(timed, 'standard', standard('earliest', { dedupeTime })).rows.map(r => r._rowIndex);
+    expect(kept('exact')).toEqual([1, 2, 3, 4]);
+    expect(kept('minute')).toEqual([1, 3, 4]);
+    expect(kept('hour')).toEqual([1, 4]);
+    expect(kept('day')).toEqual([1, 4]);
+    expect(kept('any')).toEqual([1]);
+  });
+
+  test('buckets Unix timestamps for Facebook', () => {
+    const events = [
+      { email: 'hash-a', conversionTime: '1791277200', conversionValue: '10', _rowIndex: 1 },
+      { email: 'hash-a', conversionTime: '1791277259', conversionValue: '10', _rowIndex: 2 },
+      { email: 'hash-a', conversionTime: '1791280800', conversionValue: '10', _rowIndex: 3 }
+    ];
+    const result = dedupeRows(events, 'facebook', { dedupeStrategy: 'earliest', dedupeKey: 'email', dedupeTime: 'minute' });
+    expect(result.rows.map(r => r._rowIndex)).toEqual([1, 3]);
+    expect(result.merged[0].field).toBe('email');
+  });
+
+  test('uses the configured key', () => {
+    const leads = [
+      { email: 'hash-a', phone: 'hash-1', conversionTime: 't', _rowIndex: 1 },
+      { email: 'hash-a', phone: 'hash-2', conversionTime: 't', _rowIndex: 2 },
+      { email: 'hash-b', phone: 'hash-2', conversionTime: 't', _rowIndex: 3 }
+    ];
+    const kept = (dedupeKey) => dedupeRows(leads, 'ec4l', { dedupeStrategy: 'earliest', dedupeKey }).rows.map(r => r._rowIndex);
+    expect(kept('emailPhone')).toEqual([1, 2, 3]);
+    expect(kept('email')).toEqual([1, 3]);
+    expect(kept('phone')).toEqual([1, 2]);
+  });
+
+  test('merges by order ID and never merges rows without an identifier', () => {
+    const orders = [
+      row(1, '2026-10-06T10:00:00+00:00', '10', { orderId: 'A-1' }),
+      row(2, '2026-10-06T11:00:00+00:00', '15', { gclid: OTHER_GCLID, orderId: 'A-1' }),
+      row(3, '2026-10-06T10:00:00+00:00', '10', { orderId: '' }),
+      row(4, '2026-10-06T10:00:00+00:00', '10', { orderId: '' })
+    ];
+    const result = dedupeRows(orders, 'standard', standard('sum', { dedupeKey: 'orderId', dedupeTime: 'any' }));
+    expect(result.rows.map(r => [r._rowIndex, r.conversionValue])).toEqual([[1, '25'], [3, '10'], [4, '10']]);
+    expect(result.merged[0].field).toBe('orderId');
+  });
+
+  test('keeps the conversion name in the key', () => {
+    const named = [
+      row(1, '2026-10-06T10:00:00+00:00', '10', { conversionName: 'Closed Won' }),
+      row(2, '2026-10-06T10:00:00+00:00', '10', { conversionName: 'Demo Booked' })
+    ];
+    expect(dedupeRows(named, 'standard', standard('earliest')).rows).toHaveLength(2);
+  });
+
+  test('describes merged rows from several files', () => {
+    const files = [
+      row(1, '2026-10-06T10:00:00+00:00', '10', { _fileIndex: 0, _sourceFile: 'a.csv' }),
+      row(1, '2026-10-06T10:00:00+00:00', '10', { _fileIndex: 1, _sourceFile: 'b.csv', _sourceSheet: 'Leads' })
+    ];
+    const result = dedupeRows(files, 'standard', standard('earliest'));
+    expect(result.rows[0]._mergedRows).toEqual([{ rowIndex: 1, file: 'b.csv' }]);
+    expect(result.merged[0]).toMatchObject({ fileIndex: 1, file: 'b.csv', sheet: 'Leads' });
+  });
+});
+
+describe('dedupe settings', () => {
+  test('lists the keys of each mode', () => {
+    expect(getDedupeKeys('standard')).toEqual(['clickId', 'orderId']);
+    expect(getDedupeKeys('adjustment')).toEqual([]);
+  });
+
+  test('is never enabled for adjustments', () => {
+    expect(isDedupeEnabled('standard', { dedupeStrategy: 'sum' })).toBe(true);
+    expect(isDedupeEnabled('standard', { dedupeStrategy: 'off' })).toBe(false);
+    expect(isDedupeEnabled('adjustment', { dedupeStrategy: 'sum' })).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Email helpers: syntax and placeholder checks, and typo-domain suggestions,
+ * run before addresses are hashed.
+ */
+import { EMAIL_PLACEHOLDERS, COMMON_EMAIL_DOMAINS, EMAIL_TLD_TYPOS } from './constants';
+import { editDistance } from './text';
+
+// Shorter provider names ('aol', 'gmx', 'live') are too easily one edit away
+// from an unrelated real domain
+const MIN_PROVIDER_NAME_LENGTH = 5;
+
+const LOCAL_PART = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN = /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * Check if an address is syntactically valid (dot-atom local part, domain with a TLD)
+ * @param {string} email - Lowercased, trimmed address
+ * @returns {boolean}
+ */
+const isValidSyntax = (email) => {
+  const at = email.lastIndexOf('@');
+  if (at <= 0 || email.length > 254) return false;
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+  return local.length <= 64 && LOCAL_PART.test(local) && DOMAIN.test(domain);
+};
+
+/**
+ * Check if an address is a placeholder for "no email"
+ * @param {string} email - Lowercased, trimmed address
+ * @returns {boolean}
+ */
+const isPlaceholder = (email) => {
+  if (EMAIL_PLACEHOLDERS.values.includes(email)) return true;
+  const at = email.lastIndexOf('@');
+  if (at === -1) return false;
+  return EMAIL_PLACEHOLDERS.localParts.includes(email.slice(0, at)) ||
+    EMAIL_PLACEHOLDERS.domains.includes(email.slice(at + 1));
+};
+
+/**
+ * Suggest the intended domain for a likely typo ('gmial.com' -> 'gmail.com',
+ * 'company.con' -> 'company.com')
+ * @param {string} domain - Lowercased domain
+ * @returns {string|null} - Corrected domain, or null if it doesn't look like a typo
+ */
+export const suggestEmailDomain = (domain) => {
+  if (COMMON_EMAIL_DOMAINS.includes(domain)) return null;
+
+  const dot = domain.lastIndexOf('.');
+  const tld = domain.slice(dot + 1);
+  if (dot > 0 && EMAIL_TLD_TYPOS[tld]) {
+    const fixed = `${domain.slice(0, dot)}.${EMAIL_TLD_TYPOS[tld]}`;
+    return suggestEmailDomain(fixed) || fixed;
+  }
+
+  // Compare the provider name ('gmial') within the same suffix ('com'), so that
+  // other country domains of a provider ('yahoo.es') aren't taken for typos.
+  // A truncated suffix ('gmail.co') counts too.
+  const [name, ...rest] = domain.split('.');
+  const suffix = rest.join('.');
+  return COMMON_EMAIL_DOMAINS.find(common => {
+    const [commonName, ...commonRest] = common.split('.');
+    const commonSuffix = commonRest.join('.');
+    if (commonName.length < MIN_PROVIDER_NAME_LENGTH) return false;
+    if (suffix === commonSuffix) return editDistance(name, commonName) === 1;
+    return name === commonName && commonSuffix.startsWith(suffix) && commonSuffix.length - suffix.length === 1;
+  }) || null;
+};
+
+/**
+ * Check an email before hashing
+ * @param {string} email - Email as entered
+ * @returns {{problem: 'placeholder'|'invalid'|null, suggestion: string|null}} - Why the
+ *   address can't be used, and a corrected address when the domain looks like a typo
+ */
+export const checkEmail = (email) => {
+  const normalized = String(email ?? '').trim().toLowerCase();
+  if (isPlaceholder(normalized)) return { problem: 'placeholder', suggestion: null };
+  if (!isValidSyntax(normalized)) return { problem: 'invalid', suggestion: null };
+
+  const at = normalized.lastIndexOf('@');
+  const domain = suggestEmailDomain(normalized.slice(at + 1));
+  return { problem: null, suggestion: domain ? `${normalized.slice(0, at)}@${domain}` : null };
+};
@@ -1,9 +1,18 @@
+import { HASH_DESTINATIONS, US_STATE_CODES, ISO_COUNTRY_CODES } from './constants';
+import { toE164, resolvePhoneRegion } from './phone';
+import { checkEmail } from './email';
+
+// Hashes of values already seen. Emails, names and countries repeat across a
+// file, and each distinct value only needs hashing once.
+const HASH_CACHE_LIMIT = 100000;
+const hashCache = new Map();
+
 /**
  * SHA-256 hash a string using Web Crypto API
  * @param {string} text - Text to hash
  * @returns {Promise<string>} - Hex-encoded hash
  */
-export const sha256Hash = async (text) => {
+const digest = async (text) => {
   const encoder = new TextEncoder();
   const data = encoder.encode(text);
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
@@ -11,116 +20,194 @@ export const sha256Hash = async (text) => {
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 };
 
+/**
+ * SHA-256 hash a string, memoized. Concurrent calls for the same value share one digest.
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} - Hex-encoded hash
+ */
+export const sha256Hash = (text) => {
+  let hash = hashCache.get(text);
+  if (!hash) {
+    if (hashCache.size >= HASH_CACHE_LIMIT) hashCache.clear();
+    hash = digest(text);
+    hash.catch(() => hashCache.delete(text));
+    hashCache.set(text, hash);
+  }
+  return hash;
+};
+
+/**
+ * Normalization rules per destination, as each platform documents them.
+ * - Google Ads (EC4L): lowercase emails, dots removed from gmail.com/googlemail.com
+ *   local parts; phones in E.164 with '+'; address fields are sent unhashed
+ * - Meta (Conversions API): lowercase emails, nothing removed; phones as digits
+ *   with the country code and no '+'; city, state, country and zip hashed, with
+ *   states as 2-letter codes, countries as lowercase ISO codes and US zips cut to 5 digits
+ */
+export const HASH_PROFILES = {
+  [HASH_DESTINATIONS.GOOGLE]: {
+    removeGmailDots: true,
+    phonePlusPrefix: true,
+    hashedAddressFields: [],
+    usZipFiveDigits: false
+  },
+  [HASH_DESTINATIONS.META]: {
+    removeGmailDots: false,
+    phonePlusPrefix: false,
+    hashedAddressFields: ['city', 'state', 'country', 'zip'],
+    usZipFiveDigits: true
+  }
+};
+
+/**
+ * Get a destination's normalization rules
+ * @param {string} destination - HASH_DESTINATIONS value
+ * @returns {Object} - HASH_PROFILES entry (Google when unknown)
+ */
+export const getHashProfile = (destination) => {
+  return HASH_PROFILES[destination] || HASH_PROFILES[HASH_DESTINATIONS.GOOGLE];
+};
+
 /**
  * Normalize an email address for hashing
  * - Lowercase
  * - Trim whitespace
- * - Remove dots from gmail local part
- * - Remove plus aliases from gmail
+ * - Remove dots from the gmail.com/googlemail.com local part (where the destination does)
  * @param {string} email - Email to normalize
- * @returns {string} - Normalized email
+ * @param {string} [destination] - HASH_DESTINATIONS value
+ * @returns {string} - Normalized email, or '' for placeholders and invalid addresses
  */
-export const normalizeEmail = (email) => {
-  if (!email) return '';
-  
-  let normalized = email.toLowerCase().trim();
-  
-  // Check if it's a Gmail address
-  const atIndex = normalized.indexOf('@');
-  if (atIndex === -1) return normalized;
-  
+export const normalizeEmail = (email, destination) => {
+  if (!email || checkEmail(email).problem) return '';
+
+  const normalized = email.toLowerCase().trim();
+  const atIndex = normalized.lastIndexOf('@');
   const localPart = normalized.substring(0, atIndex);
   const domain = normalized.substring(atIndex + 1);
-  
-  // Gmail-specific normalization
-  if (domain === 'gmail.com' || domain === 'googlemail.com') {
-    // Remove dots from local part
-    let cleanLocal = localPart.replace(/\./g, '');
-    // Remove everything after + (plus alias)
-    const plusIndex = cleanLocal.indexOf('+');
-    if (plusIndex !== -1) {
-      cleanLocal = cleanLocal.substring(0, plusIndex);
-    }
-    return `${cleanLocal}@${domain}`;
-  }
-  
-  // For non-Gmail, just remove plus alias
-  let cleanLocal = localPart;
-  const plusIndex = cleanLocal.indexOf('+');
-  if (plusIndex !== -1) {
-    cleanLocal = cleanLocal.substring(0, plusIndex);
+
+  if (getHashProfile(destination).removeGmailDots && (domain === 'gmail.com' || domain === 'googlemail.com')) {
+    return `${localPart.replace(/\./g, '')}@${domain}`;
   }
-  
-  return `${cleanLocal}@${domain}`;
+  return normalized;
 };
 
 /**
- * Normalize a phone number to E.164 format
+ * Normalize a phone number to E.164 format ('+491711234567'), without the '+'
+ * for destinations that want digits only
  * @param {string} phone - Phone number to normalize
- * @param {string} defaultCountryCode - Default country code if not present (e.g., '1' for US)
- * @returns {string} - Normalized phone in E.164 format
+ * @param {string} [region] - ISO 3166-1 alpha-2 region for numbers without a calling code
+ * @param {string} [destination] - HASH_DESTINATIONS value
+ * @returns {string} - Normalized phone, or '' if it can't be normalized
  */
-export const normalizePhone = (phone, defaultCountryCode = '1') => {
+export const normalizePhone = (phone, region, destination) => {
   if (!phone) return '';
-  
-  // Remove all non-digit characters except leading +
-  let normalized = phone.trim();
-  const hasPlus = normalized.startsWith('+');
-  normalized = normalized.replace(/\D/g, '');
-  
-  // If already has country code (started with +), use as is
-  if (hasPlus && normalized.length >= 10) {
-    return `+${normalized}`;
-  }
-  
-  // If it's a 10-digit number (likely US/Canada), add country code
-  if (normalized.length === 10) {
-    return `+${defaultCountryCode}${normalized}`;
-  }
-  
-  // If it's 11 digits starting with 1 (US with country code), format it
-  if (normalized.length === 11 && normalized.startsWith('1')) {
-    return `+${normalized}`;
-  }
-  
-  // For other formats, just prefix with + if not present
-  return hasPlus ? `+${normalized}` : `+${defaultCountryCode}${normalized}`;
+  const e164 = toE164(phone, region).value;
+  if (!e164) return '';
+  return getHashProfile(destination).phonePlusPrefix ? e164 : e164.slice(1);
 };
 
 /**
  * Normalize a name for hashing
  * - Lowercase
  * - Trim whitespace
- * - Remove punctuation
+ * - Remove punctuation (letters of any script are kept)
  * @param {string} name - Name to normalize
  * @returns {string} - Normalized name
  */
 export const normalizeName = (name) => {
   if (!name) return '';
-  return name.toLowerCase().trim().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ');
+  return name.toLowerCase().trim().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ');
 };
 
 /**
- * Hash a field value for EC4L
+ * Normalize a city: lowercase, no punctuation or spaces ('New York' -> 'newyork')
+ * @param {string} city - City name
+ * @returns {string}
+ */
+export const normalizeCity = (city) => {
+  if (!city) return '';
+  return city.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+};
+
+/**
+ * Normalize a state: US state names become their 2-letter code, everything is
+ * lowercased without punctuation or spaces ('California' -> 'ca')
+ * @param {string} state - State name or code
+ * @returns {string}
+ */
+export const normalizeState = (state) => {
+  if (!state) return '';
+  const lowered = state.toLowerCase().trim().replace(/\s+/g, ' ');
+  const code = US_STATE_CODES[lowered];
+  return code ? code.toLowerCase() : lowered.replace(/[^\p{L}\p{N}]/gu, '');
+};
+
+/**
+ * Normalize a country to a lowercase ISO 3166-1 alpha-2 code ('Germany' -> 'de')
+ * @param {string} country - Country code or name
+ * @returns {string} - Code, or the lowercased letters when the country isn't recognized
+ */
+export const normalizeCountry = (country) => {
+  if (!country) return '';
+  const trimmed = country.trim().toUpperCase();
+  if (ISO_COUNTRY_CODES.includes(trimmed)) return trimmed.toLowerCase();
+  const region = resolvePhoneRegion(trimmed) || (trimmed === 'USA' ? 'US' : null);
+  return region ? region.toLowerCase() : trimmed.toLowerCase().replace(/[^\p{L}]/gu, '');
+};
+
+/**
+ * Normalize a zip/postal code: lowercase, no spaces or dashes; US codes are cut
+ * to their first 5 digits where the destination wants that
+ * @param {string} zip - Zip or postal code
+ * @param {string} [country] - Row's country, to recognize US zips
+ * @param {string} [destination] - HASH_DESTINATIONS value
+ * @returns {string}
+ */
+export const normalizeZip = (zip, country, destination) => {
+  if (!zip) return '';
+  const normalized = zip.toLowerCase().replace(/[\s-]/g, '');
+  const isUS = normalizeCountry(country || '') === 'us' || (!country && /^\d{5}(\d{4})?$/.test(normalized));
+  return getHashProfile(destination).usZipFiveDigits && isUS ? normalized.slice(0, 5) : normalized;
+};
+
+/**
+ * Hash a field value with the destination's normalization rules
  * @param {string} value - Value to hash
- * @param {string} fieldType - Type of field ('email', 'phone', 'firstName', 'lastName')
- * @returns {Promise<string>} - Hashed value or empty string
+ * @param {string} fieldType - Type of field ('email', 'phone', 'firstName', 'lastName',
+ *   'city', 'state', 'country', 'zip')
+ * @param {Object} [options]
+ * @param {string} [options.destination] - HASH_DESTINATIONS value (default: Google)
+ * @param {string} [options.region] - Phone: region for numbers without a calling code
+ * @param {string} [options.country] - Zip: the row's country
+ * @returns {Promise<string>} - Hashed value, or empty string if it can't be normalized
  */
-export const hashField = async (value, fieldType) => {
+export const hashField = async (value, fieldType, { destination, region, country } = {}) => {
   if (!value || value.trim() === '') return '';
   
   let normalized;
   switch (fieldType) {
     case 'email':
-      normalized = normalizeEmail(value);
+      normalized = normalizeEmail(value, destination);
       break;
     case 'phone':
-      normalized = normalizePhone(value);
+      normalized = normalizePhone(value, region, destination);
       break;
     case 'firstName':
     case 'lastName':
       normalized = normalizeName(value);
       break;
+    case 'city':
+      normalized = normalizeCity(value);
+      break;
+    case 'state':
+      normalized = normalizeState(value);
+      break;
+    case 'country':
+      normalized = normalizeCountry(value);
+      break;
+    case 'zip':
+      normalized = normalizeZip(value, country, destination);
+      break;
     default:
       normalized = value.trim();
   }
@@ -1,7 +1,15 @@
-import { format, parseISO, isValid, isToday } from 'date-fns';
-import { MODES, VALIDATION_MESSAGES, GOOGLE_ADS_COLUMNS } from './constants';
-import { hashField, isAlreadyHashed } from './hasher';
-import { tryParseDate } from './validator';
+import { parseISO, isValid, isToday } from 'date-fns';
+import { MODES, VALIDATION_MESSAGES, GOOGLE_ADS_COLUMNS, ADJUSTMENT_TYPES, CLICK_ID_FIELDS, HASH_DESTINATIONS } from './constants';
+import { hashField, isAlreadyHashed, getHashProfile } from './hasher';
+import { tryParseDate, getTimeOfDay, resolveConversionName, resolveDateOrders, getRateDate } from './validator';
+import { resolveOffset, convertToTimezone } from './timezone';
+import { resolveCurrencyCode, findExchangeRate, convertAmount } from './currency';
+import { cleanClickId } from './clickId';
+import { getPhoneRegion } from './phone';
+import { checkEmail } from './email';
+
+// Rows optimized concurrently between progress reports; their hashes run in parallel
+const OPTIMIZE_BATCH_SIZE = 500;
 
 /**
  * Optimization result for a single row
@@ -10,13 +18,26 @@ import { tryParseDate } from './validator';
  * @property {Array} changes - List of changes made (info messages)
  */
 
+/**
+ * Format a wall-clock time as yyyy-MM-ddTHH:mm:ss
+ * @param {Object} wallTime - { year, month (1-12), day, hours, minutes, seconds }
+ * @returns {string}
+ */
+const formatWallTime = ({ year, month, day, hours, minutes, seconds }) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+};
+
 /**
  * Optimize a date string to Google Ads format
  * @param {string} dateStr - Original date string
- * @param {string} defaultTimezone - Default timezone offset (e.g., '+00:00')
- * @returns {Object} - { value: string, changes: Array }
+ * @param {string} defaultTimezone - IANA zone (e.g., 'America/New_York') or fixed offset (e.g., '+00:00');
+ *   for zones, the offset is resolved from the row's own date so DST is applied correctly
+ * @param {string} [targetTimezone] - Account timezone to convert every instant into (keeps source offsets if empty)
+ * @param {string} [dateOrder] - Day/month order for ambiguous formats (DATE_ORDERS)
+ * @returns {Object} - { value: string, changes: Array, originalOffset?: string }
  */
-export const optimizeDate = (dateStr, defaultTimezone = '+00:00') => {
+export const optimizeDate = (dateStr, defaultTimezone = 'UTC', targetTimezone = '', dateOrder) => {
   const changes = [];
   
   if (!dateStr || dateStr.trim() === '') {
@@ -27,18 +48,18 @@ export const optimizeDate = (dateStr, defaultTimezone = '+00:00') => {
   
   // Check if already in correct format (with T separator)
   const correctFormat = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/;
-  if (correctFormat.test(trimmed)) {
+  if (correctFormat.test(trimmed) && !targetTimezone) {
     return { value: trimmed, changes: [] };
   }
 
   // Try to parse the date
-  const parsed = tryParseDate(trimmed);
+  const parsed = tryParseDate(trimmed, dateOrder);
   if (!parsed || !isValid(parsed)) {
     return { value: dateStr, changes: [] };
   }
 
   // Check if original has time component
-  const hasTime = /\d{2}:\d{2}/.test(trimmed);
+  const time = getTimeOfDay(trimmed);
   
   // Check if original has timezone
   const hasTimezone = /[+-]\d{2}:\d{2}$/.test(trimmed) || /Z$/.test(trimmed);
@@ -48,13 +69,8 @@ export const optimizeDate = (dateStr, defaultTimezone = '+00:00') => {
   // (conversions must happen AFTER the ad click for proper attribution)
   let hours = 23, minutes = 59, seconds = 59;
   
-  if (hasTime) {
-    const timeMatch = trimmed.match(/(\d{2}):(\d{2})(?::(\d{2}))?/);
-    if (timeMatch) {
-      hours = parseInt(timeMatch[1]);
-      minutes = parseInt(timeMatch[2]);
-      seconds = timeMatch[3] ? parseInt(timeMatch[3]) : 0;
-    }
+  if (time) {
+    ({ hours, minutes, seconds } = time);
   } else {
     // For today's date, cap at current time (can't be in the future)
     if (isToday(parsed)) {
@@ -66,12 +82,20 @@ export const optimizeDate = (dateStr, defaultTimezone = '+00:00') => {
     changes.push(VALIDATION_MESSAGES.info.timeAdded);
   }
 
-  // Format date part
-  const datePart = format(parsed, 'yyyy-MM-dd');
-  const timePart = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+  // Date part as written in the source. For strings carrying an offset the parsed
+  // Date is in the browser's zone and can fall on a different day, so read it directly.
+  const isoDate = hasTimezone && trimmed.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const wallTime = {
+    year: isoDate ? parseInt(isoDate[1]) : parsed.getFullYear(),
+    month: isoDate ? parseInt(isoDate[2]) : parsed.getMonth() + 1,
+    day: isoDate ? parseInt(isoDate[3]) : parsed.getDate(),
+    hours,
+    minutes,
+    seconds
+  };
   
   // Determine timezone
-  let timezone = defaultTimezone;
+  let timezone;
   if (hasTimezone) {
     const tzMatch = trimmed.match(/([+-]\d{2}:\d{2})$/);
     if (tzMatch) {
@@ -80,16 +104,31 @@ export const optimizeDate = (dateStr, defaultTimezone = '+00:00') => {
       timezone = '+00:00';
     }
   } else {
-    changes.push(VALIDATION_MESSAGES.info.timezoneApplied);
+    timezone = resolveOffset(defaultTimezone, wallTime).offset;
+    changes.push(targetTimezone
+      ? VALIDATION_MESSAGES.info.timezoneAssumed
+      : VALIDATION_MESSAGES.info.timezoneApplied);
   }
 
-  const formatted = `${datePart}T${timePart}${timezone}`;
+  let formatted = `${formatWallTime(wallTime)}${timezone}`;
+  let originalOffset;
+
+  // Normalize to the account timezone, remembering the offset we converted from
+  if (targetTimezone) {
+    const converted = convertToTimezone(wallTime, timezone, targetTimezone);
+    const convertedValue = `${formatWallTime(converted.wallTime)}${converted.offset}`;
+    if (convertedValue !== formatted) {
+      formatted = convertedValue;
+      originalOffset = timezone;
+      changes.push(VALIDATION_MESSAGES.info.timezoneConverted);
+    }
+  }
   
   if (formatted !== trimmed) {
     changes.push(VALIDATION_MESSAGES.info.dateReformatted);
   }
 
-  return { value: formatted, changes };
+  return { value: formatted, changes, originalOffset };
 };
 
 /**
@@ -134,6 +173,8 @@ export const optimizeValue = (value) => {
 
 /**
  * Optimize a currency code
+ * Symbols ('€', 'US$') are translated to ISO 4217 codes; values that can't be
+ * resolved are left as-is for the validator to report.
  * @param {string} currency - Original currency string
  * @param {string} defaultCurrency - Default currency if empty
  * @returns {Object} - { value: string, changes: Array }
@@ -141,31 +182,61 @@ export const optimizeValue = (value) => {
 export const optimizeCurrency = (currency, defaultCurrency = '') => {
   const changes = [];
   
-  if (!currency || currency.trim() === '') {
+  if (currency === undefined || currency === null || String(currency).trim() === '') {
     if (defaultCurrency) {
       return { value: defaultCurrency.toUpperCase(), changes: [] };
     }
     return { value: '', changes: [] };
   }
 
-  const original = currency.trim();
-  const optimized = original.toUpperCase();
+  const original = String(currency).trim();
+  const { code, fromSymbol } = resolveCurrencyCode(original);
 
-  if (optimized !== original) {
+  if (!code) {
+    return { value: original, changes };
+  }
+
+  if (fromSymbol) {
+    changes.push(VALIDATION_MESSAGES.info.currencySymbolConverted);
+  } else if (code !== original) {
     changes.push(VALIDATION_MESSAGES.info.currencyFixed);
   }
 
-  return { value: optimized, changes };
+  return { value: code, changes };
+};
+
+/**
+ * Hash an email, fixing a typo'd domain first when auto-correct is on.
+ * Placeholders and invalid addresses hash to '' (reported by the validator).
+ * @param {string} email - Original email
+ * @param {boolean} autocorrect - Replace typo domains ('gmial.com' -> 'gmail.com')
+ * @param {string} [destination] - HASH_DESTINATIONS value whose rules apply
+ * @returns {Promise<Object>} - { value: string, changes: Array }
+ */
+export const optimizeEmail = async (email, autocorrect = false, destination) => {
+  const changes = [];
+  const { suggestion } = checkEmail(email);
+  const corrected = autocorrect && suggestion ? suggestion : email;
+  if (corrected !== email) {
+    changes.push(VALIDATION_MESSAGES.info.emailTypoCorrected);
+  }
+
+  const value = await hashField(corrected, 'email', { destination });
+  if (value) {
+    changes.push(VALIDATION_MESSAGES.info.emailHashed);
+  }
+  return { value, changes };
 };
 
 /**
  * Convert a date string to Unix timestamp (seconds) for Facebook
  * @param {string} dateStr - Original date string
+ * @param {string} [dateOrder] - Day/month order for ambiguous formats (DATE_ORDERS)
  * @returns {Object} - { value: string, changes: Array }
  */
-export const optimizeDateToUnix = (dateStr) => {
+export const optimizeDateToUnix = (dateStr, dateOrder) => {
   if (!dateStr || dateStr.trim() === '') return { value: '', changes: [] };
-  const parsed = tryParseDate(dateStr.trim());
+  const parsed = tryParseDate(dateStr.trim(), dateOrder);
   if (!parsed || !isValid(parsed)) return { value: dateStr, changes: [] };
   const unix = Math.floor(parsed.getTime() / 1000).toString();
   return { value: unix, changes: [VALIDATION_MESSAGES.info.unixTimestampConverted] };
@@ -174,7 +245,7 @@ export const optimizeDateToUnix = (dateStr) => {
 /**
  * Optimize a single row of data
  * @param {Object} row - Row data with standardized field names
- * @param {string} mode - 'standard' or 'ec4l' or 'facebook'
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
  * @param {Object} settings - User settings
  * @returns {Promise<OptimizationResult>}
  */
@@ -184,10 +255,13 @@ export const optimizeRow = async (row, mode, settings) => {
 
   // Optimize date: Unix timestamp for Facebook, Google format otherwise
   const dateResult = mode === MODES.FACEBOOK
-    ? optimizeDateToUnix(row.conversionTime)
-    : optimizeDate(row.conversionTime, settings.timezone);
+    ? optimizeDateToUnix(row.conversionTime, settings.dateOrder)
+    : optimizeDate(row.conversionTime, settings.timezone, settings.targetTimezone, settings.dateOrder);
   optimized.conversionTime = dateResult.value;
   allChanges.push(...dateResult.changes);
+  if (dateResult.originalOffset) {
+    optimized._originalOffset = dateResult.originalOffset;
+  }
 
   // Optimize value (handle both string and number values from Excel)
   if (row.conversionValue !== undefined && row.conversionValue !== null && row.conversionValue !== '') {
@@ -197,32 +271,105 @@ export const optimizeRow = async (row, mode, settings) => {
   } else {
     optimized.conversionValue = '';
   }
+  if (row._valueDefaulted) {
+    allChanges.push(VALIDATION_MESSAGES.info.defaultValueApplied);
+  }
 
-  // Set currency from settings (currency is not mapped from columns)
-  // Always use the default currency from settings
-  optimized.currency = settings.defaultCurrency ? settings.defaultCurrency.toUpperCase() : '';
+  // Clean up click IDs: quotes, whitespace, percent-encoding, pasted URLs
+  const clickIdFields = mode === MODES.STANDARD ? CLICK_ID_FIELDS
+    : mode === MODES.ADJUSTMENT ? ['gclid']
+    : [];
+  clickIdFields.forEach(field => {
+    if (row[field] === undefined || row[field] === null || String(row[field]).trim() === '') return;
+    const clickIdResult = cleanClickId(row[field]);
+    optimized[field] = clickIdResult.value;
+    allChanges.push(...clickIdResult.changes);
+  });
+
+  // Store the name the row exports under: its own name translated through the
+  // lookup table, or the global name. Dedupe, the upload ledger and the export
+  // read this; an unknown name is left as it is (validation rejects the row).
+  const resolvedName = resolveConversionName(row, mode, settings);
+  if (resolvedName !== null) {
+    optimized.conversionName = resolvedName;
+    if (row.conversionName !== undefined && row.conversionName !== null && String(row.conversionName).trim() !== '') {
+      allChanges.push(VALIDATION_MESSAGES.info.conversionNameMapped);
+    }
+  }
+
+  // Normalize the row's currency, falling back to the default currency
+  const currencyResult = optimizeCurrency(row.currency, settings.defaultCurrency);
+  optimized.currency = currencyResult.value;
+  allChanges.push(...currencyResult.changes);
+
+  // Convert into the reporting currency with the rate for the row's date
+  if (settings.reportingCurrency && optimized.conversionValue !== '' && optimized.currency &&
+      optimized.currency !== settings.reportingCurrency && resolveCurrencyCode(optimized.currency).code) {
+    const rateDate = getRateDate(row, settings.dateOrder);
+    const match = rateDate && findExchangeRate(settings.exchangeRates, optimized.currency, rateDate);
+    const amount = parseFloat(optimized.conversionValue);
+    if (match && !isNaN(amount)) {
+      optimized._currencyConversion = {
+        originalValue: optimized.conversionValue,
+        originalCurrency: optimized.currency,
+        rate: match.rate,
+        rateDate: match.date
+      };
+      optimized.conversionValue = convertAmount(amount, match.rate);
+      optimized.currency = settings.reportingCurrency;
+      allChanges.push(VALIDATION_MESSAGES.info.currencyConverted);
+    } else if (rateDate) {
+      optimized._missingRate = { currency: optimized.currency, date: rateDate };
+    }
+  }
+
+  // Adjustment specific: format adjustment time and normalize the type
+  if (mode === MODES.ADJUSTMENT) {
+    const adjustmentTimeResult = optimizeDate(row.adjustmentTime, settings.timezone, settings.targetTimezone, settings.dateOrder);
+    optimized.adjustmentTime = adjustmentTimeResult.value;
+    allChanges.push(...adjustmentTimeResult.changes);
+
+    if (row.adjustmentType) {
+      const original = String(row.adjustmentType).trim();
+      optimized.adjustmentType = original.toUpperCase();
+      if (optimized.adjustmentType !== original) {
+        allChanges.push(VALIDATION_MESSAGES.info.adjustmentTypeFixed);
+      }
+    }
+  }
+
+  // Order / transaction ID and Meta event ID (numbers from Excel become text)
+  ['orderId', 'eventId'].forEach(field => {
+    if (row[field] !== undefined && row[field] !== null && String(row[field]).trim() !== '') {
+      optimized[field] = String(row[field]).trim();
+    }
+  });
 
   // EC4L specific: hash PII fields
   if (mode === MODES.EC4L) {
     // Hash email
     if (row.email && !isAlreadyHashed(row.email)) {
-      optimized.email = await hashField(row.email, 'email');
-      allChanges.push(VALIDATION_MESSAGES.info.emailHashed);
+      const emailResult = await optimizeEmail(row.email, settings.autocorrectEmails, HASH_DESTINATIONS.GOOGLE);
+      optimized.email = emailResult.value;
+      allChanges.push(...emailResult.changes);
     }
 
-    // Hash phone
+    // Hash phone (numbers that can't be normalized are left out, see validator)
     if (row.phone && !isAlreadyHashed(row.phone)) {
-      optimized.phone = await hashField(row.phone, 'phone');
-      allChanges.push(VALIDATION_MESSAGES.info.phoneHashed);
+      optimized.phone = await hashField(row.phone, 'phone', {
+        destination: HASH_DESTINATIONS.GOOGLE,
+        region: getPhoneRegion(row.country, settings.defaultRegion)
+      });
+      if (optimized.phone) allChanges.push(VALIDATION_MESSAGES.info.phoneHashed);
     }
 
     // Hash names
     if (row.firstName && !isAlreadyHashed(row.firstName)) {
-      optimized.firstName = await hashField(row.firstName, 'firstName');
+      optimized.firstName = await hashField(row.firstName, 'firstName', { destination: HASH_DESTINATIONS.GOOGLE });
       allChanges.push(VALIDATION_MESSAGES.info.nameHashed);
     }
     if (row.lastName && !isAlreadyHashed(row.lastName)) {
-      optimized.lastName = await hashField(row.lastName, 'lastName');
+      optimized.lastName = await hashField(row.lastName, 'lastName', { destination: HASH_DESTINATIONS.GOOGLE });
       // Don't duplicate the message if firstName was also hashed
       if (!row.firstName || isAlreadyHashed(row.firstName)) {
         allChanges.push(VALIDATION_MESSAGES.info.nameHashed);
@@ -241,28 +388,32 @@ export const optimizeRow = async (row, mode, settings) => {
   // Facebook specific: hash PII and address fields
   if (mode === MODES.FACEBOOK) {
     if (row.email && !isAlreadyHashed(row.email)) {
-      optimized.email = await hashField(row.email, 'email');
-      allChanges.push(VALIDATION_MESSAGES.info.emailHashed);
+      const emailResult = await optimizeEmail(row.email, settings.autocorrectEmails, HASH_DESTINATIONS.META);
+      optimized.email = emailResult.value;
+      allChanges.push(...emailResult.changes);
     }
     if (row.phone && !isAlreadyHashed(row.phone)) {
-      optimized.phone = await hashField(row.phone, 'phone');
-      allChanges.push(VALIDATION_MESSAGES.info.phoneHashed);
+      optimized.phone = await hashField(row.phone, 'phone', {
+        destination: HASH_DESTINATIONS.META,
+        region: getPhoneRegion(row.country, settings.defaultRegion)
+      });
+      if (optimized.phone) allChanges.push(VALIDATION_MESSAGES.info.phoneHashed);
     }
     if (row.firstName && !isAlreadyHashed(row.firstName)) {
-      optimized.firstName = await hashField(row.firstName, 'firstName');
+      optimized.firstName = await hashField(row.firstName, 'firstName', { destination: HASH_DESTINATIONS.META });
       allChanges.push(VALIDATION_MESSAGES.info.nameHashed);
     }
     if (row.lastName && !isAlreadyHashed(row.lastName)) {
-      optimized.lastName = await hashField(row.lastName, 'lastName');
+      optimized.lastName = await hashField(row.lastName, 'lastName', { destination: HASH_DESTINATIONS.META });
       if (!row.firstName || isAlreadyHashed(row.firstName)) {
         allChanges.push(VALIDATION_MESSAGES.info.nameHashed);
       }
     }
     // Hash address fields (Facebook hashes these, unlike Google EC4L)
     let addressHashed = false;
-    for (const f of ['city', 'state', 'country', 'zip']) {
+    for (const f of getHashProfile(HASH_DESTINATIONS.META).hashedAddressFields) {
       if (row[f] && !isAlreadyHashed(row[f])) {
-        optimized[f] = await hashField(row[f], f);
+        optimized[f] = await hashField(row[f], f, { destination: HASH_DESTINATIONS.META, country: row.country });
         addressHashed = true;
       }
     }
@@ -278,39 +429,105 @@ export const optimizeRow = async (row, mode, settings) => {
 };
 
 /**
- * Optimize all rows and prepare for export
+ * Optimize rows in concurrent batches, reporting progress after each batch
  * @param {Array} data - Array of row objects
- * @param {string} mode - 'standard' or 'ec4l'
- * @param {Object} settings - User settings (conversionName, timezone, defaultCurrency)
- * @returns {Promise<Object>} - { data: Array, changes: Array, changeSummary: Object }
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} settings - User settings
+ * @param {Object} [options]
+ * @param {Object} [options.dateOrders] - Source file index -> DATE_ORDERS value; pass it
+ *   when `data` is only part of the batch (default: resolved from `data`)
+ * @param {Function} [options.onProgress] - Called with { done, total } after each batch
+ * @param {AbortSignal} [options.signal] - Stops between batches when aborted
+ * @returns {Promise<Array<OptimizationResult>>} - One result per row, in order
  */
-export const optimizeAll = async (data, mode, settings) => {
+export const optimizeRows = async (data, mode, settings, { dateOrders, onProgress, signal } = {}) => {
+  const orders = dateOrders || resolveDateOrders(data, settings.dateOrder);
+  const results = [];
+
+  for (let start = 0; start < data.length; start += OPTIMIZE_BATCH_SIZE) {
+    signal?.throwIfAborted();
+    const batch = data.slice(start, start + OPTIMIZE_BATCH_SIZE);
+    results.push(...await Promise.all(batch.map(row =>
+      optimizeRow(row, mode, { ...settings, dateOrder: orders[row._fileIndex ?? 0] })
+    )));
+    onProgress?.({ done: results.length, total: data.length });
+  }
+  return results;
+};
+
+/**
+ * Collect per-row optimization results into the optimized data and change summary
+ * @param {Array} data - Array of row objects
+ * @param {Array<OptimizationResult>} results - Results from optimizeRows, one per row
+ * @param {Object} settings - User settings (reportingCurrency)
+ * @returns {Object} - { data: Array, changes: Array, changeSummary: Object, currencyConversion: Object|null }
+ */
+export const summarizeOptimization = (data, results, settings) => {
   const optimizedData = [];
   const allChanges = [];
   const changeSummary = {};
+  // Reporting currency conversion: rows converted and currency/date pairs without a rate
+  let convertedCount = 0;
+  const missingRates = {};
 
-  for (const row of data) {
-    const result = await optimizeRow(row, mode, settings);
+  results.forEach((result, index) => {
+    const row = data[index];
     optimizedData.push(result.data);
     
     result.changes.forEach(change => {
-      allChanges.push({ ...change, rowIndex: row._rowIndex });
+      const entry = { message: change, rowIndex: row._rowIndex };
+      // Keep the original amount and rate alongside conversions
+      if (change === VALIDATION_MESSAGES.info.currencyConverted) {
+        entry.conversion = result.data._currencyConversion;
+      }
+      allChanges.push(entry);
       changeSummary[change] = (changeSummary[change] || 0) + 1;
     });
-  }
+
+    if (result.data._currencyConversion) {
+      convertedCount++;
+    }
+    if (result.data._missingRate) {
+      const { currency, date } = result.data._missingRate;
+      const key = `${currency} ${date}`;
+      missingRates[key] = missingRates[key] || { currency, date, count: 0 };
+      missingRates[key].count++;
+    }
+  });
 
   return {
     data: optimizedData,
     changes: allChanges,
-    changeSummary
+    changeSummary,
+    currencyConversion: settings.reportingCurrency
+      ? {
+          currency: settings.reportingCurrency,
+          converted: convertedCount,
+          missingRates: Object.values(missingRates).sort((a, b) =>
+            a.currency.localeCompare(b.currency) || a.date.localeCompare(b.date))
+        }
+      : null
   };
 };
 
+/**
+ * Optimize all rows and prepare for export
+ * @param {Array} data - Array of row objects
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} settings - User settings (conversionName, timezone, defaultCurrency)
+ * @param {Object} [options] - dateOrders, onProgress and signal (see optimizeRows)
+ * @returns {Promise<Object>} - { data: Array, changes: Array, changeSummary: Object, currencyConversion: Object|null }
+ */
+export const optimizeAll = async (data, mode, settings, options = {}) => {
+  const results = await optimizeRows(data, mode, settings, options);
+  return summarizeOptimization(data, results, settings);
+};
+
 /**
  * Transform optimized data to export format
  * @param {Array} data - Optimized row data
- * @param {string} mode - 'standard', 'ec4l', or 'facebook'
- * @param {string} conversionName - User-provided conversion/event name
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {string} conversionName - User-provided conversion/event name (fallback for rows without a resolved name)
  * @param {Object} settings - User settings (used for Facebook eventName, dataProcessingOptions)
  * @returns {Array} - Data formatted for CSV export
  */
@@ -325,22 +542,45 @@ export const transformToGoogleAdsFormat = (data, mode, conversionName, settings
       'st': row.state || '',
       'country': row.country || '',
       'zip': row.zip || '',
-      'event_name': settings.eventName || '',
+      'event_name': row.conversionName || settings.eventName || '',
       'event_time': row.conversionTime || '',
       'value': row.conversionValue || '',
       'currency': row.currency || '',
+      'order_id': row.orderId || '',
+      // Meta deduplicates against Pixel events with the same event_id and event_name
+      'event_id': row.eventId || '',
       'data_processing_options': settings.dataProcessingOptions || 'non-ldu'
     }));
   }
 
+  if (mode === MODES.ADJUSTMENT) {
+    return data.map(row => {
+      // Google Ads ignores value and currency on retractions
+      const isRetract = row.adjustmentType === ADJUSTMENT_TYPES.RETRACT;
+      return {
+        'Order ID': row.orderId || '',
+        'Google Click ID': row.gclid || '',
+        'Conversion Name': row.conversionName || conversionName,
+        'Conversion Time': row.conversionTime || '',
+        'Adjustment Type': row.adjustmentType || '',
+        'Adjustment Time': row.adjustmentTime || '',
+        'Adjusted Value': isRetract ? '' : (row.conversionValue || ''),
+        'Adjusted Value Currency': isRetract || !row.conversionValue ? '' : (row.currency || '')
+      };
+    });
+  }
+
   return data.map(row => {
     if (mode === MODES.STANDARD) {
       return {
         'Google Click ID': row.gclid || '',
-        'Conversion Name': conversionName,
+        'GBRAID': row.gbraid || '',
+        'WBRAID': row.wbraid || '',
+        'Conversion Name': row.conversionName || conversionName,
         'Conversion Time': row.conversionTime || '',
         'Conversion Value': row.conversionValue || '',
-        'Conversion Currency': row.currency || ''
+        'Conversion Currency': row.currency || '',
+        'Order ID': row.orderId || ''
       };
     }
 
@@ -352,10 +592,11 @@ export const transformToGoogleAdsFormat = (data, mode, conversionName, settings
       'Last Name': row.lastName || '',
       'Country': row.country || '',
       'Zip': row.zip || '',
-      'Conversion Name': conversionName,
+      'Conversion Name': row.conversionName || conversionName,
       'Conversion Time': row.conversionTime || '',
       'Conversion Value': row.conversionValue || '',
-      'Conversion Currency': row.currency || ''
+      'Conversion Currency': row.currency || '',
+      'Order ID': row.orderId || ''
     };
   });
 };
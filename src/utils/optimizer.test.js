@@ -0,0 +1,65 @@
+import { optimizeDate, optimizeRow, transformToGoogleAdsFormat } from './optimizer';
+import { tryParseDate } from './validator';
+
+describe('optimizeDate', () => {
+  test('keeps a single-digit hour when converting timezones', () => {
+    const result = optimizeDate('2026-10-06 9:05', 'America/New_York', 'Europe/Berlin');
+    expect(result.value).toBe('2026-10-06T15:05:00+02:00');
+    expect(result.originalOffset).toBe('-04:00');
+  });
+
+  test('reads single-digit hours in day/month-first dates', () => {
+    expect(optimizeDate('10/6/2026 9:05', 'UTC').value).toBe('2026-10-06T09:05:00+00:00');
+    expect(optimizeDate('06.10.2026 9:05:30', 'UTC').value).toBe('2026-10-06T09:05:30+00:00');
+  });
+
+  test('reads AM/PM times', () => {
+    expect(optimizeDate('10/6/2026 9:05 PM', 'UTC').value).toBe('2026-10-06T21:05:00+00:00');
+    expect(optimizeDate('10/6/2026 12:05 am', 'UTC').value).toBe('2026-10-06T00:05:00+00:00');
+  });
+
+  test('uses end of day for date-only values', () => {
+    expect(optimizeDate('2026-10-06', 'America/New_York', 'Europe/Berlin').value).toBe('2026-10-07T05:59:59+02:00');
+  });
+
+  test('leaves dates with trailing text unparsed', () => {
+    expect(optimizeDate('2026-10-06 9:05 junk', 'UTC').value).toBe('2026-10-06 9:05 junk');
+    expect(tryParseDate('2026-10-06 9:05 junk')).toBeNull();
+    expect(tryParseDate('2026-10-06 junk')).toBeNull();
+    expect(tryParseDate('10/6/2026 13:05 PM')).toBeNull();
+  });
+
+  test('accepts an offset after the time', () => {
+    expect(optimizeDate('2026-10-06 9:05+02:00', 'UTC').value).toBe('2026-10-06T09:05:00+02:00');
+  });
+});
+
+describe('optimizeRow', () => {
+  const GCLID = 'Cj0KCQiAw9qOBhC-ARIsAG-rdn7aaaaaaaaaaaaaaaaaaaX';
+  const settings = { conversionName: 'Closed Won', conversionNameMap: { Default: 'Closed Won', Demo: 'Demo Booked' }, timezone: 'UTC' };
+  const row = (conversionName) => ({ gclid: GCLID, conversionTime: '2026-10-06 09:05', conversionValue: '10', conversionName });
+
+  test('stores the conversion name the row exports under', async () => {
+    expect((await optimizeRow(row('Demo'), 'standard', settings)).data.conversionName).toBe('Demo Booked');
+    expect((await optimizeRow(row('Default'), 'standard', settings)).data.conversionName).toBe('Closed Won');
+    expect((await optimizeRow(row(''), 'standard', settings)).data.conversionName).toBe('Closed Won');
+  });
+
+  test('keeps a name missing from the lookup table as it is', async () => {
+    expect((await optimizeRow(row('Unknown'), 'standard', settings)).data.conversionName).toBe('Unknown');
+  });
+});
+
+describe('transformToGoogleAdsFormat', () => {
+  test('exports the Meta order ID and event ID from their own fields', () => {
+    const [row] = transformToGoogleAdsFormat([
+      { email: 'hash', conversionTime: '1791277500', conversionValue: '10', currency: 'EUR', orderId: 'A-1', eventId: 'evt-9' }
+    ], 'facebook', '', { eventName: 'Purchase' });
+    expect(row).toMatchObject({ event_name: 'Purchase', order_id: 'A-1', event_id: 'evt-9' });
+  });
+
+  test('leaves the Meta event ID empty when none is mapped', () => {
+    const [row] = transformToGoogleAdsFormat([{ email: 'hash', orderId: 'A-1' }], 'facebook', '', { eventName: 'Purchase' });
+    expect(row.event_id).toBe('');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Phone helpers: E.164 normalization using the row's country or a default region.
+ */
+import { PHONE_REGIONS } from './constants';
+
+// E.164 numbers have at most 15 digits including the calling code
+const MAX_E164_DIGITS = 15;
+// Shortest international number accepted for calling codes without a numbering plan
+const MIN_INTERNATIONAL_DIGITS = 8;
+
+/**
+ * Resolve a country value ('DE', 'de', 'Germany') to a region in PHONE_REGIONS
+ * @param {string} country - Country code or English name
+ * @returns {string|null} - ISO 3166-1 alpha-2 code, or null if there's no numbering plan for it
+ */
+export const resolvePhoneRegion = (country) => {
+  if (country === null || country === undefined) return null;
+  const normalized = String(country).trim().toUpperCase();
+  if (!normalized) return null;
+  if (PHONE_REGIONS[normalized]) return normalized;
+  if (normalized === 'UK') return 'GB';
+  const byName = Object.keys(PHONE_REGIONS).find(code => PHONE_REGIONS[code].name.toUpperCase() === normalized);
+  return byName || null;
+};
+
+/**
+ * Get the region for a row's phone number: its country, else the default region
+ * @param {string} country - Row's country value
+ * @param {string} defaultRegion - Default region from settings
+ * @returns {string|null}
+ */
+export const getPhoneRegion = (country, defaultRegion) => {
+  return resolvePhoneRegion(country) || resolvePhoneRegion(defaultRegion);
+};
+
+/**
+ * Find the numbering plan for an international number by its calling code
+ * (1-3 digits, longest match first)
+ * @param {string} digits - Digits after the international prefix
+ * @returns {{plan: Object, callingCode: string}|null}
+ */
+const findCallingCode = (digits) => {
+  for (let length = 3; length >= 1; length--) {
+    const callingCode = digits.slice(0, length);
+    const region = Object.keys(PHONE_REGIONS).find(code => PHONE_REGIONS[code].callingCode === callingCode);
+    if (region) return { plan: PHONE_REGIONS[region], callingCode };
+  }
+  return null;
+};
+
+/**
+ * Check a national number against a numbering plan's length range
+ * @param {string} national - National significant number
+ * @param {Object} plan - PHONE_REGIONS entry
+ * @returns {boolean}
+ */
+const fitsPlan = (national, plan) => {
+  return national.length >= plan.length[0] && national.length <= plan.length[1];
+};
+
+/**
+ * Drop a trunk prefix from a national number. Only done when the rest fits the
+ * plan: in some countries the prefix digit can also start a number (RU: trunk
+ * '8', area code '812').
+ * @param {string} national - Digits dialled domestically
+ * @param {Object} plan - PHONE_REGIONS entry
+ * @returns {string}
+ */
+const stripTrunkPrefix = (national, plan) => {
+  if (!plan.trunkPrefix || !national.startsWith(plan.trunkPrefix)) return national;
+  const stripped = national.slice(plan.trunkPrefix.length);
+  return fitsPlan(stripped, plan) ? stripped : national;
+};
+
+/**
+ * Normalize a phone number to E.164 ('+491711234567').
+ * Numbers with an international prefix ('+', '00', or '011' in North America)
+ * keep their calling code; national numbers take the calling code of `region`
+ * and lose their trunk prefix ('0171 1234567' in DE -> '+491711234567').
+ * @param {string} phone - Phone number as entered
+ * @param {string} [region] - ISO 3166-1 alpha-2 region for national numbers
+ * @returns {{value: string|null, problem: string|null}} - E.164 number, or null and
+ *   'noRegion' (national number without a region) / 'invalid'
+ */
+export const toE164 = (phone, region) => {
+  let str = String(phone ?? '').trim();
+  // Extensions can't be dialled from an ad platform's matching
+  str = str.replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '');
+  if (!str || !/^[+\d\s().\-/]+$/.test(str)) return { value: null, problem: 'invalid' };
+
+  const plan = region ? PHONE_REGIONS[region] : null;
+  // '+49 (0)171 ...': the optional trunk prefix shown in international notation
+  const digits = str.replace(/\(0\)/g, '').replace(/\D/g, '');
+
+  let international = null;
+  if (str.startsWith('+')) {
+    international = digits;
+  } else if (digits.startsWith('00')) {
+    international = digits.slice(2);
+  } else if (plan?.callingCode === '1' && digits.startsWith('011')) {
+    international = digits.slice(3);
+  }
+
+  if (international !== null) {
+    const match = findCallingCode(international);
+    if (!match) {
+      const valid = international.length >= MIN_INTERNATIONAL_DIGITS && international.length <= MAX_E164_DIGITS;
+      return valid ? { value: `+${international}`, problem: null } : { value: null, problem: 'invalid' };
+    }
+    const national = stripTrunkPrefix(international.slice(match.callingCode.length), match.plan);
+    return fitsPlan(national, match.plan)
+      ? { value: `+${match.callingCode}${national}`, problem: null }
+      : { value: null, problem: 'invalid' };
+  }
+
+  if (!plan) return { value: null, problem: 'noRegion' };
+
+  const national = stripTrunkPrefix(digits, plan);
+  return fitsPlan(national, plan)
+    ? { value: `+${plan.callingCode}${national}`, problem: null }
+    : { value: null, problem: 'invalid' };
+};
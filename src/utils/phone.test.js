@@ -0,0 +1,65 @@
+import { toE164, resolvePhoneRegion, getPhoneRegion } from './phone';
+
+const valid = (value) => ({ value, problem: null });
+
+describe('toE164', () => {
+  test('strips the national trunk prefix', () => {
+    expect(toE164('0171 1234567', 'DE')).toEqual(valid('+491711234567'));
+    expect(toE164('020 7946 0958', 'GB')).toEqual(valid('+442079460958'));
+    expect(toE164('06 12 34 56 78', 'FR')).toEqual(valid('+33612345678'));
+  });
+
+  test('keeps a leading digit that only looks like a trunk prefix', () => {
+    // RU trunk prefix '8' vs. the St. Petersburg area code '812'
+    expect(toE164('8 812 123-45-67', 'RU')).toEqual(valid('+78121234567'));
+    expect(toE164('812 123 4567', 'RU')).toEqual(valid('+78121234567'));
+    // IT has no trunk prefix
+    expect(toE164('3331234567', 'IT')).toEqual(valid('+393331234567'));
+  });
+
+  test('drops the (0) trunk form in international notation', () => {
+    expect(toE164('+49 (0)171 1234567')).toEqual(valid('+491711234567'));
+    expect(toE164('+44 (0)20 7946 0958', 'GB')).toEqual(valid('+442079460958'));
+  });
+
+  test('reads international prefixes', () => {
+    expect(toE164('0049 171 1234567')).toEqual(valid('+491711234567'));
+    expect(toE164('011 44 20 7946 0958', 'US')).toEqual(valid('+442079460958'));
+    expect(toE164('1-212-555-0123', 'US')).toEqual(valid('+12125550123'));
+    expect(toE164('(212) 555-0123', 'US')).toEqual(valid('+12125550123'));
+  });
+
+  test('accepts calling codes without a numbering plan by length', () => {
+    expect(toE164('+999 1234 5678')).toEqual(valid('+99912345678'));
+  });
+
+  test('drops extensions', () => {
+    expect(toE164('+49 171 1234567 ext. 12', 'DE')).toEqual(valid('+491711234567'));
+  });
+
+  test('needs a region for national numbers', () => {
+    expect(toE164('0171 1234567')).toEqual({ value: null, problem: 'noRegion' });
+    expect(toE164('0171 1234567', '')).toEqual({ value: null, problem: 'noRegion' });
+  });
+
+  test('rejects text and numbers that do not fit the plan', () => {
+    expect(toE164('call me', 'DE')).toEqual({ value: null, problem: 'invalid' });
+    expect(toE164('+49 12')).toEqual({ value: null, problem: 'invalid' });
+    expect(toE164('')).toEqual({ value: null, problem: 'invalid' });
+  });
+});
+
+describe('resolvePhoneRegion', () => {
+  test('reads codes and English names', () => {
+    expect(resolvePhoneRegion('Germany')).toBe('DE');
+    expect(resolvePhoneRegion(' de ')).toBe('DE');
+    expect(resolvePhoneRegion('uk')).toBe('GB');
+    expect(resolvePhoneRegion('Atlantis')).toBeNull();
+    expect(resolvePhoneRegion(null)).toBeNull();
+  });
+
+  test('falls back to the default region', () => {
+    expect(getPhoneRegion('FR', 'DE')).toBe('FR');
+    expect(getPhoneRegion('', 'de')).toBe('DE');
+  });
+});
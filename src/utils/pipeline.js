@@ -0,0 +1,185 @@
+import { MODES, VALIDATION_MESSAGES, ZERO_VALUE_ACTIONS } from './constants';
+import { applyMappings } from './columnMapper';
+import { validateAll, resolveDateOrders } from './validator';
+import { optimizeAll, transformToGoogleAdsFormat } from './optimizer';
+import { dedupeRows } from './dedupe';
+
+/**
+ * Check that every row gets a conversion name (or Facebook event name): the setting
+ * is only needed when some row has no name of its own for the lookup table
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} settings - User settings
+ * @param {Array} [rows] - Mapped rows (without rows, only the setting is checked)
+ * @returns {boolean}
+ */
+export const hasConversionName = (mode, settings, rows = []) => {
+  const globalName = mode === MODES.FACEBOOK ? settings.eventName : settings.conversionName;
+  if (globalName && globalName.trim()) return true;
+  return rows.length > 0 && rows.every(row => row.conversionName !== null &&
+    row.conversionName !== undefined && String(row.conversionName).trim() !== '');
+};
+
+/**
+ * Check whether a row has a positive conversion value
+ * @param {Object} row - Row data with standardized field names
+ * @returns {boolean}
+ */
+const hasPositiveValue = (row) => {
+  const value = row.conversionValue;
+  if (value === null || value === undefined || value === '') return false;
+  const numValue = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return !isNaN(numValue) && numValue > 0;
+};
+
+/**
+ * Zero-value row filter: rows with 0 or no conversion value are dropped, kept,
+ * or given the default value, as set in settings.zeroValueRows (ZERO_VALUE_ACTIONS).
+ * Without a usable default value, 'default' keeps the rows as they are.
+ * Not applied to adjustments: retractions legitimately carry no value.
+ * Callers resolve the date orders first, so dropped rows still count (see prepareBatch).
+ * @param {Array} rows - Mapped rows
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} settings - User settings (zeroValueRows, defaultConversionValue)
+ * @returns {{rows: Array, dropped: Array}} - Rows to keep, and the mapped rows removed
+ */
+export const filterZeroValueRows = (rows, mode, settings) => {
+  const action = settings.zeroValueRows || ZERO_VALUE_ACTIONS.DROP;
+  if (mode === MODES.ADJUSTMENT || action === ZERO_VALUE_ACTIONS.KEEP) {
+    return { rows, dropped: [] };
+  }
+
+  const defaultValue = String(settings.defaultConversionValue ?? '').trim();
+  const canDefault = action === ZERO_VALUE_ACTIONS.DEFAULT && hasPositiveValue({ conversionValue: defaultValue });
+  const kept = [];
+  const dropped = [];
+  rows.forEach(row => {
+    if (hasPositiveValue(row)) {
+      kept.push(row);
+    } else if (action === ZERO_VALUE_ACTIONS.DEFAULT) {
+      kept.push(canDefault ? { ...row, conversionValue: defaultValue, _valueDefaulted: true } : row);
+    } else {
+      dropped.push(row);
+    }
+  });
+  return { rows: kept, dropped };
+};
+
+/**
+ * Describe rows removed by the zero-value filter, issue-style, with the source
+ * row they came from (for the rejects file)
+ * @param {Array} dropped - Mapped rows removed by filterZeroValueRows
+ * @param {Array} sourceRows - Source rows the mapped rows were made from
+ * @param {number} [rowOffset=0] - Rows of the file before `sourceRows` (streamed chunks)
+ * @returns {Array<Object>} - { type: 'filtered', message, rowIndex, field, fileIndex?, file?, sheet?, source }
+ */
+export const describeDroppedRows = (dropped, sourceRows, rowOffset = 0) => dropped.map(row => ({
+  type: 'filtered',
+  message: VALIDATION_MESSAGES.filtered.zeroValue,
+  rowIndex: row._rowIndex,
+  field: 'conversionValue',
+  ...(row._sourceFile !== undefined && { fileIndex: row._fileIndex, file: row._sourceFile }),
+  ...(row._sourceSheet && { sheet: row._sourceSheet }),
+  source: sourceRows[row._rowIndex - 1 - rowOffset]
+}));
+
+/**
+ * First half of the pipeline: map columns → date orders → zero-value filter → validate.
+ * Needs the whole batch at once (duplicates and date orders span every row).
+ * @param {Array} files - Parsed files: [{ filename, data, mappings }]
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} settings - User settings
+ * @returns {Object} - { mapped, removedCount, dropped, validation, dateOrders }, where
+ *   dropped describes the rows removed by the zero-value filter (see describeDroppedRows)
+ */
+export const prepareBatch = (files, mode, settings) => {
+  // Apply each file's column mappings
+  const isBatch = files.length > 1;
+  const mappedFiles = files.map((file, fileIndex) => applyMappings(
+    file.data,
+    file.mappings,
+    mode,
+    isBatch ? { fileIndex, filename: file.filename } : undefined
+  ));
+
+  // Infer the date orders before filtering: a dropped row's date still shows
+  // whether its file writes the day or the month first
+  const dateOrders = resolveDateOrders(mappedFiles.flat(), settings.dateOrder);
+
+  // Apply the zero-value filter, then concatenate into one batch
+  const dropped = [];
+  const mapped = mappedFiles.flatMap((rows, fileIndex) => {
+    const filtered = filterZeroValueRows(rows, mode, settings);
+    dropped.push(...describeDroppedRows(filtered.dropped, files[fileIndex].data));
+    return filtered.rows;
+  });
+
+  return {
+    mapped,
+    removedCount: dropped.length,
+    dropped,
+    validation: validateAll(mapped, mode, settings, { dateOrders }),
+    // Optimizing in parts needs the date orders of the whole batch
+    dateOrders
+  };
+};
+
+/**
+ * Last steps of the pipeline: merge duplicates, then build the export rows from
+ * the optimized data
+ * @param {Object} prepared - Result of prepareBatch
+ * @param {Object} optimization - Result of optimizeAll (or summarizeOptimization)
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} settings - User settings
+ * @returns {Object} - { mapped, removedCount, dropped, merged, validation, optimization, exportData },
+ *   where optimization.data is deduplicated and merged describes the rows merged into
+ *   others (see dedupeRows)
+ */
+export const finishBatch = ({ mapped, removedCount, dropped, validation }, optimization, mode, settings) => {
+  const deduped = dedupeRows(optimization.data, mode, settings);
+  const mergedInto = deduped.rows.filter(row => row._mergedRows).length;
+  const optimized = mergedInto > 0
+    ? {
+        ...optimization,
+        data: deduped.rows,
+        changeSummary: { ...optimization.changeSummary, [VALIDATION_MESSAGES.info.duplicatesMerged]: mergedInto }
+      }
+    : optimization;
+
+  // Transform to export format
+  const exportData = validation.canExport && hasConversionName(mode, settings, mapped)
+    ? transformToGoogleAdsFormat(
+        optimized.data,
+        mode,
+        mode === MODES.FACEBOOK ? settings.eventName : settings.conversionName,
+        settings
+      )
+    : [];
+
+  return { mapped, removedCount, dropped, merged: deduped.merged, validation, optimization: optimized, exportData };
+};
+
+/**
+ * Run parsed files through the whole pipeline:
+ * map columns → zero-value filter → validate → optimize → dedupe → export format.
+ * Shared by the app and the command-line interface.
+ * @param {Array} files - Parsed files: [{ filename, data, mappings }]
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} settings - User settings
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { done, total } rows optimized
+ * @param {AbortSignal} [options.signal] - Cancels the run (rejects with an AbortError)
+ * @returns {Promise<Object>} - { mapped, removedCount, dropped, merged, validation, optimization, exportData }
+ *   (exportData is empty unless the batch can be exported)
+ */
+export const processBatch = async (files, mode, settings, { onProgress, signal } = {}) => {
+  const prepared = prepareBatch(files, mode, settings);
+
+  // Optimize (even if there are errors, to show what would be fixed)
+  const optimization = await optimizeAll(prepared.mapped, mode, settings, {
+    dateOrders: prepared.dateOrders,
+    onProgress,
+    signal
+  });
+
+  return finishBatch(prepared, optimization, mode, settings);
+};
@@ -0,0 +1,44 @@
+import { hasConversionName, processBatch } from './pipeline';
+import { VALIDATION_MESSAGES } from './constants';
+
+describe('hasConversionName', () => {
+  test('is satisfied by the setting', () => {
+    expect(hasConversionName('standard', { conversionName: 'Closed Won' })).toBe(true);
+    expect(hasConversionName('facebook', { eventName: 'Purchase' })).toBe(true);
+    expect(hasConversionName('standard', { conversionName: '  ' })).toBe(false);
+  });
+
+  test('is satisfied when every row has its own name', () => {
+    const rows = [{ conversionName: 'Won' }, { conversionName: 'Demo' }];
+    expect(hasConversionName('standard', { conversionName: '' }, rows)).toBe(true);
+  });
+
+  test('needs the setting when a row has no name of its own', () => {
+    const rows = [{ conversionName: 'Won' }, { conversionName: '' }];
+    expect(hasConversionName('standard', { conversionName: '' }, rows)).toBe(false);
+    expect(hasConversionName('standard', { conversionName: 'Closed Won' }, rows)).toBe(true);
+    expect(hasConversionName('standard', { conversionName: '' }, [])).toBe(false);
+  });
+});
+
+describe('processBatch date orders', () => {
+  const GCLID = 'Cj0KCQiAw9qOBhC-ARIsAG-rdn7aaaaaaaaaaaaaaaaaaaX';
+  // Only the zero-value row shows that the file writes the day first
+  const files = [{
+    filename: 'leads.csv',
+    mappings: { gclid: 'gclid', conversionTime: 'time', conversionValue: 'value' },
+    data: [
+      { gclid: GCLID, time: '13/10/2026 10:00', value: '0' },
+      { gclid: GCLID, time: '03/10/2026 10:00', value: '10' }
+    ]
+  }];
+  const settings = { conversionName: 'Closed Won', timezone: 'UTC' };
+
+  test.each(['drop', 'keep'])('infers the order from every row with the zero-value filter set to %s', async zeroValueRows => {
+    const result = await processBatch(files, 'standard', { ...settings, zeroValueRows });
+    expect(result.removedCount).toBe(zeroValueRows === 'drop' ? 1 : 0);
+    const kept = result.optimization.data.find(row => row._rowIndex === 2);
+    expect(kept.conversionTime).toBe('2026-10-03T10:00:00+00:00');
+    expect(result.validation.issues.filter(issue => issue.message === VALIDATION_MESSAGES.warnings.ambiguousDate)).toEqual([]);
+  });
+});
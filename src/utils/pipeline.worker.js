@@ -0,0 +1,28 @@
+/**
+ * Pipeline worker: parses files and runs the pipeline steps off the main thread.
+ * Messages come from workerPool.js as { id, type, payload }.
+ */
+/* eslint-env worker */
+/* eslint-disable no-restricted-globals */
+import { parseFile } from './csvParser';
+import { prepareBatch } from './pipeline';
+import { optimizeRows } from './optimizer';
+import { streamBatch } from './streamingPipeline';
+
+const handlers = {
+  parse: ({ file, options }) => parseFile(file, options),
+  prepare: ({ files, mode, settings }) => prepareBatch(files, mode, settings),
+  optimize: ({ rows, mode, settings, dateOrders }, onProgress) =>
+    optimizeRows(rows, mode, settings, { dateOrders, onProgress }),
+  stream: ({ files, mode, settings }, onProgress) => streamBatch(files, mode, settings, { onProgress })
+};
+
+self.addEventListener('message', async ({ data: { id, type, payload } }) => {
+  const onProgress = (progress) => self.postMessage({ id, progress });
+  try {
+    const result = await handlers[type](payload, onProgress);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+});
@@ -0,0 +1,153 @@
+/**
+ * Saved profiles: a data source's mode, column mappings and settings
+ * (including value transforms such as the conversion name lookup table and
+ * exchange rates), stored in localStorage and shareable as JSON.
+ *
+ * Profile shape: { id, name, mode, mappings, settings, headers, updatedAt }
+ */
+import { MODES, PROFILES_STORAGE_KEY, PROFILES_EXPORT_VERSION } from './constants';
+
+/**
+ * Build a comparable key from a header set (order and case don't matter)
+ * @param {Array<string>} headers - Column headers
+ * @returns {string}
+ */
+const headerSetKey = (headers) => [...new Set(headers.map(header => String(header).trim().toLowerCase()))]
+  .sort()
+  .join('\n');
+
+/**
+ * Drop unmapped fields (the mapper stores cleared selections as undefined)
+ * @param {Object} mappings - Field -> column
+ * @returns {Object}
+ */
+const cleanMappings = (mappings) => Object.fromEntries(
+  Object.entries(mappings || {}).filter(([, column]) => column)
+);
+
+/**
+ * Load saved profiles from localStorage
+ * @returns {Array<Object>}
+ */
+export const loadProfiles = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Could not load profiles:', error);
+    return [];
+  }
+};
+
+/**
+ * Save profiles to localStorage
+ * @param {Array<Object>} profiles - Profiles to store
+ */
+export const saveProfiles = (profiles) => {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  } catch (error) {
+    console.error('Could not save profiles:', error);
+  }
+};
+
+/**
+ * Create a profile
+ * @param {Object} profile - { name, mode, mappings, settings, headers }
+ * @returns {Object}
+ */
+export const createProfile = ({ name, mode, mappings, settings, headers }) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  name: name.trim(),
+  mode,
+  mappings: cleanMappings(mappings),
+  settings: { ...settings },
+  headers: [...(headers || [])],
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Add a profile, replacing any existing profile with the same name
+ * @param {Array<Object>} profiles - Current profiles
+ * @param {Object} profile - Profile to add
+ * @returns {Array<Object>}
+ */
+export const upsertProfile = (profiles, profile) => {
+  const existing = profiles.find(p => p.name.toLowerCase() === profile.name.toLowerCase());
+  if (!existing) return [...profiles, profile];
+  return profiles.map(p => (p === existing ? { ...profile, id: existing.id } : p));
+};
+
+/**
+ * Find the saved profile whose header set matches a file's headers
+ * (the most recently saved one if several match)
+ * @param {Array<Object>} profiles - Saved profiles
+ * @param {Array<string>} headers - Uploaded file's headers
+ * @returns {Object|null}
+ */
+export const findProfileForHeaders = (profiles, headers) => {
+  const key = headerSetKey(headers);
+  const matches = profiles.filter(profile => headerSetKey(profile.headers || []) === key);
+  matches.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  return matches[0] || null;
+};
+
+/**
+ * Keep only the mappings whose column exists in a file, using the file's own
+ * spelling of each column (header sets match regardless of case)
+ * @param {Object} mappings - Field -> column
+ * @param {Array<string>} headers - File headers
+ * @returns {Object}
+ */
+export const filterMappingsToHeaders = (mappings, headers) => {
+  const normalize = (header) => String(header).trim().toLowerCase();
+  const filtered = {};
+  Object.entries(cleanMappings(mappings)).forEach(([field, column]) => {
+    const header = headers.find(h => normalize(h) === normalize(column));
+    if (header !== undefined) filtered[field] = header;
+  });
+  return filtered;
+};
+
+/**
+ * Serialize profiles for sharing
+ * @param {Array<Object>} profiles - Profiles to export
+ * @returns {string} - JSON
+ */
+export const serializeProfiles = (profiles) => JSON.stringify({
+  version: PROFILES_EXPORT_VERSION,
+  profiles
+}, null, 2);
+
+/**
+ * Parse a profiles export (or a bare array of profiles)
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} - Profiles, with fresh ids
+ * @throws {Error} - If the JSON isn't a valid profiles export
+ */
+export const parseProfiles = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a valid JSON file');
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.profiles;
+  if (!Array.isArray(list)) {
+    throw new Error('No profiles found in file');
+  }
+
+  return list.map((profile, index) => {
+    if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+      throw new Error(`Profile ${index + 1} has no name`);
+    }
+    if (!Object.values(MODES).includes(profile.mode)) {
+      throw new Error(`Profile "${profile.name}" has an unknown mode`);
+    }
+    return {
+      ...createProfile(profile),
+      updatedAt: profile.updatedAt || new Date().toISOString()
+    };
+  });
+};
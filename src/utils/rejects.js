@@ -0,0 +1,103 @@
+/**
+ * Rejects file: source rows left out of the upload, in their original columns plus what is wrong with them, for sending back to
+ * whoever owns the source data.
+ */
+import { toCSV } from './csvParser';
+
+// Severity column labels by issue type
+const SEVERITY_LABELS = {
+  error: 'Error',
+  warning: 'Warning',
+  filtered: 'Removed'
+};
+
+/**
+ * Collect the rejected rows of a run: rows with errors (repeated order IDs
+ * included), and rows removed by the zero-value filter, merged by deduplication
+ * or filtered by the upload history, each with its source row and its issues
+ * (errors and warnings, in validation order). Rows with only warnings are still
+ * uploaded, so they are left to the validation panel.
+ * @param {Array<Object>} issues - validation.issues
+ * @param {Array<Object>} removed - Rows left out of the upload, issue-style (see
+ *   describeDroppedRows, dedupeRows and applyUploadHistory); the source row is looked up when missing
+ * @param {Function} getSourceRow - Called with (fileIndex, rowIndex); returns the source row
+ * @returns {Array<Object>} - [{ rowIndex, fileIndex?, file?, sheet?, source, issues: [{ type, field, message }] }],
+ *   ordered by file and row
+ */
+export const collectRejects = (issues, removed, getSourceRow) => {
+  const byRow = new Map();
+  const rowKey = (item) => `${item.fileIndex ?? 0}-${item.rowIndex}`;
+
+  const rejectedKeys = new Set(issues.filter(issue => issue.type === 'error').map(rowKey));
+
+  issues.forEach(issue => {
+    const key = rowKey(issue);
+    if (issue.type === 'info' || !rejectedKeys.has(key)) return;
+    if (!byRow.has(key)) {
+      byRow.set(key, {
+        rowIndex: issue.rowIndex,
+        ...(issue.file !== undefined && { fileIndex: issue.fileIndex, file: issue.file }),
+        ...(issue.sheet && { sheet: issue.sheet }),
+        source: getSourceRow(issue.fileIndex ?? 0, issue.rowIndex),
+        issues: []
+      });
+    }
+    byRow.get(key).issues.push({ type: issue.type, field: issue.field, message: issue.message });
+  });
+
+  const rejects = [
+    ...byRow.values(),
+    ...removed.map(({ type, field, message, source, ...row }) => ({
+      ...row,
+      source: source || getSourceRow(row.fileIndex ?? 0, row.rowIndex),
+      issues: [{ type, field, message }]
+    }))
+  ];
+  return rejects.sort((a, b) => (a.fileIndex ?? 0) - (b.fileIndex ?? 0) || a.rowIndex - b.rowIndex);
+};
+
+/**
+ * Get the rejects file columns: every source column of the batch, then the
+ * source file (batches of several files), row number, field, severity and message
+ * @param {Array} files - Batch files ({ headers })
+ * @returns {Array<string>}
+ */
+export const getRejectColumns = (files) => {
+  const columns = [];
+  files.forEach(file => {
+    (file.headers || []).forEach(header => {
+      if (!columns.includes(header)) columns.push(header);
+    });
+  });
+  return [...columns, ...(files.length > 1 ? ['Source File'] : []), 'Row Number', 'Field', 'Severity', 'Message'];
+};
+
+/**
+ * Convert rejected rows to CSV, one line per row; a row rejected for several
+ * reasons lists its fields, severities and messages in matching order, joined by '; '
+ * @param {Array<Object>} rejects - Rejected rows (see collectRejects)
+ * @param {Array<string>} columns - From getRejectColumns
+ * @param {Object} [options]
+ * @param {boolean} [options.header=true] - Start with the header row
+ * @returns {string}
+ */
+export const toRejectsCSV = (rejects, columns, { header = true } = {}) => {
+  const join = (issues, toText) => issues.map(toText).join('; ');
+  return toCSV(rejects.map(reject => ({
+    ...reject.source,
+    'Source File': reject.file || '',
+    'Row Number': reject.rowIndex,
+    Field: join(reject.issues, issue => issue.field || ''),
+    Severity: join(reject.issues, issue => SEVERITY_LABELS[issue.type] || issue.type),
+    Message: join(reject.issues, issue => issue.message)
+  })), columns, { header });
+};
+
+/**
+ * Get the rejects file name, derived from the uploaded file's name
+ * @param {string} [filename] - Uploaded file name ('' when several files are merged)
+ * @returns {string}
+ */
+export const getRejectsFilename = (filename) => {
+  return filename ? `${filename.replace(/\.[^.]+$/, '')}-rejects.csv` : 'rejects.csv';
+};
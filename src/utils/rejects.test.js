@@ -0,0 +1,37 @@
+import { collectRejects } from './rejects';
+import { VALIDATION_MESSAGES } from './constants';
+
+const source = (fileIndex, rowIndex) => ({ row: rowIndex });
+
+describe('collectRejects', () => {
+  test('lists rows with errors together with their warnings', () => {
+    const rejects = collectRejects([
+      { type: 'warning', message: VALIDATION_MESSAGES.warnings.possibleDuplicate, rowIndex: 2, field: 'gclid' },
+      { type: 'error', message: 'Bad time', rowIndex: 2, field: 'conversionTime' },
+      { type: 'info', message: 'Note', rowIndex: 2, field: 'conversionTime' }
+    ], [], source);
+    expect(rejects).toEqual([{
+      rowIndex: 2,
+      source: { row: 2 },
+      issues: [
+        { type: 'warning', field: 'gclid', message: VALIDATION_MESSAGES.warnings.possibleDuplicate },
+        { type: 'error', field: 'conversionTime', message: 'Bad time' }
+      ]
+    }]);
+  });
+
+  test('leaves out rows that are still uploaded', () => {
+    expect(collectRejects([
+      { type: 'warning', message: VALIDATION_MESSAGES.warnings.possibleDuplicate, rowIndex: 3, field: 'gclid' },
+      { type: 'info', message: 'Note', rowIndex: 4, field: 'conversionTime' }
+    ], [], source)).toEqual([]);
+  });
+
+  test('lists removed rows in file and row order', () => {
+    const rejects = collectRejects([], [
+      { type: 'filtered', message: VALIDATION_MESSAGES.filtered.previouslyUploaded, rowIndex: 5, field: 'gclid' },
+      { type: 'filtered', message: VALIDATION_MESSAGES.filtered.zeroValue, rowIndex: 1, field: 'conversionValue', source: { value: '0' } }
+    ], source);
+    expect(rejects.map(reject => [reject.rowIndex, reject.source])).toEqual([[1, { value: '0' }], [5, { row: 5 }]]);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Streaming pipeline: runs a batch through the pipeline chunk by chunk, for CSV
+ * files too large to hold in memory. Only a preview of the rows, a sample of
+ * the issues with counts for all of them, and the export and rejects files
+ * (written as Blob chunks) are kept.
+ */
+import { MODES, GOOGLE_ADS_COLUMNS, STREAMING_PREVIEW_ROWS, DEDUPE_STRATEGIES } from './constants';
+import { applyMappings } from './columnMapper';
+import { validateAll, resolveDateOrders } from './validator';
+import { optimizeRows, summarizeOptimization, transformToGoogleAdsFormat } from './optimizer';
+import { streamCSVFile, toCSV } from './csvParser';
+import { hasConversionName, filterZeroValueRows, describeDroppedRows } from './pipeline';
+import { collectRejects, getRejectColumns, toRejectsCSV } from './rejects';
+
+// Rows per chunk for files of the batch that are already in memory
+const MEMORY_CHUNK_ROWS = 10000;
+// Issues of each type (and rows removed by the zero-value filter) kept with their
+// row numbers; the rest are only counted
+const ISSUE_SAMPLE_SIZE = 100;
+
+/**
+ * Add one chunk's validation to the running totals
+ * @param {Object} totals - Running validation (issues, issueCounts, summary, and the
+ *   number of sampled issues per type)
+ * @param {Object} validation - validateAll result for the chunk
+ */
+const addValidation = (totals, validation) => {
+  validation.issues.forEach(issue => {
+    const count = totals.issueCounts[issue.message] || { type: issue.type, count: 0 };
+    count.count++;
+    totals.issueCounts[issue.message] = count;
+    totals.sampled[issue.type] = totals.sampled[issue.type] || 0;
+    if (totals.sampled[issue.type] < ISSUE_SAMPLE_SIZE) {
+      totals.sampled[issue.type]++;
+      totals.issues.push(issue);
+    }
+  });
+
+  Object.entries(validation.summary).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      totals.summary[key] = (totals.summary[key] || 0) + value;
+    } else {
+      // Nested counts (summary.emails)
+      totals.summary[key] = totals.summary[key] || {};
+      Object.entries(value).forEach(([name, count]) => {
+        totals.summary[key][name] = (totals.summary[key][name] || 0) + count;
+      });
+    }
+  });
+};
+
+/**
+ * Add one chunk's optimization summary to the running totals
+ * @param {Object} totals - Running change summary and currency conversion
+ * @param {Object} optimization - summarizeOptimization result for the chunk
+ */
+const addOptimization = (totals, optimization) => {
+  Object.entries(optimization.changeSummary).forEach(([change, count]) => {
+    totals.changeSummary[change] = (totals.changeSummary[change] || 0) + count;
+  });
+
+  if (optimization.currencyConversion) {
+    totals.converted += optimization.currencyConversion.converted;
+    optimization.currencyConversion.missingRates.forEach(({ currency, date, count }) => {
+      const key = `${currency} ${date}`;
+      totals.missingRates[key] = totals.missingRates[key] || { currency, date, count: 0 };
+      totals.missingRates[key].count += count;
+    });
+  }
+};
+
+/**
+ * Feed a file's rows to `onRows` in chunks: streamed from disk for large CSVs
+ * (file.source), sliced from memory otherwise
+ * @param {Object} file - Batch file ({ data, source?, hasHeaderRow?, headers })
+ * @param {Function} onRows - Called with (rows, fraction of the file done)
+ * @param {AbortSignal} [signal] - Stops reading
+ * @returns {Promise<void>}
+ */
+const readChunks = async (file, onRows, signal) => {
+  if (file.source) {
+    await streamCSVFile(file.source, {
+      hasHeaderRow: file.hasHeaderRow,
+      headers: file.headers,
+      signal,
+      onRows: (rows, { bytes }) => onRows(rows, file.source.size > 0 ? bytes / file.source.size : 1)
+    });
+    return;
+  }
+  for (let start = 0; start < file.data.length; start += MEMORY_CHUNK_ROWS) {
+    signal?.throwIfAborted();
+    const end = Math.min(start + MEMORY_CHUNK_ROWS, file.data.length);
+    await onRows(file.data.slice(start, end), end / file.data.length);
+  }
+};
+
+/**
+ * Run a batch through the pipeline one chunk at a time (see processBatch).
+ * Duplicates are found across chunks but only warned about, never merged;
+ * ambiguous date orders are inferred from each file's in-memory rows (the
+ * preview sample for streamed files).
+ * @param {Array} files - Batch files: [{ filename, data, mappings }], where a large
+ *   CSV has `source` (its File), `hasHeaderRow` and `headers`, and `data` is its preview
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} settings - User settings
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { stage: 'stream', done, percent }
+ *   (rows read so far, share of the batch read)
+ * @param {AbortSignal} [options.signal] - Cancels the run (rejects with the signal's reason)
+ * @returns {Promise<Object>} - { mapped, removedCount, dropped, validation, optimization,
+ *   exportData, exportFile, rejectsFile }: mapped and optimization.data hold the preview
+ *   rows, dropped and validation.issues a sample (validation.issueCounts counts every
+ *   issue by message), exportFile is { blob, rows }, or null unless the batch can be
+ *   exported, and rejectsFile is { blob, rows } for every rejected row (see collectRejects), or null
+ */
+export const streamBatch = async (files, mode, settings, { onProgress, signal } = {}) => {
+  const isBatch = files.length > 1;
+  const columns = GOOGLE_ADS_COLUMNS[mode];
+  const conversionName = mode === MODES.FACEBOOK ? settings.eventName : settings.conversionName;
+  const rejectColumns = getRejectColumns(files);
+  // Duplicates can't be merged across chunks: they are only warned about
+  const chunkSettings = { ...settings, dedupeStrategy: DEDUPE_STRATEGIES.OFF };
+
+  const dateOrders = resolveDateOrders(files.flatMap((file, fileIndex) =>
+    applyMappings(file.data, file.mappings, mode, isBatch ? { fileIndex } : undefined)
+  ), settings.dateOrder);
+  const seenKeys = new Set();
+  const seenOrderIds = new Set();
+
+  const validation = { issues: [], issueCounts: {}, sampled: {}, summary: { errors: 0, warnings: 0, info: 0, total: 0 } };
+  const optimization = { changeSummary: {}, converted: 0, missingRates: {} };
+  const preview = { mapped: [], optimized: [] };
+  // The export is kept as Blob chunks, so its text never sits in memory as one string
+  const exportParts = [];
+  const rejectParts = [];
+  const dropped = [];
+  // `unnamed`: rows with neither their own conversion name nor the setting to fall back on
+  const counts = { read: 0, removed: 0, rejected: 0, exported: 0, unnamed: 0 };
+
+  for (const [fileIndex, file] of files.entries()) {
+    const source = isBatch ? { fileIndex, filename: file.filename } : undefined;
+    let rowOffset = 0;
+
+    await readChunks(file, async (rows, fraction) => {
+      const offset = rowOffset;
+      rowOffset += rows.length;
+
+      const filtered = filterZeroValueRows(applyMappings(rows, file.mappings, mode, source, offset), mode, settings);
+      const kept = filtered.rows;
+      const removed = describeDroppedRows(filtered.dropped, rows, offset);
+      dropped.push(...removed.slice(0, Math.max(0, ISSUE_SAMPLE_SIZE - dropped.length)));
+      counts.removed += removed.length;
+
+      const chunkValidation = validateAll(kept, mode, chunkSettings, { seenKeys, seenOrderIds, dateOrders });
+      addValidation(validation, chunkValidation);
+
+      const rejects = collectRejects(chunkValidation.issues, removed, (_, rowIndex) => rows[rowIndex - 1 - offset]);
+      if (rejects.length > 0) {
+        const first = counts.rejected === 0;
+        rejectParts.push(new Blob([(first ? '' : '\r\n') + toRejectsCSV(rejects, rejectColumns, { header: first })]));
+        counts.rejected += rejects.length;
+      }
+
+      const results = await optimizeRows(kept, mode, settings, { dateOrders, signal });
+      const optimized = summarizeOptimization(kept, results, settings);
+      addOptimization(optimization, optimized);
+
+      const previewRoom = STREAMING_PREVIEW_ROWS - preview.mapped.length;
+      if (previewRoom > 0) {
+        preview.mapped.push(...kept.slice(0, previewRoom));
+        preview.optimized.push(...optimized.data.slice(0, previewRoom));
+      }
+
+      counts.unnamed += kept.filter(row => !hasConversionName(mode, settings, [row])).length;
+      const exportRows = counts.unnamed === 0 ? transformToGoogleAdsFormat(optimized.data, mode, conversionName, settings) : [];
+      if (exportRows.length > 0) {
+        const first = counts.exported === 0;
+        exportParts.push(new Blob([(first ? '' : '\r\n') + toCSV(exportRows, columns, { header: first })]));
+        counts.exported += exportRows.length;
+      }
+
+      counts.read += rows.length;
+      onProgress?.({
+        stage: 'stream',
+        done: counts.read,
+        percent: Math.round((fileIndex + fraction) / files.length * 100)
+      });
+    }, signal);
+  }
+
+  const canExport = validation.summary.errors === 0;
+  const canWrite = counts.unnamed === 0 && (hasConversionName(mode, settings) || counts.exported > 0);
+  return {
+    mapped: preview.mapped,
+    removedCount: counts.removed,
+    dropped,
+    validation: {
+      issues: validation.issues,
+      issueCounts: validation.issueCounts,
+      summary: validation.summary,
+      canExport
+    },
+    optimization: {
+      data: preview.optimized,
+      changes: [],
+      changeSummary: optimization.changeSummary,
+      currencyConversion: settings.reportingCurrency
+        ? {
+            currency: settings.reportingCurrency,
+            converted: optimization.converted,
+            missingRates: Object.values(optimization.missingRates).sort((a, b) =>
+              a.currency.localeCompare(b.currency) || a.date.localeCompare(b.date))
+          }
+        : null
+    },
+    exportData: [],
+    exportFile: canExport && canWrite
+      ? { blob: new Blob(exportParts, { type: 'text/csv;charset=utf-8;' }), rows: counts.exported }
+      : null,
+    rejectsFile: counts.rejected > 0
+      ? { blob: new Blob(rejectParts, { type: 'text/csv;charset=utf-8;' }), rows: counts.rejected }
+      : null
+  };
+};
@@ -0,0 +1,26 @@
+/**
+ * String helpers shared by column matching and email checks.
+ */
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions and
+ * adjacent transpositions each cost 1)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+export const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
@@ -0,0 +1,152 @@
+/**
+ * Timezone helpers built on the Intl API (no timezone database dependency).
+ * The timezone setting is either an IANA zone name (e.g. 'America/New_York')
+ * or a fixed offset string (e.g. '+02:00').
+ */
+
+const FIXED_OFFSET = /^[+-]\d{2}:\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl.DateTimeFormat instances are expensive to create, so cache one per zone
+const formatterCache = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache[timeZone]) {
+    formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatterCache[timeZone];
+};
+
+/**
+ * Check if a timezone setting is a fixed offset like '+02:00'
+ * @param {string} timeZone - Timezone setting
+ * @returns {boolean}
+ */
+export const isFixedOffset = (timeZone) => FIXED_OFFSET.test(timeZone || '');
+
+/**
+ * Check if a timezone setting is a fixed offset or a zone the runtime knows
+ * @param {string} timeZone - Timezone setting
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (isFixedOffset(timeZone)) return true;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get a zone's UTC offset (in minutes) at a given instant
+ * @param {string} timeZone - IANA zone name
+ * @param {number} epochMs - Instant in milliseconds since epoch
+ * @returns {number} - Offset in minutes (e.g. -240 for EDT)
+ */
+export const getOffsetMinutes = (timeZone, epochMs) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(epochMs)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  const asUtc = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  );
+  // Ignore milliseconds, which the formatter drops
+  return Math.round((asUtc - Math.floor(epochMs / 1000) * 1000) / 60000);
+};
+
+/**
+ * Format an offset in minutes as '+HH:MM'
+ * @param {number} minutes - Offset in minutes
+ * @returns {string}
+ */
+export const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Resolve the UTC offset for a local wall-clock time in a timezone.
+ * DST is taken into account, so the offset depends on the date itself.
+ * - 'gap': the wall time doesn't exist (clocks jumped forward); the offset in
+ *   effect before the change is used
+ * - 'overlap': the wall time occurs twice (clocks fell back); the earlier
+ *   occurrence is used
+ * @param {string} timeZone - IANA zone name or fixed offset ('+02:00')
+ * @param {Object} wallTime - { year, month (1-12), day, hours, minutes, seconds }
+ * @returns {{offset: string, status: 'ok'|'gap'|'overlap'}}
+ */
+export const resolveOffset = (timeZone, wallTime) => {
+  if (!timeZone) return { offset: '+00:00', status: 'ok' };
+  if (isFixedOffset(timeZone)) return { offset: timeZone, status: 'ok' };
+
+  const { year, month, day, hours = 0, minutes = 0, seconds = 0 } = wallTime;
+  const wallMs = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  // Offsets a day either side cover any single DST transition around this time
+  const before = getOffsetMinutes(timeZone, wallMs - DAY_MS);
+  const after = getOffsetMinutes(timeZone, wallMs + DAY_MS);
+  const candidates = [...new Set([before, after])];
+  const valid = candidates.filter(offset => getOffsetMinutes(timeZone, wallMs - offset * 60000) === offset);
+
+  if (valid.length === 0) {
+    return { offset: formatOffset(before), status: 'gap' };
+  }
+  if (valid.length > 1) {
+    return { offset: formatOffset(Math.max(...valid)), status: 'overlap' };
+  }
+  return { offset: formatOffset(valid[0]), status: 'ok' };
+};
+
+/**
+ * Parse an offset string ('+05:30', '-04:00') into minutes
+ * @param {string} offset - Offset string
+ * @returns {number}
+ */
+export const parseOffset = (offset) => {
+  const [, sign, hh, mm] = offset.match(/^([+-])(\d{2}):(\d{2})$/);
+  const minutes = parseInt(hh) * 60 + parseInt(mm);
+  return sign === '-' ? -minutes : minutes;
+};
+
+/**
+ * Convert a wall-clock time at a known offset into another timezone
+ * @param {Object} wallTime - { year, month (1-12), day, hours, minutes, seconds }
+ * @param {string} offset - Offset of wallTime ('+02:00')
+ * @param {string} targetTimeZone - IANA zone name or fixed offset to convert into
+ * @returns {{wallTime: Object, offset: string}} - Wall time and offset in the target zone
+ */
+export const convertToTimezone = (wallTime, offset, targetTimeZone) => {
+  const { year, month, day, hours = 0, minutes = 0, seconds = 0 } = wallTime;
+  const epochMs = Date.UTC(year, month - 1, day, hours, minutes, seconds) - parseOffset(offset) * 60000;
+
+  const targetMinutes = isFixedOffset(targetTimeZone)
+    ? parseOffset(targetTimeZone)
+    : getOffsetMinutes(targetTimeZone, epochMs);
+  const local = new Date(epochMs + targetMinutes * 60000);
+
+  return {
+    wallTime: {
+      year: local.getUTCFullYear(),
+      month: local.getUTCMonth() + 1,
+      day: local.getUTCDate(),
+      hours: local.getUTCHours(),
+      minutes: local.getUTCMinutes(),
+      seconds: local.getUTCSeconds()
+    },
+    offset: formatOffset(targetMinutes)
+  };
+};
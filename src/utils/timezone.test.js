@@ -0,0 +1,73 @@
+import {
+  resolveOffset,
+  convertToTimezone,
+  getOffsetMinutes,
+  isValidTimeZone,
+  formatOffset,
+  parseOffset
+} from './timezone';
+
+const wall = (year, month, day, hours, minutes = 0, seconds = 0) => ({ year, month, day, hours, minutes, seconds });
+
+describe('resolveOffset', () => {
+  test('uses the summer and winter offsets of a zone', () => {
+    expect(resolveOffset('America/New_York', wall(2026, 7, 1, 12))).toEqual({ offset: '-04:00', status: 'ok' });
+    expect(resolveOffset('America/New_York', wall(2026, 1, 15, 12))).toEqual({ offset: '-05:00', status: 'ok' });
+    expect(resolveOffset('Europe/Berlin', wall(2026, 7, 1, 12))).toEqual({ offset: '+02:00', status: 'ok' });
+    expect(resolveOffset('Europe/Berlin', wall(2026, 1, 15, 12))).toEqual({ offset: '+01:00', status: 'ok' });
+  });
+
+  test('applies the offset before the change to times in a DST gap', () => {
+    // Clocks jump from 02:00 to 03:00 on 2026-03-08 in New York
+    expect(resolveOffset('America/New_York', wall(2026, 3, 8, 2, 30))).toEqual({ offset: '-05:00', status: 'gap' });
+    expect(resolveOffset('Europe/Berlin', wall(2026, 3, 29, 2, 30))).toEqual({ offset: '+01:00', status: 'gap' });
+  });
+
+  test('takes the earlier occurrence of times in a DST overlap', () => {
+    // 01:30 happens twice on 2026-11-01 in New York (EDT, then EST)
+    expect(resolveOffset('America/New_York', wall(2026, 11, 1, 1, 30))).toEqual({ offset: '-04:00', status: 'overlap' });
+    expect(resolveOffset('Europe/Berlin', wall(2026, 10, 25, 2, 30))).toEqual({ offset: '+02:00', status: 'overlap' });
+  });
+
+  test('resolves the hours next to a transition normally', () => {
+    expect(resolveOffset('America/New_York', wall(2026, 3, 8, 1, 59))).toEqual({ offset: '-05:00', status: 'ok' });
+    expect(resolveOffset('America/New_York', wall(2026, 3, 8, 3, 0))).toEqual({ offset: '-04:00', status: 'ok' });
+  });
+
+  test('passes fixed offsets and a missing zone through', () => {
+    expect(resolveOffset('+05:30', wall(2026, 1, 1, 0))).toEqual({ offset: '+05:30', status: 'ok' });
+    expect(resolveOffset('', wall(2026, 1, 1, 0))).toEqual({ offset: '+00:00', status: 'ok' });
+  });
+});
+
+describe('convertToTimezone', () => {
+  test('converts between zones with different DST rules', () => {
+    expect(convertToTimezone(wall(2026, 10, 6, 9, 5), '-04:00', 'Europe/Berlin'))
+      .toEqual({ wallTime: wall(2026, 10, 6, 15, 5), offset: '+02:00' });
+  });
+
+  test('moves a gap time to the same instant after the change', () => {
+    expect(convertToTimezone(wall(2026, 3, 8, 2, 30), '-05:00', 'America/New_York'))
+      .toEqual({ wallTime: wall(2026, 3, 8, 3, 30), offset: '-04:00' });
+  });
+
+  test('rolls over the date into a fixed offset', () => {
+    expect(convertToTimezone(wall(2026, 12, 31, 23, 30), '+00:00', '+05:30'))
+      .toEqual({ wallTime: wall(2027, 1, 1, 5, 0), offset: '+05:30' });
+  });
+});
+
+describe('offset helpers', () => {
+  test('read and format offsets', () => {
+    expect(getOffsetMinutes('America/New_York', Date.UTC(2026, 6, 1))).toBe(-240);
+    expect(formatOffset(-240)).toBe('-04:00');
+    expect(formatOffset(330)).toBe('+05:30');
+    expect(parseOffset('-04:30')).toBe(-270);
+  });
+
+  test('accept IANA zones and fixed offsets', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('+02:00')).toBe(true);
+    expect(isValidTimeZone('Mars/Base')).toBe(false);
+  });
+});
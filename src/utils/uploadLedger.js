@@ -0,0 +1,272 @@
+/**
+ * Upload ledger: hashed keys of every exported row, kept in IndexedDB between
+ * sessions so later uploads can be checked for rows that were already sent.
+ * A key is the SHA-256 hash of the destination, the click ID (or hashed email
+ * and phone, or order ID), the conversion name and the conversion time; no row
+ * data is stored.
+ *
+ * Stores: batches { id, exportedAt, filename, mode, conversionName, rows } and
+ * keys { key, batchId } (a key belongs to the latest batch that exported it).
+ */
+import {
+  MODES,
+  CLICK_ID_FIELDS,
+  LEDGER_DB_NAME,
+  LEDGER_DB_VERSION,
+  LEDGER_EXPORT_VERSION,
+  LEDGER_ACTIONS,
+  VALIDATION_MESSAGES
+} from './constants';
+import { sha256Hash } from './hasher';
+
+const BATCHES = 'batches';
+const KEYS = 'keys';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<any>} - The request's result
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Open transaction
+ * @returns {Promise<void>}
+ */
+const committed = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Upload history transaction aborted'));
+});
+
+/**
+ * Open the ledger database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+const openLedger = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(LEDGER_DB_NAME, LEDGER_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(BATCHES, { keyPath: 'id' });
+      db.createObjectStore(KEYS, { keyPath: 'key' }).createIndex('batchId', 'batchId');
+    };
+    dbPromise = promisify(request).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Check whether the browser can keep an upload ledger
+ * @returns {boolean}
+ */
+export const isLedgerAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Get the identifier of an optimized row and the field it comes from
+ * @param {Object} row - Optimized row
+ * @param {string} mode - Export mode
+ * @returns {{parts: Array<string>, field: string}}
+ */
+const getIdentifier = (row, mode) => {
+  if (mode === MODES.STANDARD) {
+    return {
+      parts: CLICK_ID_FIELDS.map(field => row[field] || ''),
+      field: CLICK_ID_FIELDS.find(field => row[field]) || 'gclid'
+    };
+  }
+  if (mode === MODES.ADJUSTMENT) {
+    return { parts: [row.orderId || '', row.gclid || ''], field: row.orderId ? 'orderId' : 'gclid' };
+  }
+  return { parts: [row.email || '', row.phone || ''], field: row.email ? 'email' : 'phone' };
+};
+
+/**
+ * Get the ledger key of an optimized row
+ * @param {Object} row - Optimized row (click IDs cleaned, email and phone hashed, time formatted,
+ *   conversion name resolved)
+ * @param {string} mode - Export mode
+ * @param {Object} settings - User settings (fallback conversion or event name)
+ * @returns {Promise<string|null>} - Hashed key, or null for rows without an identifier
+ */
+export const getLedgerKey = async (row, mode, settings) => {
+  const { parts } = getIdentifier(row, mode);
+  if (parts.every(part => part === '')) return null;
+
+  const conversionName = row.conversionName ||
+    (mode === MODES.FACEBOOK ? settings.eventName : settings.conversionName) || '';
+  const extra = mode === MODES.ADJUSTMENT ? [row.adjustmentType || '', row.adjustmentTime || ''] : [];
+  return sha256Hash(JSON.stringify([mode, ...parts, conversionName, row.conversionTime || '', ...extra]));
+};
+
+/**
+ * Find rows that an earlier export already contained
+ * @param {Array} rows - Optimized rows
+ * @param {string} mode - Export mode
+ * @param {Object} settings - User settings
+ * @returns {Promise<Array<{index: number, batch: Object|null}>>} - Matched rows with the
+ *   batch that last exported them
+ */
+export const findUploadedRows = async (rows, mode, settings) => {
+  const keys = await Promise.all(rows.map(row => getLedgerKey(row, mode, settings)));
+  const db = await openLedger();
+  const transaction = db.transaction([KEYS, BATCHES], 'readonly');
+  const keyStore = transaction.objectStore(KEYS);
+
+  const [entries, batches] = await Promise.all([
+    Promise.all(keys.map(key => (key ? promisify(keyStore.get(key)) : null))),
+    promisify(transaction.objectStore(BATCHES).getAll())
+  ]);
+  const batchById = new Map(batches.map(batch => [batch.id, batch]));
+  return entries.flatMap((entry, index) => (entry ? [{ index, batch: batchById.get(entry.batchId) || null }] : []));
+};
+
+/**
+ * Record an exported batch in the ledger
+ * @param {Array} rows - Optimized rows that were exported
+ * @param {string} mode - Export mode
+ * @param {Object} settings - User settings
+ * @param {string} [filename] - Uploaded file name ('' when several files are merged)
+ * @returns {Promise<Object>} - The recorded batch
+ */
+export const recordUpload = async (rows, mode, settings, filename = '') => {
+  const keys = [...new Set((await Promise.all(rows.map(row => getLedgerKey(row, mode, settings)))).filter(Boolean))];
+  const batch = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    exportedAt: new Date().toISOString(),
+    filename,
+    mode,
+    conversionName: (mode === MODES.FACEBOOK ? settings.eventName : settings.conversionName) || '',
+    rows: keys.length
+  };
+
+  const db = await openLedger();
+  const transaction = db.transaction([KEYS, BATCHES], 'readwrite');
+  transaction.objectStore(BATCHES).put(batch);
+  const keyStore = transaction.objectStore(KEYS);
+  keys.forEach(key => keyStore.put({ key, batchId: batch.id }));
+  await committed(transaction);
+  return batch;
+};
+
+/**
+ * List the recorded batches
+ * @returns {Promise<Array<Object>>} - Newest first
+ */
+export const listUploadBatches = async () => {
+  const db = await openLedger();
+  const batches = await promisify(db.transaction(BATCHES, 'readonly').objectStore(BATCHES).getAll());
+  return batches.sort((a, b) => b.exportedAt.localeCompare(a.exportedAt));
+};
+
+/**
+ * Remove batches and their keys from the ledger
+ * @param {Object} options
+ * @param {string} [options.batchId] - Remove this batch
+ * @param {string} [options.before] - Remove batches exported before this ISO time
+ *   (every batch when neither option is given)
+ * @returns {Promise<number>} - Number of batches removed
+ */
+export const pruneLedger = async ({ batchId, before } = {}) => {
+  const db = await openLedger();
+  const transaction = db.transaction([KEYS, BATCHES], 'readwrite');
+  const batchStore = transaction.objectStore(BATCHES);
+  const keyIndex = transaction.objectStore(KEYS).index('batchId');
+
+  const batches = await promisify(batchStore.getAll());
+  const removed = batches.filter(batch => (batchId ? batch.id === batchId : !before || batch.exportedAt < before));
+  await Promise.all(removed.map(async batch => {
+    const keys = await promisify(keyIndex.getAllKeys(batch.id));
+    keys.forEach(key => keyIndex.objectStore.delete(key));
+    batchStore.delete(batch.id);
+  }));
+  await committed(transaction);
+  return removed.length;
+};
+
+/**
+ * Serialize the ledger for download
+ * @returns {Promise<string>} - JSON: { version, exportedAt, batches: [{ ...batch, keys }] }
+ */
+export const exportLedger = async () => {
+  const db = await openLedger();
+  const transaction = db.transaction([KEYS, BATCHES], 'readonly');
+  const [batches, entries] = await Promise.all([
+    promisify(transaction.objectStore(BATCHES).getAll()),
+    promisify(transaction.objectStore(KEYS).getAll())
+  ]);
+  return JSON.stringify({
+    version: LEDGER_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    batches: batches.map(batch => ({
+      ...batch,
+      keys: entries.filter(entry => entry.batchId === batch.id).map(entry => entry.key)
+    }))
+  }, null, 2);
+};
+
+/**
+ * Describe an optimized row found in the ledger, issue-style
+ * @param {Object} row - Optimized row
+ * @param {string} mode - Export mode
+ * @param {string} type - 'warning' or 'filtered'
+ * @param {string} message - Issue message
+ * @returns {Object} - { type, message, rowIndex, field, fileIndex?, file?, sheet? }
+ */
+const describeUploadedRow = (row, mode, type, message) => ({
+  type,
+  message,
+  rowIndex: row._rowIndex,
+  field: getIdentifier(row, mode).field,
+  ...(row._sourceFile !== undefined && { fileIndex: row._fileIndex, file: row._sourceFile }),
+  ...(row._sourceSheet && { sheet: row._sourceSheet })
+});
+
+/**
+ * Apply the ledger matches to a pipeline result: warn about the rows (validation
+ * warnings) or filter them out of the optimized and export rows
+ * @param {Object} result - processBatch result
+ * @param {Array} matches - From findUploadedRows, for result.optimization.data
+ * @param {string} action - LEDGER_ACTIONS value
+ * @param {string} mode - Export mode
+ * @returns {Object} - The result, plus `uploaded`: the rows filtered out, issue-style
+ */
+export const applyUploadHistory = (result, matches, action, mode) => {
+  if (matches.length === 0 || action === LEDGER_ACTIONS.OFF) return { ...result, uploaded: [] };
+  const rows = result.optimization.data;
+
+  if (action === LEDGER_ACTIONS.WARN) {
+    const warnings = matches.map(({ index }) => describeUploadedRow(
+      rows[index], mode, 'warning', VALIDATION_MESSAGES.warnings.previouslyUploaded
+    ));
+    return {
+      ...result,
+      validation: {
+        ...result.validation,
+        issues: [...result.validation.issues, ...warnings],
+        summary: { ...result.validation.summary, warnings: result.validation.summary.warnings + warnings.length }
+      },
+      uploaded: []
+    };
+  }
+
+  // Export rows are built one per optimized row, in order
+  const matched = new Set(matches.map(({ index }) => index));
+  return {
+    ...result,
+    optimization: { ...result.optimization, data: rows.filter((_, index) => !matched.has(index)) },
+    exportData: result.exportData.filter((_, index) => !matched.has(index)),
+    uploaded: matches.map(({ index }) => describeUploadedRow(
+      rows[index], mode, 'filtered', VALIDATION_MESSAGES.filtered.previouslyUploaded
+    ))
+  };
+};
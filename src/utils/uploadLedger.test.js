@@ -0,0 +1,112 @@
+import { getLedgerKey, applyUploadHistory } from './uploadLedger';
+import { optimizeRow } from './optimizer';
+import { ADJUSTMENT_TYPES, LEDGER_ACTIONS, VALIDATION_MESSAGES } from './constants';
+
+// Keep the hashed input readable: the key is the JSON the ledger would hash
+jest.mock('./hasher', () => ({ sha256Hash: async text => text }));
+
+const GCLID = 'Cj0KCQiAw9qOBhC-ARIsAG-rdn7aaaaaaaaaaaaaaaaaaaX';
+const TIME = '2026-10-06T10:00:00+00:00';
+
+describe('getLedgerKey', () => {
+  const settings = { conversionName: 'Closed Won', eventName: 'Purchase' };
+
+  test('builds the key from the click ID, conversion name and time', async () => {
+    expect(await getLedgerKey({ gclid: GCLID, conversionTime: TIME }, 'standard', settings))
+      .toBe(JSON.stringify(['standard', GCLID, '', '', 'Closed Won', TIME]));
+  });
+
+  test('prefers the row conversion name over the settings', async () => {
+    const named = await getLedgerKey({ gclid: GCLID, conversionTime: TIME, conversionName: 'Demo Booked' }, 'standard', settings);
+    const unnamed = await getLedgerKey({ gclid: GCLID, conversionTime: TIME }, 'standard', settings);
+    expect(named).toContain('Demo Booked');
+    expect(named).not.toBe(unnamed);
+  });
+
+  test('uses the name an optimized row exports under', async () => {
+    const lookup = { ...settings, conversionNameMap: { Default: 'Closed Won' }, timezone: 'UTC' };
+    const raw = { gclid: GCLID, conversionTime: '2026-10-06 10:00:00', conversionValue: '10' };
+    const mapped = (await optimizeRow({ ...raw, conversionName: 'Default' }, 'standard', lookup)).data;
+    const fallback = (await optimizeRow(raw, 'standard', lookup)).data;
+    expect(await getLedgerKey(mapped, 'standard', lookup)).toBe(await getLedgerKey(fallback, 'standard', lookup));
+  });
+
+  test('uses hashed email and phone and the event name for Facebook', async () => {
+    expect(await getLedgerKey({ email: 'hash-a', phone: '', conversionTime: '1791277200' }, 'facebook', settings))
+      .toBe(JSON.stringify(['facebook', 'hash-a', '', 'Purchase', '1791277200']));
+  });
+
+  test('keeps the adjustment type and time in adjustment keys', async () => {
+    const row = { orderId: 'A-1', conversionTime: TIME, adjustmentType: ADJUSTMENT_TYPES.RETRACT, adjustmentTime: '2026-10-07T10:00:00+00:00' };
+    const retraction = await getLedgerKey(row, 'adjustment', settings);
+    const restatement = await getLedgerKey({ ...row, adjustmentType: ADJUSTMENT_TYPES.RESTATE }, 'adjustment', settings);
+    expect(retraction).toBe(JSON.stringify(['adjustment', 'A-1', '', 'Closed Won', TIME, ADJUSTMENT_TYPES.RETRACT, '2026-10-07T10:00:00+00:00']));
+    expect(retraction).not.toBe(restatement);
+  });
+
+  test('returns null for rows without an identifier', async () => {
+    expect(await getLedgerKey({ conversionTime: TIME }, 'standard', settings)).toBeNull();
+    expect(await getLedgerKey({ email: '', phone: '', conversionTime: TIME }, 'ec4l', settings)).toBeNull();
+  });
+});
+
+describe('applyUploadHistory', () => {
+  const optimized = [
+    { gclid: GCLID, conversionTime: TIME, _rowIndex: 1 },
+    { gbraid: GCLID, conversionTime: TIME, _rowIndex: 2, _fileIndex: 1, _sourceFile: 'b.csv', _sourceSheet: 'Leads' },
+    { gclid: GCLID, conversionTime: TIME, _rowIndex: 3 }
+  ];
+  const result = {
+    validation: { issues: [{ type: 'error', message: 'Bad row', rowIndex: 4, field: 'gclid' }], summary: { errors: 1, warnings: 0 } },
+    optimization: { data: optimized },
+    exportData: [{ 'Google Click ID': 'row 1' }, { 'Google Click ID': 'row 2' }, { 'Google Click ID': 'row 3' }]
+  };
+  const matches = [{ index: 1, batch: null }];
+
+  test('leaves the result alone when turned off or nothing matched', () => {
+    expect(applyUploadHistory(result, matches, LEDGER_ACTIONS.OFF, 'standard')).toEqual({ ...result, uploaded: [] });
+    expect(applyUploadHistory(result, [], LEDGER_ACTIONS.FILTER, 'standard')).toEqual({ ...result, uploaded: [] });
+  });
+
+  test('adds a warning per matched row and keeps every row', () => {
+    const warned = applyUploadHistory(result, matches, LEDGER_ACTIONS.WARN, 'standard');
+    expect(warned.validation.issues).toEqual([
+      result.validation.issues[0],
+      {
+        type: 'warning',
+        message: VALIDATION_MESSAGES.warnings.previouslyUploaded,
+        rowIndex: 2,
+        field: 'gbraid',
+        fileIndex: 1,
+        file: 'b.csv',
+        sheet: 'Leads'
+      }
+    ]);
+    expect(warned.validation.summary).toEqual({ errors: 1, warnings: 1 });
+    expect(warned.optimization.data).toBe(optimized);
+    expect(warned.exportData).toBe(result.exportData);
+    expect(warned.uploaded).toEqual([]);
+  });
+
+  test('filters matched rows out of the optimized and export rows alike', () => {
+    const filtered = applyUploadHistory(result, [{ index: 0, batch: null }, { index: 2, batch: null }], LEDGER_ACTIONS.FILTER, 'standard');
+    expect(filtered.optimization.data.map(row => row._rowIndex)).toEqual([2]);
+    expect(filtered.exportData).toEqual([{ 'Google Click ID': 'row 2' }]);
+    expect(filtered.uploaded).toEqual([
+      { type: 'filtered', message: VALIDATION_MESSAGES.filtered.previouslyUploaded, rowIndex: 1, field: 'gclid' },
+      { type: 'filtered', message: VALIDATION_MESSAGES.filtered.previouslyUploaded, rowIndex: 3, field: 'gclid' }
+    ]);
+    expect(filtered.validation).toBe(result.validation);
+  });
+
+  test('names the identifier field of the mode', () => {
+    const leads = {
+      ...result,
+      optimization: { data: [{ email: '', phone: 'hash-1', _rowIndex: 1 }] },
+      exportData: [{ Phone: 'hash-1' }]
+    };
+    const filtered = applyUploadHistory(leads, [{ index: 0, batch: null }], LEDGER_ACTIONS.FILTER, 'ec4l');
+    expect(filtered.uploaded[0].field).toBe('phone');
+    expect(filtered.exportData).toEqual([]);
+  });
+});
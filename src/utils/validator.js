@@ -1,5 +1,12 @@
-import { MODES, CONVERSION_WINDOWS, VALIDATION_MESSAGES } from './constants';
-import { differenceInDays, parseISO, isValid } from 'date-fns';
+import { MODES, CONVERSION_WINDOWS, VALIDATION_MESSAGES, ADJUSTMENT_TYPES, DATE_PATTERNS, DATE_ORDERS, CLICK_ID_FIELDS, DEDUPE_KEYS } from './constants';
+import { differenceInDays, parseISO, isValid, endOfDay, format } from 'date-fns';
+import { resolveOffset, parseOffset, isFixedOffset, getOffsetMinutes } from './timezone';
+import { toE164, getPhoneRegion } from './phone';
+import { isAlreadyHashed } from './hasher';
+import { checkEmail } from './email';
+import { cleanClickId, isClickIdPlaceholder, getClickIdProblem, decodeClickTime } from './clickId';
+import { resolveCurrencyCode, findExchangeRate } from './currency';
+import { isDedupeEnabled } from './dedupe';
 
 /**
  * Validation result structure
@@ -8,34 +15,55 @@ import { differenceInDays, parseISO, isValid } from 'date-fns';
  * @property {string} message - Human-readable message
  * @property {number} rowIndex - Row number (1-indexed)
  * @property {string} field - Field name that has the issue
+ * @property {string} [sheet] - Source sheet name, for rows merged from several Excel sheets
+ * @property {number} [fileIndex] - Source file index, for rows merged from several uploaded files
+ * @property {string} [file] - Source file name, for rows merged from several uploaded files
  */
 
 /**
  * Validate a single row of data
  * @param {Object} row - Row data with standardized field names
- * @param {string} mode - 'standard' or 'ec4l'
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
  * @param {Object} settings - User settings (conversionName, timezone, defaultCurrency)
  * @returns {Array<ValidationIssue>} - Array of validation issues
  */
 export const validateRow = (row, mode, settings) => {
   const issues = [];
   const rowIndex = row._rowIndex || 0;
+  const dateOrder = settings.dateOrder || DATE_ORDERS.AUTO;
 
   if (mode === MODES.STANDARD) {
-    // GCLID is required
-    if (!row.gclid || row.gclid.trim() === '') {
+    // Exactly one click ID is required: GCLID, or GBRAID/WBRAID for iOS traffic
+    const clickIds = CLICK_ID_FIELDS.filter(field => hasText(row[field]));
+    if (clickIds.length === 0) {
       issues.push({
         type: 'error',
-        message: VALIDATION_MESSAGES.errors.missingGclid,
+        message: VALIDATION_MESSAGES.errors.missingClickId,
         rowIndex,
         field: 'gclid'
       });
+    } else if (clickIds.filter(field => !isClickIdPlaceholder(cleanClickId(row[field]).value)).length > 1) {
+      issues.push({
+        type: 'error',
+        message: VALIDATION_MESSAGES.errors.multipleClickIds,
+        rowIndex,
+        field: clickIds[1]
+      });
     }
+    clickIds.forEach(field => {
+      const issue = validateClickId(row[field], field, rowIndex);
+      if (issue) issues.push(issue);
+    });
+    issues.push(...validateClickTime(row, rowIndex, settings));
   } else if (mode === MODES.EC4L) {
-    // At least email or phone is required
-    const hasEmail = row.email && row.email.trim() !== '';
-    const hasPhone = row.phone && row.phone.trim() !== '';
+    // At least email or phone is required; emails and phones left out of the upload don't count
+    const emailIssue = validateEmail(row, rowIndex, settings);
+    const hasEmail = row.email && row.email.trim() !== '' && !isRejectedEmail(emailIssue);
+    const phoneIssue = validatePhone(row, rowIndex, settings);
+    const hasPhone = row.phone && row.phone.trim() !== '' && !phoneIssue;
 
+    if (emailIssue) issues.push(emailIssue);
+    if (phoneIssue) issues.push(phoneIssue);
     if (!hasEmail && !hasPhone) {
       issues.push({
         type: 'error',
@@ -45,10 +73,14 @@ export const validateRow = (row, mode, settings) => {
       });
     }
   } else if (mode === MODES.FACEBOOK) {
-    // At least email or phone is required
-    const hasEmail = row.email && row.email.trim() !== '';
-    const hasPhone = row.phone && row.phone.trim() !== '';
+    // At least email or phone is required; emails and phones left out of the upload don't count
+    const emailIssue = validateEmail(row, rowIndex, settings);
+    const hasEmail = row.email && row.email.trim() !== '' && !isRejectedEmail(emailIssue);
+    const phoneIssue = validatePhone(row, rowIndex, settings);
+    const hasPhone = row.phone && row.phone.trim() !== '' && !phoneIssue;
 
+    if (emailIssue) issues.push(emailIssue);
+    if (phoneIssue) issues.push(phoneIssue);
     if (!hasEmail && !hasPhone) {
       issues.push({
         type: 'error',
@@ -57,26 +89,97 @@ export const validateRow = (row, mode, settings) => {
         field: 'email'
       });
     }
+  } else if (mode === MODES.ADJUSTMENT) {
+    // The original conversion is identified by Order ID, or by GCLID + conversion time
+    if (!hasText(row.orderId) && !(hasText(row.gclid) && hasText(row.conversionTime))) {
+      issues.push({
+        type: 'error',
+        message: VALIDATION_MESSAGES.errors.missingAdjustmentIdentifier,
+        rowIndex,
+        field: hasText(row.gclid) ? 'conversionTime' : 'orderId'
+      });
+    }
+    if (hasText(row.gclid)) {
+      const issue = validateClickId(row.gclid, 'gclid', rowIndex);
+      if (issue) issues.push(issue);
+      issues.push(...validateClickTime(row, rowIndex, settings));
+    }
+    issues.push(...validateAdjustment(row, rowIndex, dateOrder));
+    const adjustmentTzIssue = hasText(row.adjustmentTime) &&
+      validateTimezoneConversion(row.adjustmentTime, rowIndex, settings, dateOrder, 'adjustmentTime');
+    if (adjustmentTzIssue) {
+      issues.push(adjustmentTzIssue);
+    }
   }
 
-  // Conversion time is required for both modes
-  if (!row.conversionTime || row.conversionTime.trim() === '') {
+  // A mapped conversion name must resolve through the lookup table
+  if (hasText(row.conversionName) && !resolveConversionName(row, mode, settings)) {
     issues.push({
       type: 'error',
-      message: 'Missing conversion time - required field',
+      message: VALIDATION_MESSAGES.errors.unmappedConversionName,
       rowIndex,
-      field: 'conversionTime'
+      field: 'conversionName'
     });
+  }
+
+  // Conversion time is required for all modes except adjustments,
+  // where it is only needed alongside a GCLID (checked above)
+  if (!row.conversionTime || row.conversionTime.trim() === '') {
+    if (mode !== MODES.ADJUSTMENT) {
+      issues.push({
+        type: 'error',
+        message: 'Missing conversion time - required field',
+        rowIndex,
+        field: 'conversionTime'
+      });
+    }
   } else {
     // Check if date is parseable
-    const dateIssue = validateDate(row.conversionTime, rowIndex, mode);
+    const dateIssue = validateDate(row.conversionTime, rowIndex, mode, dateOrder);
     if (dateIssue) {
       issues.push(dateIssue);
     }
+
+    // Day/month order couldn't be pinned down for this column
+    if (dateOrder === DATE_ORDERS.AUTO && isAmbiguousDate(row.conversionTime)) {
+      issues.push({
+        type: 'warning',
+        message: VALIDATION_MESSAGES.warnings.ambiguousDate,
+        rowIndex,
+        field: 'conversionTime'
+      });
+    }
+
+    // Check the default timezone can place this local time unambiguously
+    // (Facebook exports Unix timestamps, which don't use the timezone setting)
+    const dstIssue = mode !== MODES.FACEBOOK && validateDstTransition(row.conversionTime, rowIndex, settings.timezone, dateOrder);
+    if (dstIssue) {
+      issues.push(dstIssue);
+    }
+
+    // Note times whose offset was assumed or changed for the account timezone
+    const tzIssue = mode !== MODES.FACEBOOK &&
+      validateTimezoneConversion(row.conversionTime, rowIndex, settings, dateOrder, 'conversionTime');
+    if (tzIssue) {
+      issues.push(tzIssue);
+    }
   }
 
   // Check conversion value if present
   const hasValue = row.conversionValue && String(row.conversionValue).trim() !== '';
+  // A mapped currency cell wins; the default currency only fills blanks
+  const hasCurrency = hasText(row.currency) || Boolean(settings.defaultCurrency);
+
+  if (hasText(row.currency)) {
+    const currencyIssue = validateCurrency(row.currency, rowIndex);
+    if (currencyIssue) issues.push(currencyIssue);
+  }
+
+  // Values converted into the reporting currency need a rate for their date
+  if (hasValue && settings.reportingCurrency) {
+    const rateIssue = validateExchangeRate(row, rowIndex, settings, dateOrder);
+    if (rateIssue) issues.push(rateIssue);
+  }
 
   if (mode === MODES.FACEBOOK) {
     // Value and currency are required (errors) for Facebook
@@ -91,7 +194,7 @@ export const validateRow = (row, mode, settings) => {
       const valueIssue = validateValue(String(row.conversionValue), rowIndex);
       if (valueIssue) issues.push(valueIssue);
     }
-    if (!settings.defaultCurrency) {
+    if (!hasCurrency) {
       issues.push({
         type: 'error',
         message: VALIDATION_MESSAGES.errors.missingCurrencyFacebook,
@@ -99,6 +202,20 @@ export const validateRow = (row, mode, settings) => {
         field: 'currency'
       });
     }
+  } else if (mode === MODES.ADJUSTMENT) {
+    // Value requirements depend on the adjustment type (see validateAdjustment)
+    if (hasValue) {
+      const valueIssue = validateValue(String(row.conversionValue), rowIndex);
+      if (valueIssue) issues.push(valueIssue);
+    }
+    if (hasValue && !hasCurrency) {
+      issues.push({
+        type: 'warning',
+        message: VALIDATION_MESSAGES.warnings.missingCurrency,
+        rowIndex,
+        field: 'currency'
+      });
+    }
   } else {
     // Google modes: value and currency are warnings
     if (hasValue) {
@@ -112,7 +229,7 @@ export const validateRow = (row, mode, settings) => {
         field: 'conversionValue'
       });
     }
-    if (hasValue && !settings.defaultCurrency) {
+    if (hasValue && !hasCurrency) {
       issues.push({
         type: 'warning',
         message: VALIDATION_MESSAGES.warnings.missingCurrency,
@@ -125,16 +242,292 @@ export const validateRow = (row, mode, settings) => {
   return issues;
 };
 
+/**
+ * Check whether a cell holds a non-blank value (cells from Excel may be numbers)
+ * @param {any} value - Cell value
+ * @returns {boolean}
+ */
+const hasText = (value) => value !== null && value !== undefined && String(value).trim() !== '';
+
+/**
+ * Get the first populated click ID field of a row
+ * @param {Object} row - Row data
+ * @returns {string|undefined} - 'gclid', 'gbraid' or 'wbraid'
+ */
+const getClickIdField = (row) => CLICK_ID_FIELDS.find(field => hasText(row[field]));
+
+/**
+ * Resolve the conversion (or event) name for a row.
+ * Rows with a mapped conversionName value are translated through
+ * settings.conversionNameMap; rows without one fall back to the global name.
+ * @param {Object} row - Row data with standardized field names
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {Object} settings - User settings (conversionName, eventName, conversionNameMap)
+ * @returns {string|null} - Resolved name, or null if the row's value is not in the lookup table
+ */
+export const resolveConversionName = (row, mode, settings) => {
+  const globalName = mode === MODES.FACEBOOK ? settings.eventName : settings.conversionName;
+
+  if (!hasText(row.conversionName)) {
+    return globalName || '';
+  }
+
+  const mapped = (settings.conversionNameMap || {})[String(row.conversionName).trim()];
+  return mapped && mapped.trim() !== '' ? mapped.trim() : null;
+};
+
+/**
+ * Get the date whose exchange rate applies to a row ('yyyy-MM-dd').
+ * The wall-clock date from the source is used, before any timezone conversion.
+ * @param {Object} row - Row data with standardized field names
+ * @param {string} [dateOrder] - Day/month order for ambiguous formats
+ * @returns {string|null} - Date, or null if the row has no parseable date
+ */
+export const getRateDate = (row, dateOrder) => {
+  const dateStr = hasText(row.conversionTime) ? String(row.conversionTime).trim() : String(row.adjustmentTime || '').trim();
+  const isoDate = dateStr.match(/^\d{4}-\d{2}-\d{2}/);
+  if (isoDate) return isoDate[0];
+
+  const parsed = dateStr ? tryParseDate(dateStr, dateOrder) : null;
+  return parsed ? format(parsed, 'yyyy-MM-dd') : null;
+};
+
+/**
+ * Parse a date for ordering comparisons. Date-only values are treated as end of day,
+ * matching the 23:59:59 default applied by the optimizer.
+ * @param {string} dateStr - Date string to parse
+ * @param {string} dateOrder - Day/month order for ambiguous formats
+ * @returns {Date|null}
+ */
+const parseForComparison = (dateStr, dateOrder) => {
+  const parsed = tryParseDate(dateStr, dateOrder);
+  if (!parsed) return null;
+  return getTimeOfDay(dateStr) ? parsed : endOfDay(parsed);
+};
+
+/**
+ * Check an email's syntax, placeholder values and typo'd provider domains.
+ * Placeholders and invalid addresses are left out of the upload; typos are
+ * reported unless auto-correct is on (the optimizer then fixes them).
+ * @param {Object} row - Row data with standardized field names
+ * @param {number} rowIndex - Row number for error reporting
+ * @param {Object} settings - User settings (autocorrectEmails)
+ * @returns {ValidationIssue|null}
+ */
+const validateEmail = (row, rowIndex, settings) => {
+  if (!hasText(row.email) || isAlreadyHashed(row.email)) return null;
+  const { problem, suggestion } = checkEmail(row.email);
+  const message = problem === 'placeholder' ? VALIDATION_MESSAGES.warnings.placeholderEmail
+    : problem === 'invalid' ? VALIDATION_MESSAGES.warnings.invalidEmail
+    : suggestion && !settings.autocorrectEmails ? VALIDATION_MESSAGES.warnings.emailDomainTypo
+    : null;
+  return message ? { type: 'warning', message, rowIndex, field: 'email' } : null;
+};
+
+/**
+ * Check if an email issue means the address is left out of the upload
+ * @param {ValidationIssue|null} issue - Issue from validateEmail
+ * @returns {boolean}
+ */
+const isRejectedEmail = (issue) => Boolean(issue) && issue.message !== VALIDATION_MESSAGES.warnings.emailDomainTypo;
+
+/**
+ * Check that a phone number can be normalized to E.164 before it's hashed.
+ * Numbers that can't be are left out of the upload rather than hashed as-is.
+ * @param {Object} row - Row data with standardized field names
+ * @param {number} rowIndex - Row number for error reporting
+ * @param {Object} settings - User settings (defaultRegion)
+ * @returns {ValidationIssue|null}
+ */
+const validatePhone = (row, rowIndex, settings) => {
+  if (!hasText(row.phone) || isAlreadyHashed(row.phone)) return null;
+  const { problem } = toE164(row.phone, getPhoneRegion(row.country, settings.defaultRegion));
+  if (!problem) return null;
+  return {
+    type: 'warning',
+    message: problem === 'noRegion' ? VALIDATION_MESSAGES.warnings.phoneRegionMissing : VALIDATION_MESSAGES.warnings.invalidPhone,
+    rowIndex,
+    field: 'phone'
+  };
+};
+
+/**
+ * Check a click ID's structure, after the fixes the optimizer applies
+ * @param {string} value - Click ID from the source file
+ * @param {string} field - 'gclid', 'gbraid' or 'wbraid'
+ * @param {number} rowIndex - Row number for error reporting
+ * @returns {ValidationIssue|null}
+ */
+const validateClickId = (value, field, rowIndex) => {
+  const problem = getClickIdProblem(cleanClickId(value).value);
+  if (!problem) return null;
+  return {
+    type: 'error',
+    message: VALIDATION_MESSAGES.errors[problem],
+    rowIndex,
+    field
+  };
+};
+
+/**
+ * Parse a date to an instant. Times without an offset are read in the default
+ * timezone; date-only values are treated as end of day.
+ * @param {string} dateStr - Date string
+ * @param {string} timeZone - Default timezone
+ * @param {string} dateOrder - Day/month order for ambiguous formats
+ * @returns {Date|null}
+ */
+const parseInstant = (dateStr, timeZone, dateOrder) => {
+  const trimmed = String(dateStr).trim();
+  const parsed = parseForComparison(trimmed, dateOrder);
+  if (!parsed || /[+-]\d{2}:\d{2}$/.test(trimmed) || /Z$/.test(trimmed)) return parsed;
+
+  const { offset } = resolveOffset(timeZone, {
+    year: parsed.getFullYear(),
+    month: parsed.getMonth() + 1,
+    day: parsed.getDate(),
+    hours: parsed.getHours(),
+    minutes: parsed.getMinutes(),
+    seconds: parsed.getSeconds()
+  });
+  const wallMs = Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate(),
+    parsed.getHours(), parsed.getMinutes(), parsed.getSeconds());
+  return new Date(wallMs - parseOffset(offset) * 60000);
+};
+
+/**
+ * Compare the click time encoded in the GCLID (when it can be decoded) with
+ * the conversion time and the click-through window
+ * @param {Object} row - Row data with standardized field names
+ * @param {number} rowIndex - Row number for error reporting
+ * @param {Object} settings - User settings (timezone, dateOrder)
+ * @returns {Array<ValidationIssue>}
+ */
+const validateClickTime = (row, rowIndex, settings) => {
+  if (!hasText(row.gclid)) return [];
+  const clickTime = decodeClickTime(cleanClickId(row.gclid).value);
+  if (!clickTime) return [];
+
+  const issues = [];
+  if (differenceInDays(new Date(), clickTime) > CONVERSION_WINDOWS.standard) {
+    issues.push({
+      type: 'warning',
+      message: VALIDATION_MESSAGES.warnings.clickOutsideWindow,
+      rowIndex,
+      field: 'gclid'
+    });
+  }
+
+  const conversionTime = hasText(row.conversionTime)
+    ? parseInstant(row.conversionTime, settings.timezone, settings.dateOrder || DATE_ORDERS.AUTO)
+    : null;
+  if (conversionTime && conversionTime < clickTime) {
+    issues.push({
+      type: 'warning',
+      message: VALIDATION_MESSAGES.warnings.conversionBeforeClick,
+      rowIndex,
+      field: 'conversionTime'
+    });
+  }
+  return issues;
+};
+
+/**
+ * Validate the adjustment-specific fields of a row
+ * @param {Object} row - Row data with standardized field names
+ * @param {number} rowIndex - Row number for error reporting
+ * @param {string} dateOrder - Day/month order for ambiguous formats
+ * @returns {Array<ValidationIssue>}
+ */
+const validateAdjustment = (row, rowIndex, dateOrder) => {
+  const issues = [];
+  const type = hasText(row.adjustmentType) ? String(row.adjustmentType).trim().toUpperCase() : '';
+
+  if (!type) {
+    issues.push({
+      type: 'error',
+      message: VALIDATION_MESSAGES.errors.missingAdjustmentType,
+      rowIndex,
+      field: 'adjustmentType'
+    });
+  } else if (!Object.values(ADJUSTMENT_TYPES).includes(type)) {
+    issues.push({
+      type: 'error',
+      message: VALIDATION_MESSAGES.errors.invalidAdjustmentType,
+      rowIndex,
+      field: 'adjustmentType'
+    });
+  }
+
+  if (!hasText(row.adjustmentTime)) {
+    issues.push({
+      type: 'error',
+      message: VALIDATION_MESSAGES.errors.missingAdjustmentTime,
+      rowIndex,
+      field: 'adjustmentTime'
+    });
+  } else {
+    const adjustmentTime = String(row.adjustmentTime).trim();
+    const adjustedAt = parseForComparison(adjustmentTime, dateOrder);
+    if (!adjustedAt) {
+      issues.push({
+        type: 'error',
+        message: VALIDATION_MESSAGES.errors.invalidAdjustmentTime,
+        rowIndex,
+        field: 'adjustmentTime'
+      });
+    } else if (dateOrder === DATE_ORDERS.AUTO && isAmbiguousDate(adjustmentTime)) {
+      issues.push({
+        type: 'warning',
+        message: VALIDATION_MESSAGES.warnings.ambiguousDate,
+        rowIndex,
+        field: 'adjustmentTime'
+      });
+    }
+    if (adjustedAt && hasText(row.conversionTime)) {
+      const convertedAt = parseForComparison(String(row.conversionTime).trim(), dateOrder);
+      if (convertedAt && adjustedAt < convertedAt) {
+        issues.push({
+          type: 'error',
+          message: VALIDATION_MESSAGES.errors.adjustmentBeforeConversion,
+          rowIndex,
+          field: 'adjustmentTime'
+        });
+      }
+    }
+  }
+
+  const hasValue = hasText(row.conversionValue);
+  if (type === ADJUSTMENT_TYPES.RESTATE && !hasValue) {
+    issues.push({
+      type: 'error',
+      message: VALIDATION_MESSAGES.errors.missingRestateValue,
+      rowIndex,
+      field: 'conversionValue'
+    });
+  } else if (type === ADJUSTMENT_TYPES.RETRACT && hasValue) {
+    issues.push({
+      type: 'warning',
+      message: VALIDATION_MESSAGES.warnings.retractValueIgnored,
+      rowIndex,
+      field: 'conversionValue'
+    });
+  }
+
+  return issues;
+};
+
 /**
  * Validate date and check conversion window
  * @param {string} dateStr - Date string to validate
  * @param {number} rowIndex - Row number for error reporting
- * @param {string} mode - 'standard' or 'ec4l'
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
+ * @param {string} dateOrder - Day/month order for ambiguous formats
  * @returns {ValidationIssue|null}
  */
-const validateDate = (dateStr, rowIndex, mode) => {
+const validateDate = (dateStr, rowIndex, mode, dateOrder) => {
   // Try to parse the date
-  const parsed = tryParseDate(dateStr);
+  const parsed = tryParseDate(dateStr, dateOrder);
   
   if (!parsed) {
     return {
@@ -150,6 +543,7 @@ const validateDate = (dateStr, rowIndex, mode) => {
   const daysDiff = differenceInDays(now, parsed);
   const maxDays = mode === MODES.STANDARD ? CONVERSION_WINDOWS.standard
     : mode === MODES.FACEBOOK ? CONVERSION_WINDOWS.facebook
+    : mode === MODES.ADJUSTMENT ? CONVERSION_WINDOWS.adjustment
     : CONVERSION_WINDOWS.ec4l;
 
   if (daysDiff > maxDays) {
@@ -157,6 +551,7 @@ const validateDate = (dateStr, rowIndex, mode) => {
       type: 'warning',
       message: mode === MODES.STANDARD ? VALIDATION_MESSAGES.warnings.gclidTooOld
         : mode === MODES.FACEBOOK ? VALIDATION_MESSAGES.warnings.facebookTooOld
+        : mode === MODES.ADJUSTMENT ? VALIDATION_MESSAGES.warnings.adjustmentTooOld
         : VALIDATION_MESSAGES.warnings.ec4lTooOld,
       rowIndex,
       field: 'conversionTime'
@@ -166,12 +561,181 @@ const validateDate = (dateStr, rowIndex, mode) => {
   return null;
 };
 
+/**
+ * Warn when a date without its own offset falls into a DST gap or overlap
+ * of the default timezone
+ * @param {string} dateStr - Date string to check
+ * @param {number} rowIndex - Row number for error reporting
+ * @param {string} timeZone - Default timezone setting (IANA zone or fixed offset)
+ * @param {string} dateOrder - Day/month order for ambiguous formats
+ * @returns {ValidationIssue|null}
+ */
+const validateDstTransition = (dateStr, rowIndex, timeZone, dateOrder) => {
+  const trimmed = dateStr.trim();
+  const hasTimezone = /[+-]\d{2}:\d{2}$/.test(trimmed) || /Z$/.test(trimmed);
+  if (hasTimezone) return null;
+
+  const parsed = tryParseDate(trimmed, dateOrder);
+  if (!parsed) return null;
+
+  // Same wall time the optimizer will use (23:59:59 when the date has no time)
+  const time = getTimeOfDay(trimmed) || { hours: 23, minutes: 59, seconds: 59 };
+  const { status } = resolveOffset(timeZone, {
+    year: parsed.getFullYear(),
+    month: parsed.getMonth() + 1,
+    day: parsed.getDate(),
+    ...time
+  });
+
+  if (status === 'ok') return null;
+
+  return {
+    type: 'warning',
+    message: status === 'gap' ? VALIDATION_MESSAGES.warnings.dstGap : VALIDATION_MESSAGES.warnings.dstOverlap,
+    rowIndex,
+    field: 'conversionTime'
+  };
+};
+
+/**
+ * Match a date string against DATE_PATTERNS
+ * @param {string} dateStr - Trimmed date string
+ * @returns {{pattern: Object, parts: Array<number|undefined>}|null} - Matched pattern and numeric
+ *   groups (hours on the 24-hour clock, NaN for an impossible AM/PM hour)
+ */
+const matchDatePattern = (dateStr) => {
+  for (const pattern of DATE_PATTERNS) {
+    const match = dateStr.match(pattern.regex);
+    if (match) {
+      const parts = match.slice(1, 7).map(part => (part === undefined ? undefined : parseInt(part, 10)));
+      const meridiem = match[7];
+      if (meridiem) {
+        const hours = parts[3];
+        parts[3] = hours >= 1 && hours <= 12 ? (hours % 12) + (/p/i.test(meridiem) ? 12 : 0) : NaN;
+      }
+      return { pattern, parts };
+    }
+  }
+  return null;
+};
+
+/**
+ * Report how a time is brought into the account timezone (settings.targetTimezone):
+ * without an offset in the source the default timezone is assumed, and a time at
+ * another offset is converted. Both change the exported time, so they are listed per row.
+ * @param {string} dateStr - Date string to check
+ * @param {number} rowIndex - Row number for error reporting
+ * @param {Object} settings - User settings (timezone, targetTimezone)
+ * @param {string} dateOrder - Day/month order for ambiguous formats
+ * @param {string} field - 'conversionTime' or 'adjustmentTime'
+ * @returns {ValidationIssue|null}
+ */
+const validateTimezoneConversion = (dateStr, rowIndex, settings, dateOrder, field) => {
+  const target = settings.targetTimezone;
+  if (!target) return null;
+
+  const trimmed = String(dateStr).trim();
+  const instant = parseInstant(trimmed, settings.timezone, dateOrder);
+  if (!instant) return null;
+
+  const offset = trimmed.match(/([+-]\d{2}:\d{2}|Z)$/);
+  if (!offset) {
+    return { type: 'info', message: VALIDATION_MESSAGES.info.timezoneAssumed, rowIndex, field };
+  }
+
+  const sourceMinutes = offset[1] === 'Z' ? 0 : parseOffset(offset[1]);
+  const targetMinutes = isFixedOffset(target) ? parseOffset(target) : getOffsetMinutes(target, instant.getTime());
+  return sourceMinutes !== targetMinutes
+    ? { type: 'info', message: VALIDATION_MESSAGES.info.timezoneConverted, rowIndex, field }
+    : null;
+};
+
+/**
+ * Get the time of day written in a date string
+ * @param {string} dateStr - Date string
+ * @returns {{hours: number, minutes: number, seconds: number}|null} - null for date-only values
+ */
+export const getTimeOfDay = (dateStr) => {
+  const trimmed = String(dateStr).trim();
+  const matched = matchDatePattern(trimmed);
+  if (matched) {
+    const [, , , hours, minutes, seconds = 0] = matched.parts;
+    return hours === undefined ? null : { hours, minutes, seconds };
+  }
+
+  // ISO variants the patterns don't cover (e.g. '+0200' offsets) and natively parsed formats
+  const time = trimmed.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  return time
+    ? { hours: parseInt(time[1], 10), minutes: parseInt(time[2], 10), seconds: time[3] ? parseInt(time[3], 10) : 0 }
+    : null;
+};
+
+/**
+ * Check if a date could be read either way round (e.g. 03/04/2026)
+ * @param {string} dateStr - Date string to check
+ * @returns {boolean}
+ */
+const isAmbiguousDate = (dateStr) => {
+  if (!hasText(dateStr)) return false;
+  const matched = matchDatePattern(String(dateStr).trim());
+  if (!matched || !matched.pattern.ambiguous) return false;
+  const [first, second] = matched.parts;
+  return first <= 12 && second <= 12 && first !== second;
+};
+
+/**
+ * Infer the day/month order of ambiguous dates from all values of a column.
+ * A first part above 12 proves day-first, a second part above 12 proves month-first.
+ * @param {Array<string>} values - Date strings
+ * @returns {string} - DATE_ORDERS.DMY or MDY when the values prove it, otherwise DATE_ORDERS.AUTO
+ */
+export const inferDateOrder = (values) => {
+  let dayFirst = false;
+  let monthFirst = false;
+
+  values.forEach(value => {
+    if (!hasText(value)) return;
+    const matched = matchDatePattern(String(value).trim());
+    if (!matched || !matched.pattern.ambiguous) return;
+    const [first, second] = matched.parts;
+    if (first > 12 && second <= 12) dayFirst = true;
+    if (second > 12 && first <= 12) monthFirst = true;
+  });
+
+  if (dayFirst && !monthFirst) return DATE_ORDERS.DMY;
+  if (monthFirst && !dayFirst) return DATE_ORDERS.MDY;
+  return DATE_ORDERS.AUTO;
+};
+
+/**
+ * Resolve the date order to use for each source file: the pinned setting,
+ * or the order inferred from that file's date columns
+ * @param {Array} data - Array of row objects
+ * @param {string} dateOrder - Date Format setting (DATE_ORDERS)
+ * @returns {Object} - Source file index -> DATE_ORDERS value
+ */
+export const resolveDateOrders = (data, dateOrder = DATE_ORDERS.AUTO) => {
+  const valuesBySource = {};
+  data.forEach(row => {
+    const source = row._fileIndex ?? 0;
+    if (!valuesBySource[source]) valuesBySource[source] = [];
+    valuesBySource[source].push(row.conversionTime, row.adjustmentTime);
+  });
+
+  const orders = {};
+  Object.entries(valuesBySource).forEach(([source, values]) => {
+    orders[source] = dateOrder !== DATE_ORDERS.AUTO ? dateOrder : inferDateOrder(values);
+  });
+  return orders;
+};
+
 /**
  * Try to parse a date string in various formats
  * @param {string} dateStr - Date string to parse
+ * @param {string} dateOrder - Day/month order for ambiguous formats (DATE_ORDERS); 'auto' uses each pattern's default
  * @returns {Date|null}
  */
-export const tryParseDate = (dateStr) => {
+export const tryParseDate = (dateStr, dateOrder = DATE_ORDERS.AUTO) => {
   if (!dateStr) return null;
   
   const trimmed = dateStr.trim();
@@ -181,42 +745,26 @@ export const tryParseDate = (dateStr) => {
   if (isValid(parsed)) return parsed;
   
   // Try common formats
-  const patterns = [
-    // yyyy-mm-dd HH:mm:ss+TZ (target format)
-    /^(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2}):(\d{2})/,
-    // yyyy-mm-dd
-    /^(\d{4})-(\d{2})-(\d{2})$/,
-    // yyyy/mm/dd
-    /^(\d{4})\/(\d{2})\/(\d{2})$/,
-    // mm/dd/yyyy (US format)
-    /^(\d{2})\/(\d{2})\/(\d{4})$/,
-    // dd-mm-yyyy (European format)
-    /^(\d{2})-(\d{2})-(\d{4})$/,
-    // dd.mm.yyyy
-    /^(\d{2})\.(\d{2})\.(\d{4})$/,
-  ];
-
-  for (const pattern of patterns) {
-    const match = trimmed.match(pattern);
-    if (match) {
-      let year, month, day;
-      
-      if (pattern.source.startsWith('^(\\d{4})')) {
-        // Year first formats
-        [, year, month, day] = match;
-      } else if (pattern.source.includes('\\d{2})\\/(\\d{2})\\/(\\d{4})')) {
-        // mm/dd/yyyy
-        [, month, day, year] = match;
-      } else {
-        // dd-mm-yyyy or dd.mm.yyyy
-        [, day, month, year] = match;
-      }
-      
-      parsed = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-      if (isValid(parsed)) return parsed;
-    }
+  const matched = matchDatePattern(trimmed);
+  if (matched) {
+    const { pattern, parts } = matched;
+    const order = pattern.order
+      || (dateOrder === DATE_ORDERS.AUTO ? pattern.defaultOrder : dateOrder);
+    const [first, second, third, hours = 0, minutes = 0, seconds = 0] = parts;
+    const [year, month, day] = order === 'ymd' ? [first, second, third]
+      : order === DATE_ORDERS.MDY ? [third, first, second]
+      : [third, second, first];
+    
+    // Reject out-of-range parts instead of letting Date roll them over
+    parsed = new Date(year, month - 1, day, hours, minutes, seconds);
+    const inRange = parsed.getFullYear() === year && parsed.getMonth() === month - 1 && parsed.getDate() === day;
+    return isValid(parsed) && inRange ? parsed : null;
   }
   
+  // Numeric dates with anything the patterns don't allow after them are rejected;
+  // native parsing would guess ('2026-10-06 9:05 x' reads as June 10th)
+  if (/^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/.test(trimmed)) return null;
+
   // Last resort: try native parsing
   parsed = new Date(trimmed);
   return isValid(parsed) ? parsed : null;
@@ -244,33 +792,146 @@ const validateValue = (value, rowIndex) => {
   return null;
 };
 
+/**
+ * Validate a currency cell (ISO 4217 code or a recognized symbol)
+ * @param {string} currency - Currency value from the source file
+ * @param {number} rowIndex - Row number for error reporting
+ * @returns {ValidationIssue|null}
+ */
+const validateCurrency = (currency, rowIndex) => {
+  const { code, ambiguous } = resolveCurrencyCode(currency);
+  if (code) return null;
+
+  return {
+    type: 'error',
+    message: ambiguous
+      ? VALIDATION_MESSAGES.errors.ambiguousCurrencySymbol
+      : VALIDATION_MESSAGES.errors.invalidCurrency,
+    rowIndex,
+    field: 'currency'
+  };
+};
+
+/**
+ * Check that a rate exists to convert a row's value into the reporting currency
+ * @param {Object} row - Row data with standardized field names
+ * @param {number} rowIndex - Row number for error reporting
+ * @param {Object} settings - User settings (reportingCurrency, exchangeRates, defaultCurrency)
+ * @param {string} dateOrder - Day/month order for ambiguous formats
+ * @returns {ValidationIssue|null}
+ */
+const validateExchangeRate = (row, rowIndex, settings, dateOrder) => {
+  const currency = hasText(row.currency)
+    ? resolveCurrencyCode(row.currency).code
+    : settings.defaultCurrency;
+  // Unknown currencies are reported by validateCurrency
+  if (!currency || currency === settings.reportingCurrency) return null;
+
+  const date = getRateDate(row, dateOrder);
+  if (!date || findExchangeRate(settings.exchangeRates, currency, date)) return null;
+
+  return {
+    type: 'warning',
+    message: VALIDATION_MESSAGES.warnings.missingExchangeRate,
+    rowIndex,
+    field: 'currency'
+  };
+};
+
+/**
+ * Tag an issue with the row's source file and sheet, if it has them
+ * @param {ValidationIssue} issue - Issue to tag
+ * @param {Object} row - Row the issue belongs to
+ * @returns {ValidationIssue}
+ */
+const withSource = (issue, row) => {
+  const tagged = { ...issue };
+  if (row._sourceFile !== undefined) {
+    tagged.fileIndex = row._fileIndex;
+    tagged.file = row._sourceFile;
+  }
+  if (row._sourceSheet) {
+    tagged.sheet = row._sourceSheet;
+  }
+  return tagged;
+};
+
+/**
+ * Count emails left out of the upload, typos found, and typos auto-corrected
+ * @param {Array} data - Array of row objects
+ * @param {Array<ValidationIssue>} issues - Issues found for the rows
+ * @param {Object} settings - User settings (autocorrectEmails)
+ * @returns {{rejected: number, typos: number, corrected: number}}
+ */
+const countEmailChecks = (data, issues, settings) => {
+  const { placeholderEmail, invalidEmail, emailDomainTypo } = VALIDATION_MESSAGES.warnings;
+  const corrected = settings.autocorrectEmails
+    ? data.filter(row => hasText(row.email) && !isAlreadyHashed(row.email) && checkEmail(row.email).suggestion).length
+    : 0;
+  return {
+    rejected: issues.filter(i => i.message === placeholderEmail || i.message === invalidEmail).length,
+    typos: issues.filter(i => i.message === emailDomainTypo).length,
+    corrected
+  };
+};
+
 /**
  * Validate all rows and return summary
  * @param {Array} data - Array of row objects
- * @param {string} mode - 'standard' or 'ec4l'
+ * @param {string} mode - 'standard', 'ec4l', 'facebook' or 'adjustment'
  * @param {Object} settings - User settings
+ * @param {Object} [state] - Shared between calls when a batch is validated in chunks
+ * @param {Set} [state.seenKeys] - Duplicate keys of the rows validated so far
+ * @param {Set} [state.seenOrderIds] - Conversion name + order ID of the rows validated so far
+ * @param {Object} [state.dateOrders] - Date orders for the whole batch (see resolveDateOrders)
  * @returns {Object} - { issues: Array, summary: { errors, warnings, info }, canExport: boolean }
  */
-export const validateAll = (data, mode, settings) => {
+export const validateAll = (data, mode, settings, { seenKeys = new Set(), seenOrderIds = new Set(), dateOrders } = {}) => {
   const allIssues = [];
-  const seenKeys = new Set();
+  // Day/month order per source file: pinned in settings or inferred from the whole column
+  const orders = dateOrders || resolveDateOrders(data, settings.dateOrder);
+  const dedupe = isDedupeEnabled(mode, settings);
+  // Adjustments reuse an order ID on purpose; merging by order ID resolves repeats
+  const checkOrderIds = mode !== MODES.ADJUSTMENT && !(dedupe && settings.dedupeKey === DEDUPE_KEYS.ORDER_ID);
   
   data.forEach((row, index) => {
-    const rowIssues = validateRow(row, mode, settings);
-    allIssues.push(...rowIssues);
+    const rowSettings = { ...settings, dateOrder: orders[row._fileIndex ?? 0] };
+    const rowIssues = validateRow(row, mode, rowSettings);
+    allIssues.push(...rowIssues.map(issue => withSource(issue, row)));
+
+    // Order IDs must be unique per exported conversion name: Google Ads rejects repeats.
+    // A name missing from the lookup table is already an error; it keys by its own value.
+    if (checkOrderIds && hasText(row.orderId)) {
+      const conversionName = resolveConversionName(row, mode, settings) ?? String(row.conversionName).trim();
+      const orderKey = `${conversionName}\n${String(row.orderId).trim()}`;
+      if (seenOrderIds.has(orderKey)) {
+        allIssues.push(withSource({
+          type: 'error',
+          message: VALIDATION_MESSAGES.errors.duplicateOrderId,
+          rowIndex: row._rowIndex || index + 1,
+          field: 'orderId'
+        }, row));
+      }
+      seenOrderIds.add(orderKey);
+    }
     
-    // Check for duplicates
+    // Check for duplicates (unless they are merged after optimizing, see dedupeRows)
+    if (dedupe) return;
     const key = mode === MODES.STANDARD 
-      ? `${row.gclid}-${row.conversionTime}`
-      : `${row.email || ''}-${row.phone || ''}-${row.conversionTime}`;
+      ? `${row[getClickIdField(row)]}-${row.conversionTime}`
+      : mode === MODES.ADJUSTMENT
+        ? `${row.orderId || row.gclid || ''}-${row.adjustmentType || ''}-${row.adjustmentTime || ''}`
+        : `${row.email || ''}-${row.phone || ''}-${row.conversionTime}`;
     
     if (seenKeys.has(key) && key !== '-') {
-      allIssues.push({
+      allIssues.push(withSource({
         type: 'warning',
         message: VALIDATION_MESSAGES.warnings.possibleDuplicate,
-        rowIndex: index + 1,
-        field: mode === MODES.STANDARD ? 'gclid' : 'email'
-      });
+        rowIndex: row._rowIndex || index + 1,
+        field: mode === MODES.STANDARD ? (getClickIdField(row) || 'gclid')
+          : mode === MODES.ADJUSTMENT ? (row.orderId ? 'orderId' : 'gclid')
+          : 'email'
+      }, row));
     }
     seenKeys.add(key);
   });
@@ -281,6 +942,9 @@ export const validateAll = (data, mode, settings) => {
     info: allIssues.filter(i => i.type === 'info').length,
     total: data.length
   };
+  if (mode === MODES.EC4L || mode === MODES.FACEBOOK) {
+    summary.emails = countEmailChecks(data, allIssues, settings);
+  }
 
   return {
     issues: allIssues,
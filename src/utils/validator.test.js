@@ -0,0 +1,79 @@
+import { validateAll } from './validator';
+import { VALIDATION_MESSAGES } from './constants';
+
+const GCLID = 'Cj0KCQiAw9qOBhC-ARIsAG-rdn7aaaaaaaaaaaaaaaaaaaX';
+
+describe('validateAll timezone notes', () => {
+  const settings = { conversionName: 'Closed Won', timezone: 'America/New_York', targetTimezone: 'Europe/Berlin' };
+  const rowAt = (conversionTime, _rowIndex) => ({ gclid: GCLID, conversionTime, conversionValue: '10', _rowIndex });
+
+  test('reports assumed and converted offsets as info issues', () => {
+    const result = validateAll([
+      rowAt('2026-10-06 9:05', 1),
+      rowAt('2026-10-06T09:05:00-04:00', 2),
+      rowAt('2026-10-06T09:05:00+02:00', 3)
+    ], 'standard', settings);
+
+    const notes = result.issues.filter(issue => issue.type === 'info');
+    expect(notes).toEqual([
+      { type: 'info', message: VALIDATION_MESSAGES.info.timezoneAssumed, rowIndex: 1, field: 'conversionTime' },
+      { type: 'info', message: VALIDATION_MESSAGES.info.timezoneConverted, rowIndex: 2, field: 'conversionTime' }
+    ]);
+    expect(result.summary.info).toBe(2);
+    expect(result.canExport).toBe(true);
+  });
+
+  test('adds no notes without an account timezone', () => {
+    const result = validateAll([rowAt('2026-10-06 9:05', 1)], 'standard', { ...settings, targetTimezone: '' });
+    expect(result.summary.info).toBe(0);
+  });
+});
+
+describe('validateAll order IDs', () => {
+  const settings = { conversionName: 'Closed Won', timezone: 'UTC' };
+  const rowWith = (orderId, _rowIndex, conversionName) => ({
+    gclid: `Cj0KCQiAw9qOBhC-ARIsAG-rdn7aaaaaaaaaaaaaaaaaa${_rowIndex}`,
+    conversionTime: '2026-10-06 09:05',
+    conversionValue: '10',
+    orderId,
+    conversionName,
+    _rowIndex
+  });
+
+  test('rejects an order ID repeated under the same conversion name', () => {
+    const result = validateAll([rowWith('A-1', 1), rowWith('A-2', 2), rowWith(' A-1 ', 3)], 'standard', settings);
+    const repeats = result.issues.filter(issue => issue.message === VALIDATION_MESSAGES.errors.duplicateOrderId);
+    expect(repeats).toEqual([
+      { type: 'error', message: VALIDATION_MESSAGES.errors.duplicateOrderId, rowIndex: 3, field: 'orderId' }
+    ]);
+    expect(result.canExport).toBe(false);
+  });
+
+  test('allows the same order ID under another conversion name', () => {
+    const result = validateAll([rowWith('A-1', 1, 'Won'), rowWith('A-1', 2, 'Demo')], 'standard',
+      { ...settings, conversionNameMap: { Won: 'Closed Won', Demo: 'Demo Booked' } });
+    expect(result.issues.filter(issue => issue.field === 'orderId')).toEqual([]);
+  });
+
+  test('rejects an order ID repeated under names that map to the same conversion', () => {
+    const lookup = { ...settings, conversionNameMap: { Default: 'Closed Won', Won: 'Closed Won' } };
+    const errorsOf = (rows) => validateAll(rows, 'standard', lookup).issues
+      .filter(issue => issue.message === VALIDATION_MESSAGES.errors.duplicateOrderId)
+      .map(issue => issue.rowIndex);
+    expect(errorsOf([rowWith('A1', 1, 'Default'), rowWith('A1', 2, 'Won')])).toEqual([2]);
+    expect(errorsOf([rowWith('A1', 1, 'Default'), rowWith('A1', 2, 'Default')])).toEqual([2]);
+  });
+
+  test('rejects an order ID repeated between a named row and the global name', () => {
+    const result = validateAll([rowWith('A1', 1), rowWith('A1', 2, 'Default')], 'standard',
+      { ...settings, conversionNameMap: { Default: 'Closed Won' } });
+    expect(result.issues.filter(issue => issue.message === VALIDATION_MESSAGES.errors.duplicateOrderId))
+      .toEqual([{ type: 'error', message: VALIDATION_MESSAGES.errors.duplicateOrderId, rowIndex: 2, field: 'orderId' }]);
+  });
+
+  test('leaves repeats to deduplication when it merges by order ID', () => {
+    const result = validateAll([rowWith('A-1', 1), rowWith('A-1', 2)], 'standard',
+      { ...settings, dedupeStrategy: 'earliest', dedupeKey: 'orderId' });
+    expect(result.issues.filter(issue => issue.field === 'orderId')).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Worker pool: runs tasks on a fixed number of Web Workers, queueing the rest.
+ * Workers answer { id, progress } while a task runs and { id, result } or
+ * { id, error } when it's done (see pipeline.worker.js).
+ */
+
+/**
+ * Create a worker pool. Workers are started on first use and reused.
+ * @param {Function} createWorker - Returns a new Worker
+ * @param {number} size - Maximum number of workers
+ * @returns {{size: number, run: Function, terminate: Function}}
+ */
+export const createWorkerPool = (createWorker, size) => {
+  const idle = [];
+  const queue = [];
+  let workerCount = 0;
+  let nextTaskId = 1;
+
+  /**
+   * Settle a task once; later messages and aborts are ignored
+   * @param {Object} task - Queued or running task
+   * @param {Function} settle - task.resolve or task.reject
+   * @param {any} value - Result or error
+   */
+  const finish = (task, settle, value) => {
+    if (task.done) return;
+    task.done = true;
+    task.signal?.removeEventListener('abort', task.onAbort);
+    settle(value);
+  };
+
+  /**
+   * Stop a worker that can't be reused (aborted or crashed)
+   * @param {Worker} worker - Worker to stop
+   */
+  const discard = (worker) => {
+    worker.terminate();
+    workerCount--;
+  };
+
+  const dispatch = () => {
+    while (queue.length > 0 && (idle.length > 0 || workerCount < size)) {
+      const task = queue.shift();
+      let worker = idle.pop();
+      if (!worker) {
+        worker = createWorker();
+        workerCount++;
+      }
+      start(worker, task);
+    }
+  };
+
+  const start = (worker, task) => {
+    task.worker = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.id !== task.id) return;
+      if (data.progress) {
+        task.onProgress?.(data.progress);
+        return;
+      }
+      if (data.error) {
+        finish(task, task.reject, new Error(data.error));
+      } else {
+        finish(task, task.resolve, data.result);
+      }
+      idle.push(worker);
+      dispatch();
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      discard(worker);
+      finish(task, task.reject, new Error(event.message || 'Worker failed'));
+      dispatch();
+    };
+    worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+  };
+
+  /**
+   * Run a task on the next free worker
+   * @param {string} type - Task type handled by the worker
+   * @param {any} payload - Task input (structured-cloned into the worker)
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with the worker's progress messages
+   * @param {AbortSignal} [options.signal] - Drops the task if queued, or stops its
+   *   worker if running; the promise rejects with the signal's reason
+   * @returns {Promise<any>} - The worker's result
+   */
+  const run = (type, payload, { onProgress, signal } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const task = { id: nextTaskId++, type, payload, onProgress, signal, resolve, reject, worker: null, done: false };
+    task.onAbort = () => {
+      if (task.done) return;
+      if (task.worker) {
+        discard(task.worker);
+      } else {
+        queue.splice(queue.indexOf(task), 1);
+      }
+      finish(task, reject, signal.reason);
+      dispatch();
+    };
+    signal?.addEventListener('abort', task.onAbort);
+
+    queue.push(task);
+    dispatch();
+  });
+
+  // Stop every idle worker (running tasks keep theirs until they finish)
+  const terminate = () => {
+    idle.splice(0).forEach(discard);
+  };
+
+  return { size, run, terminate };
+};